@@ -1,18 +1,18 @@
 /**
  * Query Intelligence Engine for Private Markets Intelligence Agent
- * Translates natural language intents into graph database queries
+ * Translates natural language intents into storage adapter operations
  */
 
 // Knowledge store integration
 const path = require('path');
-const { GraphDatabase } = require('../../core/GraphDatabase');
-const { KnowledgeStore } = require('../../core/KnowledgeStore');
 const config = require('../../config/config');
+const CurrencyConverter = require('../../core/CurrencyConverter');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
 class QueryEngine {
     constructor(knowledgeStore = null) {
         this.knowledgeStore = knowledgeStore;
+        this.currency = knowledgeStore?.currency || new CurrencyConverter(config.currency);
         this.graphDb = null; // Will be set by test or actual database connection
         this.queryBuilders = new Map();
         this.resultProcessors = new Map();
@@ -70,24 +70,21 @@ class QueryEngine {
 
     async executeQueryPlan(queryPlan) {
         const results = {};
-        const executor = this.graphDb || this.knowledgeStore;
+        const store = this.graphDb || this.knowledgeStore?.graphDb;
         
-        if (!executor) {
+        if (!store) {
             throw new Error('No database connection available (graphDb or knowledgeStore)');
         }
 
         for (const [queryName, queryData] of Object.entries(queryPlan.queries)) {
             try {
                 const startTime = Date.now();
-                const result = await executor.executeCustomQuery(
-                    queryData.cypher,
-                    queryData.parameters
-                );
+                const records = await queryData.run(store);
                 
                 results[queryName] = {
-                    ...result,
+                    records,
                     executionTime: Date.now() - startTime,
-                    recordCount: result.records ? result.records.length : 0
+                    recordCount: records.length
                 };
             } catch (error) {
                 results[queryName] = {
@@ -133,7 +130,7 @@ class QueryEngine {
         this.queryBuilders.set('compare.entities', new ComparisonQueryBuilder());
         
         // Discovery
-        this.queryBuilders.set('discover.opportunities', new DiscoveryQueryBuilder());
+        this.queryBuilders.set('discover.opportunities', new DiscoveryQueryBuilder(this.currency));
         
         // Network Exploration
         this.queryBuilders.set('explore.networks', new NetworkQueryBuilder());
@@ -197,6 +194,16 @@ class QueryEngine {
 }
 
 // Query Builder Classes
+// Each query is { run: async (store) => records }, executed against the storage adapter
+
+/**
+ * Count outgoing INVESTED_IN relationships for an entity
+ */
+async function countInvestments(store, entityId) {
+    const investments = await store.findRelationships(entityId, 'INVESTED_IN', 'outgoing');
+    return investments.length;
+}
+
 class EntityInfoQueryBuilder {
     async build(entities, context) {
         const queries = {};
@@ -205,14 +212,17 @@ class EntityInfoQueryBuilder {
         if (entities.companies.length > 0) {
             const companyNames = entities.companies.map(c => c.text);
             queries.entityInfo = {
-                cypher: `
-                    MATCH (e:Entity) 
-                    WHERE e.name IN $companyNames OR e.normalizedName IN $companyNames
-                    OPTIONAL MATCH (e)-[r]->(related:Entity)
-                    RETURN e, type(r) as relationshipType, related
-                    LIMIT 50
-                `,
-                parameters: { companyNames }
+                run: async (store) => {
+                    const records = [];
+                    for (const e of await store.findEntities({ names: companyNames }, 50)) {
+                        const related = await store.findRelationships(e.id, null, 'outgoing');
+                        if (related.length === 0) {
+                            records.push({ e, relationshipType: null, related: null });
+                        }
+                        related.forEach(rel => records.push({ e, relationshipType: rel.type, related: rel.entity }));
+                    }
+                    return records.slice(0, 50);
+                }
             };
         }
 
@@ -220,14 +230,17 @@ class EntityInfoQueryBuilder {
         if (entities.people.length > 0) {
             const peopleNames = entities.people.map(p => p.text);
             queries.peopleInfo = {
-                cypher: `
-                    MATCH (p:Person)
-                    WHERE p.name IN $peopleNames
-                    OPTIONAL MATCH (p)-[r]->(e:Entity)
-                    RETURN p, type(r) as relationshipType, e
-                    LIMIT 50
-                `,
-                parameters: { peopleNames }
+                run: async (store) => {
+                    const records = [];
+                    for (const p of await store.findEntities({ type: 'Person', names: peopleNames }, 50)) {
+                        const related = await store.findRelationships(p.id, null, 'outgoing');
+                        if (related.length === 0) {
+                            records.push({ p, relationshipType: null, e: null });
+                        }
+                        related.forEach(rel => records.push({ p, relationshipType: rel.type, e: rel.entity }));
+                    }
+                    return records.slice(0, 50);
+                }
             };
         }
 
@@ -243,27 +256,41 @@ class RelationshipQueryBuilder {
             // Multi-entity relationship exploration
             const companyNames = entities.companies.map(c => c.text);
             queries.relationships = {
-                cypher: `
-                    MATCH (e1:Entity), (e2:Entity)
-                    WHERE e1.name IN $companyNames AND e2.name IN $companyNames AND e1 <> e2
-                    MATCH path = (e1)-[*1..3]-(e2)
-                    RETURN path, length(path) as pathLength
-                    ORDER BY pathLength ASC
-                    LIMIT 20
-                `,
-                parameters: { companyNames }
+                run: async (store) => {
+                    const matched = await store.findEntities({ names: companyNames }, 50);
+                    const records = [];
+
+                    for (let i = 0; i < matched.length; i++) {
+                        for (let j = i + 1; j < matched.length; j++) {
+                            const path = await store.findShortestPath(matched[i].id, matched[j].id, 3);
+                            if (path) {
+                                records.push({ path, pathLength: path.pathLength });
+                            }
+                        }
+                    }
+
+                    return records
+                        .sort((a, b) => a.pathLength - b.pathLength)
+                        .slice(0, 20);
+                }
             };
         } else if (entities.companies.length === 1) {
             // Single entity relationship exploration
             const companyName = entities.companies[0].text;
             queries.entityNetwork = {
-                cypher: `
-                    MATCH (e:Entity {name: $companyName})-[r]-(related)
-                    RETURN e, type(r) as relationshipType, related, r.confidence as confidence
-                    ORDER BY r.confidence DESC, r.weight DESC
-                    LIMIT 30
-                `,
-                parameters: { companyName }
+                run: async (store) => {
+                    const records = [];
+                    for (const e of await store.findEntities({ names: [companyName] }, 10)) {
+                        const related = await store.findRelationships(e.id);
+                        related.forEach(rel => records.push({
+                            e,
+                            relationshipType: rel.type,
+                            related: rel.entity,
+                            confidence: rel.relationship.confidence
+                        }));
+                    }
+                    return records.slice(0, 30);
+                }
             };
         }
 
@@ -278,15 +305,36 @@ class PortfolioQueryBuilder {
         if (entities.companies.length > 0) {
             const companyNames = entities.companies.map(c => c.text);
             queries.portfolio = {
-                cypher: `
-                    MATCH (fund:Entity)-[:INVESTED_IN]->(company:Entity)
-                    WHERE fund.name IN $companyNames OR company.name IN $companyNames
-                    OPTIONAL MATCH (fund)-[:INVESTED_IN]->(otherCompany:Entity)
-                    WHERE otherCompany <> company
-                    RETURN fund, company, collect(DISTINCT otherCompany.name)[0..10] as otherInvestments
-                    LIMIT 25
-                `,
-                parameters: { companyNames }
+                run: async (store) => {
+                    const records = [];
+                    const seen = new Set();
+
+                    const addHolding = async (fund, company) => {
+                        const key = `${fund.id}|${company.id}`;
+                        if (seen.has(key)) return;
+                        seen.add(key);
+
+                        const holdings = await store.findRelationships(fund.id, 'INVESTED_IN', 'outgoing');
+                        const otherInvestments = holdings
+                            .filter(holding => holding.entity.id !== company.id)
+                            .map(holding => holding.entity.name)
+                            .slice(0, 10);
+                        records.push({ fund, company, otherInvestments });
+                    };
+
+                    for (const e of await store.findEntities({ names: companyNames }, 25)) {
+                        // Matched entity as the investor
+                        for (const rel of await store.findRelationships(e.id, 'INVESTED_IN', 'outgoing')) {
+                            await addHolding(e, rel.entity);
+                        }
+                        // Matched entity as the portfolio company
+                        for (const rel of await store.findRelationships(e.id, 'INVESTED_IN', 'incoming')) {
+                            await addHolding(rel.entity, e);
+                        }
+                    }
+
+                    return records.slice(0, 25);
+                }
             };
         }
 
@@ -301,18 +349,18 @@ class PerformanceQueryBuilder {
         if (entities.companies.length > 0) {
             const companyNames = entities.companies.map(c => c.text);
             queries.performance = {
-                cypher: `
-                    MATCH (e:Entity)
-                    WHERE e.name IN $companyNames
-                    OPTIONAL MATCH (e)-[:INVESTED_IN]->(investment:Entity)
-                    RETURN e.name as entityName, 
-                           e.totalInvestments as totalInvestments,
-                           e.totalInvestmentValue as totalValue,
-                           count(investment) as portfolioSize
-                    ORDER BY e.totalInvestmentValue DESC
-                    LIMIT 20
-                `,
-                parameters: { companyNames }
+                run: async (store) => {
+                    const records = [];
+                    for (const e of await store.findEntities({ names: companyNames }, 20)) {
+                        records.push({
+                            entityName: e.name,
+                            totalInvestments: e.totalInvestments,
+                            totalValue: e.totalInvestmentValue,
+                            portfolioSize: await countInvestments(store, e.id)
+                        });
+                    }
+                    return records.sort((a, b) => (b.totalValue || 0) - (a.totalValue || 0));
+                }
             };
         }
 
@@ -320,16 +368,17 @@ class PerformanceQueryBuilder {
         if (entities.people.length > 0) {
             const peopleNames = entities.people.map(p => p.text);
             queries.peoplePerformance = {
-                cypher: `
-                    MATCH (p:Person)
-                    WHERE p.name IN $peopleNames
-                    RETURN p.name as personName,
-                           p.totalInvestments as investments,
-                           p.totalInvestmentValue as totalValue,
-                           p.roles as roles
-                    ORDER BY p.totalInvestments DESC
-                `,
-                parameters: { peopleNames }
+                run: async (store) => {
+                    const people = await store.findEntities({ type: 'Person', names: peopleNames }, 50);
+                    return people
+                        .map(p => ({
+                            personName: p.name,
+                            investments: p.totalInvestments,
+                            totalValue: p.totalInvestmentValue,
+                            roles: p.roles
+                        }))
+                        .sort((a, b) => (b.investments || 0) - (a.investments || 0));
+                }
             };
         }
 
@@ -345,16 +394,10 @@ class TrendsQueryBuilder {
         if (entities.sectors.length > 0) {
             const sectors = entities.sectors.map(s => s.text);
             queries.sectorTrends = {
-                cypher: `
-                    MATCH (e:Entity)
-                    WHERE any(sector IN $sectors WHERE e.industries CONTAINS sector)
-                    RETURN e.industries as industries, 
-                           count(e) as entityCount,
-                           sum(e.totalInvestmentValue) as totalValue
-                    ORDER BY totalValue DESC
-                    LIMIT 15
-                `,
-                parameters: { sectors }
+                run: async (store) => {
+                    const matches = await store.searchEntities(sectors, { fields: ['industries'], limit: 5000 });
+                    return this.summarize(matches, 'industries', 'industries').slice(0, 15);
+                }
             };
         }
 
@@ -362,21 +405,30 @@ class TrendsQueryBuilder {
         if (entities.geographies.length > 0) {
             const regions = entities.geographies.map(g => g.text);
             queries.geographicTrends = {
-                cypher: `
-                    MATCH (e:Entity)
-                    WHERE any(region IN $regions WHERE e.location CONTAINS region OR e.country CONTAINS region)
-                    RETURN e.country as country,
-                           count(e) as entityCount,
-                           sum(e.totalInvestmentValue) as totalValue
-                    ORDER BY totalValue DESC
-                    LIMIT 10
-                `,
-                parameters: { regions }
+                run: async (store) => {
+                    const matches = await store.searchEntities(regions, { fields: ['location', 'country'], limit: 5000 });
+                    return this.summarize(matches, 'country', 'country').slice(0, 10);
+                }
             };
         }
 
         return { queries, intent: 'trend_analysis' };
     }
+
+    /**
+     * Group matched entities by a property with entity counts and total investment value
+     */
+    summarize(matches, property, label) {
+        const groups = new Map();
+        for (const e of matches) {
+            const key = e[property] ?? null;
+            const group = groups.get(key) || { [label]: key, entityCount: 0, totalValue: 0 };
+            group.entityCount++;
+            group.totalValue += Number(e.totalInvestmentValue) || 0;
+            groups.set(key, group);
+        }
+        return Array.from(groups.values()).sort((a, b) => b.totalValue - a.totalValue);
+    }
 }
 
 class ComparisonQueryBuilder {
@@ -386,20 +438,21 @@ class ComparisonQueryBuilder {
         if (entities.companies.length >= 2) {
             const companyNames = entities.companies.map(c => c.text);
             queries.comparison = {
-                cypher: `
-                    MATCH (e:Entity)
-                    WHERE e.name IN $companyNames
-                    OPTIONAL MATCH (e)-[:INVESTED_IN]->(portfolio:Entity)
-                    RETURN e.name as entityName,
-                           e.type as entityType,
-                           e.totalInvestments as totalInvestments,
-                           e.totalInvestmentValue as totalValue,
-                           e.sector as sector,
-                           e.country as country,
-                           count(portfolio) as portfolioSize
-                    ORDER BY e.totalInvestmentValue DESC
-                `,
-                parameters: { companyNames }
+                run: async (store) => {
+                    const records = [];
+                    for (const e of await store.findEntities({ names: companyNames }, 50)) {
+                        records.push({
+                            entityName: e.name,
+                            entityType: e.type,
+                            totalInvestments: e.totalInvestments,
+                            totalValue: e.totalInvestmentValue,
+                            sector: e.sector,
+                            country: e.country,
+                            portfolioSize: await countInvestments(store, e.id)
+                        });
+                    }
+                    return records.sort((a, b) => (b.totalValue || 0) - (a.totalValue || 0));
+                }
             };
         }
 
@@ -408,6 +461,10 @@ class ComparisonQueryBuilder {
 }
 
 class DiscoveryQueryBuilder {
+    constructor(currency) {
+        this.currency = currency;
+    }
+
     async build(entities, context) {
         const queries = {};
 
@@ -415,19 +472,20 @@ class DiscoveryQueryBuilder {
         if (entities.sectors.length > 0) {
             const sectors = entities.sectors.map(s => s.text);
             queries.sectorDiscovery = {
-                cypher: `
-                    MATCH (e:Entity)
-                    WHERE any(sector IN $sectors WHERE e.industries CONTAINS sector)
-                    AND e.totalInvestments > 0
-                    RETURN e.name as entityName,
-                           e.type as entityType,
-                           e.totalInvestments as investments,
-                           e.industries as industries,
-                           e.country as location
-                    ORDER BY e.totalInvestments DESC
-                    LIMIT 20
-                `,
-                parameters: { sectors }
+                run: async (store) => {
+                    const matches = await store.searchEntities(sectors, { fields: ['industries'], limit: 5000 });
+                    return matches
+                        .filter(e => e.totalInvestments > 0)
+                        .sort((a, b) => b.totalInvestments - a.totalInvestments)
+                        .slice(0, 20)
+                        .map(e => ({
+                            entityName: e.name,
+                            entityType: e.type,
+                            investments: e.totalInvestments,
+                            industries: e.industries,
+                            location: e.country
+                        }));
+                }
             };
         }
 
@@ -435,36 +493,29 @@ class DiscoveryQueryBuilder {
         if (entities.amounts.length > 0) {
             const minAmount = this.parseAmount(entities.amounts[0].text);
             queries.amountDiscovery = {
-                cypher: `
-                    MATCH (e:Entity)
-                    WHERE e.totalInvestmentValue >= $minAmount
-                    RETURN e.name as entityName,
-                           e.type as entityType,
-                           e.totalInvestmentValue as totalValue,
-                           e.totalInvestments as investments
-                    ORDER BY e.totalInvestmentValue DESC
-                    LIMIT 15
-                `,
-                parameters: { minAmount }
+                run: async (store) => {
+                    const matches = await store.findEntities({ min: { totalInvestmentValue: minAmount } }, 5000);
+                    return matches
+                        .sort((a, b) => b.totalInvestmentValue - a.totalInvestmentValue)
+                        .slice(0, 15)
+                        .map(e => ({
+                            entityName: e.name,
+                            entityType: e.type,
+                            totalValue: e.totalInvestmentValue,
+                            investments: e.totalInvestments
+                        }));
+                }
             };
         }
 
         return { queries, intent: 'opportunity_discovery' };
     }
 
+    /**
+     * An amount named in a query ("over €10bn") in the reporting currency, 0 if unparseable
+     */
     parseAmount(amountText) {
-        const match = amountText.match(/([0-9,]+(?:\.[0-9]+)?)\s*([MBT]?)/i);
-        if (!match) return 0;
-        
-        let value = parseFloat(match[1].replace(/,/g, ''));
-        const unit = match[2].toUpperCase();
-        
-        switch (unit) {
-            case 'M': return value * 1000000;
-            case 'B': return value * 1000000000;
-            case 'T': return value * 1000000000000;
-            default: return value;
-        }
+        return this.currency.normalize(amountText)?.amount ?? 0;
     }
 }
 
@@ -475,18 +526,25 @@ class NetworkQueryBuilder {
         if (entities.people.length > 0) {
             const peopleNames = entities.people.map(p => p.text);
             queries.networkAnalysis = {
-                cypher: `
-                    MATCH (p:Person)
-                    WHERE p.name IN $peopleNames
-                    OPTIONAL MATCH (p)-[r1]-(e:Entity)-[r2]-(otherPerson:Person)
-                    WHERE otherPerson <> p
-                    RETURN p.name as person,
-                           e.name as commonEntity,
-                           collect(DISTINCT otherPerson.name) as connections,
-                           type(r1) as relationshipType
-                    LIMIT 25
-                `,
-                parameters: { peopleNames }
+                run: async (store) => {
+                    const records = [];
+                    for (const p of await store.findEntities({ type: 'Person', names: peopleNames }, 25)) {
+                        for (const rel of await store.findRelationships(p.id)) {
+                            const colleagues = await store.findRelationships(rel.entity.id);
+                            const connections = [...new Set(colleagues
+                                .filter(other => other.entity.type === 'Person' && other.entity.id !== p.id)
+                                .map(other => other.entity.name))];
+
+                            records.push({
+                                person: p.name,
+                                commonEntity: rel.entity.name,
+                                connections,
+                                relationshipType: rel.type
+                            });
+                        }
+                    }
+                    return records.slice(0, 25);
+                }
             };
         }
 
@@ -6,6 +6,9 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 const SeedDataIngester = require('../ingestion/SeedDataIngester');
+const IngestionJobManager = require('../ingestion/IngestionJobManager');
+const DropFolderWatcher = require('../ingestion/DropFolderWatcher');
+const CypherGuard = require('../core/CypherGuard');
 
 const logger = winston.createLogger({
     level: 'info',
@@ -14,7 +17,11 @@ const logger = winston.createLogger({
     transports: [new winston.transports.Console()]
 });
 
-function createAPIRoutes(knowledgeStore) {
+/**
+ * The app owns the background services and passes them in (`ingestionJobs`, `dropFolder`);
+ * without them the router gets idle instances of its own. Building the router starts nothing.
+ */
+function createAPIRoutes(knowledgeStore, services = {}) {
     const router = express.Router();
 
     // Rate limiting
@@ -25,6 +32,16 @@ function createAPIRoutes(knowledgeStore) {
     });
     router.use(limiter);
 
+    // Read-only guard for the analyst Cypher endpoint
+    const cypherConfig = knowledgeStore.config?.api?.cypher || {};
+    const cypherGuard = new CypherGuard(cypherConfig);
+
+    // Background seed ingestion jobs, persisted with their checkpoints
+    const ingestionJobs = services.ingestionJobs || new IngestionJobManager(knowledgeStore, knowledgeStore.config);
+
+    // Continuous ingestion of files dropped into the seed data folder (started by the app)
+    const dropFolder = services.dropFolder || new DropFolderWatcher(ingestionJobs, knowledgeStore.config);
+
     // Middleware for error handling
     const asyncHandler = (fn) => (req, res, next) => {
         Promise.resolve(fn(req, res, next)).catch(next);
@@ -268,12 +285,14 @@ function createAPIRoutes(knowledgeStore) {
         if (country) filters.country = country;
         if (minAum) filters.minAum = parseFloat(minAum);
 
-        const entities = await knowledgeStore.graphDb.findEntities(filters, parseInt(limit));
+        const entities = await knowledgeStore.graphDb.findEntities(filters, parseInt(limit), {
+            offset: parseInt(offset)
+        });
         
         res.json({
             success: true,
             data: {
-                entities: entities.slice(parseInt(offset)),
+                entities,
                 filters: filters,
                 pagination: {
                     limit: parseInt(limit),
@@ -284,6 +303,25 @@ function createAPIRoutes(knowledgeStore) {
         });
     }));
 
+    /**
+     * GET /api/entities/duplicates
+     * Likely duplicate entity pairs, best first
+     */
+    router.get('/entities/duplicates', asyncHandler(async (req, res) => {
+        const { type, minScore, limit = 50 } = req.query;
+
+        const candidates = await knowledgeStore.findDuplicates({
+            type,
+            minScore: minScore !== undefined ? parseFloat(minScore) : undefined,
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: { candidates }
+        });
+    }));
+
     /**
      * GET /api/entities/:id
      * Get specific entity by ID
@@ -292,16 +330,15 @@ function createAPIRoutes(knowledgeStore) {
         const { id } = req.params;
         const { includeRelationships = true } = req.query;
 
-        const entities = await knowledgeStore.graphDb.findEntities({ id }, 1);
+        const entity = await knowledgeStore.graphDb.getEntity(id);
         
-        if (entities.length === 0) {
+        if (!entity) {
             return res.status(404).json({
                 success: false,
                 error: 'Entity not found'
             });
         }
 
-        const entity = entities[0];
         const result = { entity };
 
         if (includeRelationships === 'true') {
@@ -336,6 +373,67 @@ function createAPIRoutes(knowledgeStore) {
         });
     }));
 
+    /**
+     * GET /api/entities/:id/duplicates
+     * Likely duplicates of the specified entity
+     */
+    router.get('/entities/:id/duplicates', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { minScore, limit = 20 } = req.query;
+
+        const candidates = await knowledgeStore.findDuplicatesOf(id, {
+            minScore: minScore !== undefined ? parseFloat(minScore) : undefined,
+            limit: parseInt(limit)
+        });
+
+        if (!candidates) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entity not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { candidates }
+        });
+    }));
+
+    /**
+     * GET /api/entities/:id/lineage
+     * Where each property of the entity came from (file, row, column, job, source type)
+     */
+    router.get('/entities/:id/lineage', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const lineage = await knowledgeStore.getEntityLineage(id);
+
+        if (!lineage) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entity not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: lineage
+        });
+    }));
+
+    /**
+     * GET /api/relationship-types
+     * Relationship types the graph accepts
+     */
+    router.get('/relationship-types', asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            data: {
+                relationshipTypes: knowledgeStore.graphDb.relationshipTypes.list()
+            }
+        });
+    }));
+
     /**
      * GET /api/relationships/:fromId/:toId
      * Find shortest path between two entities
@@ -344,10 +442,11 @@ function createAPIRoutes(knowledgeStore) {
         const { fromId, toId } = req.params;
         const { maxHops = 6 } = req.query;
 
+        // Non-integer or out-of-range maxHops is rejected with a 400 by the storage layer
         const path = await knowledgeStore.graphDb.findShortestPath(
             fromId, 
             toId, 
-            parseInt(maxHops)
+            Number(maxHops)
         );
 
         if (!path) {
@@ -367,6 +466,111 @@ function createAPIRoutes(knowledgeStore) {
         });
     }));
 
+    /**
+     * POST /api/relationships
+     * Assert a relationship between two existing entities
+     */
+    router.post('/relationships', asyncHandler(async (req, res) => {
+        const { fromId, toId, type, properties, confidence, sources } = req.body;
+
+        if (!fromId || !toId || !type) {
+            return res.status(400).json({
+                success: false,
+                error: 'fromId, toId and type are required'
+            });
+        }
+
+        const { relationship, created } = await knowledgeStore.addRelationship(fromId, toId, type, {
+            properties,
+            confidence,
+            sources
+        });
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            data: { fromId, toId, type, relationship, created }
+        });
+    }));
+
+    /**
+     * GET /api/relationships/:fromId/:type/:toId
+     * Get a specific relationship
+     */
+    router.get('/relationships/:fromId/:type/:toId', asyncHandler(async (req, res) => {
+        const { fromId, type, toId } = req.params;
+
+        knowledgeStore.graphDb.relationshipTypes.assertValidName(type);
+        const relationship = await knowledgeStore.graphDb.getRelationship(fromId, toId, type);
+
+        if (!relationship) {
+            return res.status(404).json({
+                success: false,
+                error: 'Relationship not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { fromId, toId, type, relationship }
+        });
+    }));
+
+    /**
+     * PATCH /api/relationships/:fromId/:type/:toId
+     * Update relationship properties, confidence or add sources
+     */
+    router.patch('/relationships/:fromId/:type/:toId', asyncHandler(async (req, res) => {
+        const { fromId, type, toId } = req.params;
+        const { properties, confidence, sources } = req.body;
+
+        if (properties === undefined && confidence === undefined && sources === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'One of properties, confidence or sources is required'
+            });
+        }
+
+        const relationship = await knowledgeStore.updateRelationship(fromId, toId, type, {
+            properties,
+            confidence,
+            sources
+        });
+
+        if (!relationship) {
+            return res.status(404).json({
+                success: false,
+                error: 'Relationship not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { fromId, toId, type, relationship }
+        });
+    }));
+
+    /**
+     * DELETE /api/relationships/:fromId/:type/:toId
+     * Retract a relationship
+     */
+    router.delete('/relationships/:fromId/:type/:toId', asyncHandler(async (req, res) => {
+        const { fromId, type, toId } = req.params;
+
+        const deleted = await knowledgeStore.deleteRelationship(fromId, toId, type);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Relationship not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { fromId, toId, type, deleted: true }
+        });
+    }));
+
     /**
      * POST /api/entities
      * Add new entity
@@ -411,6 +615,111 @@ function createAPIRoutes(knowledgeStore) {
         });
     }));
 
+    /**
+     * POST /api/entities/merge
+     * Merge a duplicate entity into a surviving one
+     */
+    router.post('/entities/merge', asyncHandler(async (req, res) => {
+        const { survivorId, duplicateId } = req.body;
+
+        if (!survivorId || !duplicateId) {
+            return res.status(400).json({
+                success: false,
+                error: 'survivorId and duplicateId are required'
+            });
+        }
+
+        const result = await knowledgeStore.mergeEntities(survivorId, duplicateId);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    }));
+
+    /**
+     * PUT /api/entities/:id
+     * Replace an entity's properties
+     */
+    router.put('/entities/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const entityData = req.body;
+
+        if (!entityData.name || !entityData.type) {
+            return res.status(400).json({
+                success: false,
+                error: 'Entity name and type are required'
+            });
+        }
+
+        const entity = await knowledgeStore.updateEntity(id, entityData, { replace: true });
+
+        if (!entity) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entity not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { entity }
+        });
+    }));
+
+    /**
+     * PATCH /api/entities/:id
+     * Merge changes into an entity (null removes a property)
+     */
+    router.patch('/entities/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const changes = req.body;
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one property to change is required'
+            });
+        }
+
+        const entity = await knowledgeStore.updateEntity(id, changes);
+
+        if (!entity) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entity not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { entity }
+        });
+    }));
+
+    /**
+     * DELETE /api/entities/:id
+     * Delete an entity; ?cascade=true also removes its relationships
+     */
+    router.delete('/entities/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const cascade = req.query.cascade === 'true';
+
+        const deleted = await knowledgeStore.deleteEntity(id, { cascade });
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entity not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { id, deleted: true, cascade }
+        });
+    }));
+
     /**
      * GET /api/patterns
      * Discover patterns in the knowledge graph
@@ -419,7 +728,7 @@ function createAPIRoutes(knowledgeStore) {
         const options = {
             limit: parseInt(req.query.limit) || 50,
             minSupport: parseFloat(req.query.minSupport) || 0.1,
-            types: req.query.types ? req.query.types.split(',') : undefined
+            types: req.query.types ? req.query.types.split(',').map(type => type.trim()).filter(Boolean) : undefined
         };
 
         const patterns = await knowledgeStore.discoverPatterns(options);
@@ -452,20 +761,154 @@ function createAPIRoutes(knowledgeStore) {
         });
     }));
 
+    /**
+     * GET /api/inference/patterns
+     * Relationship inference patterns a run can be limited to
+     */
+    router.get('/inference/patterns', asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            data: knowledgeStore.getInferencePatterns()
+        });
+    }));
+
+    /**
+     * POST /api/inference/runs
+     * Infer relationships around { entityIds }, entities changed in { since, until }, or every
+     * entity, limited to { patterns } (or one { pattern }), { batchSize } seeds at a time for at
+     * most { maxBatches } batches. Continue with { cursor } from the response until it is null.
+     */
+    router.post('/inference/runs', asyncHandler(async (req, res) => {
+        const { entityIds, since, until, pattern, batchSize, maxBatches, cursor } = req.body || {};
+        const patterns = req.body?.patterns ?? (pattern !== undefined ? [pattern] : undefined);
+
+        logger.info(cursor ? '🔁 Resuming relationship inference run via API...' : '🔍 Starting relationship inference run via API...');
+        const run = await knowledgeStore.runRelationshipInference({ entityIds, since, until, patterns, batchSize, maxBatches, cursor });
+
+        res.json({
+            success: true,
+            data: run,
+            message: run.done
+                ? `Inference run complete: ${run.successfulInferences} relationships inferred around ${run.seeds} entities`
+                : `Processed ${run.seeds} entities in ${run.batches} batches; continue with the returned cursor`
+        });
+    }));
+
     /**
      * POST /api/ingest/seed
-     * Ingest seed data files
+     * Start a background ingestion job over the seed data files; poll GET /api/ingest/jobs/:id.
+     * { "dryRun": true } (or ?dryRun=true) instead returns a validation report, nothing written.
      */
     router.post('/ingest/seed', asyncHandler(async (req, res) => {
-        const ingester = new SeedDataIngester(knowledgeStore, knowledgeStore.config);
-        
-        logger.info('🚀 Starting seed data ingestion via API...');
-        const result = await ingester.ingestAllSeedData();
+        const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+
+        if (dryRun) {
+            const ingester = new SeedDataIngester(knowledgeStore, knowledgeStore.config);
+
+            logger.info('🔍 Starting seed data dry run via API...');
+            const report = await ingester.ingestAllSeedData({ dryRun: true });
+
+            return res.json({
+                success: true,
+                data: report,
+                message: `Dry run: ${report.validRows} of ${report.totalRows} rows valid across ${report.totalFiles} files, nothing written`
+            });
+        }
+
+        logger.info('🚀 Starting seed data ingestion job via API...');
+        const job = ingestionJobs.startJob();
+
+        res.status(202).json({
+            success: true,
+            data: job,
+            message: `Ingestion job ${job.id} queued (${job.files.length} files); poll /api/ingest/jobs/${job.id} for progress`
+        });
+    }));
+
+    /**
+     * GET /api/ingest/jobs
+     * Recent ingestion jobs, newest first (?status=running&limit=20)
+     */
+    router.get('/ingest/jobs', asyncHandler(async (req, res) => {
+        const jobs = ingestionJobs.listJobs({
+            status: req.query.status,
+            limit: parseInt(req.query.limit) || 50
+        });
+
+        res.json({
+            success: true,
+            data: jobs
+        });
+    }));
+
+    /**
+     * GET /api/ingest/jobs/:id
+     * Ingestion job status, per-file checkpoints and progress
+     */
+    router.get('/ingest/jobs/:id', asyncHandler(async (req, res) => {
+        const job = ingestionJobs.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
 
         res.json({
             success: true,
-            data: result,
-            message: `Ingested ${result.successful} entities successfully`
+            data: job
+        });
+    }));
+
+    /**
+     * POST /api/ingest/jobs/:id/cancel
+     * Cancel a queued or running job (a running job stops after its current chunk)
+     */
+    router.post('/ingest/jobs/:id/cancel', asyncHandler(async (req, res) => {
+        const job = ingestionJobs.cancelJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: job
+        });
+    }));
+
+    /**
+     * POST /api/ingest/jobs/:id/resume
+     * Resume a failed, cancelled or interrupted job from its checkpoints
+     */
+    router.post('/ingest/jobs/:id/resume', asyncHandler(async (req, res) => {
+        const job = ingestionJobs.resumeJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            data: job
+        });
+    }));
+
+    /**
+     * GET /api/ingest/drop-folder
+     * Drop folder watcher status and its manifest of picked-up files, newest first
+     */
+    router.get('/ingest/drop-folder', asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            data: dropFolder.getStatus({ limit: parseInt(req.query.limit) || 50 })
         });
     }));
 
@@ -497,18 +940,13 @@ function createAPIRoutes(knowledgeStore) {
             });
         }
 
-        // Security: Only allow read queries
-        const queryLower = query.toLowerCase().trim();
-        const writingOperations = ['create', 'merge', 'set', 'delete', 'remove', 'drop'];
-        
-        if (writingOperations.some(op => queryLower.includes(op))) {
-            return res.status(403).json({
-                success: false,
-                error: 'Only read queries are allowed'
-            });
-        }
+        // Security: reject write/admin clauses and unlisted procedures, then run in a read transaction
+        cypherGuard.assertReadOnly(query);
 
-        const result = await knowledgeStore.graphDb.executeCustomQuery(query, parameters);
+        const result = await knowledgeStore.graphDb.executeReadQuery(query, parameters, {
+            timeout: cypherConfig.timeoutMs,
+            maxRows: cypherConfig.maxRows
+        });
 
         res.json({
             success: true,
@@ -526,14 +964,12 @@ function createAPIRoutes(knowledgeStore) {
             knowledgeStore.discoverPatterns({ limit: 10 })
         ]);
 
-        // Get top entities by connections
-        const topEntitiesQuery = `
-            MATCH (e:Entity)-[r]-()
-            RETURN e.name as name, e.type as type, count(r) as connections
-            ORDER BY connections DESC
-            LIMIT 10
-        `;
-        const topEntities = await knowledgeStore.graphDb.executeCustomQuery(topEntitiesQuery);
+        // Top entities by connections
+        const topEntities = (stats.topEntitiesByConnections || []).map(entry => ({
+            name: entry.name,
+            type: entry.type,
+            connections: entry.count
+        }));
 
         // Get recent activity (placeholder - would need timestamps)
         const recentActivity = [];
@@ -547,7 +983,7 @@ function createAPIRoutes(knowledgeStore) {
                     entityTypes: stats.entityTypeBreakdown,
                     relationshipTypes: stats.relationshipTypeBreakdown
                 },
-                topEntities: topEntities.records,
+                topEntities,
                 patterns: patterns.slice(0, 5),
                 recentActivity,
                 cache: stats.cache,
@@ -590,6 +1026,7 @@ function createAPIRoutes(knowledgeStore) {
             success: false,
             error: {
                 message: error.message,
+                ...(error.details && { details: error.details }),
                 ...(process.env.NODE_ENV === 'development' && {
                     stack: error.stack
                 })
@@ -5,6 +5,17 @@
 const path = require('path');
 
 const config = {
+    // Storage backend selection: 'neo4j' (production), 'memory' (embedded, no server)
+    // or 'file' (embedded, persisted under data.outputPath)
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'neo4j',
+        memory: {},
+        file: {
+            directory: process.env.GRAPH_DATA_PATH ? path.resolve(process.env.GRAPH_DATA_PATH) : null,
+            snapshotInterval: parseInt(process.env.GRAPH_SNAPSHOT_INTERVAL) || 1000
+        }
+    },
+
     // Database configuration
     neo4j: {
         uri: process.env.NEO4J_URI || 'bolt://localhost:7687',
@@ -33,6 +44,7 @@ const config = {
     // Data source paths
     data: {
         seedDataPath: path.resolve(process.env.SEED_DATA_PATH || '../Deals Sample'),
+        mappingProfilesPath: path.resolve(process.env.MAPPING_PROFILES_PATH || path.join(__dirname, '../ingestion/profiles')),
         outputPath: path.resolve(process.env.OUTPUT_DATA_PATH || './data/output'),
         cachePath: path.resolve('./data/cache'),
         logsPath: path.resolve('./logs')
@@ -55,11 +67,24 @@ const config = {
             ]
         },
 
+        // Duplicate detection and merging
+        entityResolution: {
+            duplicateThreshold: 0.75, // minimum score to report a duplicate candidate
+            autoResolveThreshold: 0.85, // minimum score to fold an incoming row into an existing entity
+            maxBlockSize: 500, // skip name blocks larger than this when scanning for duplicates
+            // Extra known aliases on top of AliasRegistry's built-in list: { 'Canonical Name': ['ALIAS', ...] }
+            knownAliases: {}
+        },
+
         // Relationship inference settings
         relationshipInference: {
             coOccurrenceThreshold: 0.3,
             temporalWindowDays: 365,
             strengthDecayFactor: 0.1,
+            maxCandidatesPerSeed: 50, // funds paired with each seed by shared country or sector, closest in AUM first
+            batchSize: 200, // seed entities per batch in scoped runs (POST /api/inference/runs)
+            maxBatchSize: 1000,
+            maxBatchesPerRun: 10, // batches per call before a scoped run hands back a cursor
             relationshipTypes: [
                 'INVESTS_IN', 'PARTNERS_WITH', 'COMPETES_WITH', 'ACQUIRED_BY',
                 'MANAGES', 'ADVISES', 'BOARD_MEMBER', 'ALUMNI_OF', 'CO_INVESTED',
@@ -72,9 +97,20 @@ const config = {
             minPatternSupport: 0.05,
             maxPatternLength: 5,
             confidenceThreshold: 0.7,
+            vintageWindow: 5, // years per vintage bucket
             temporalPatterns: true,
             spatialPatterns: true,
             behavioralPatterns: true
+        },
+
+        // Insight rules run over query results (see intelligence/InsightEngine.js)
+        insights: {
+            minConfidence: 0.5,
+            maxInsights: 10,
+            disabledRules: [],
+            concentrationShare: 0.3, // share of results sharing a value before it is called out
+            outlierRatio: 3, // largest AUM over the median before it is called out
+            maxGraphLookups: 50 // result entities whose neighbors are read
         }
     },
 
@@ -90,6 +126,14 @@ const config = {
         cors: {
             origin: process.env.NODE_ENV === 'production' ? false : true,
             credentials: true
+        },
+        // POST /api/cypher: read-only analyst queries
+        cypher: {
+            maxRows: parseInt(process.env.CYPHER_MAX_ROWS) || 1000,
+            timeoutMs: parseInt(process.env.CYPHER_TIMEOUT_MS) || 10000,
+            allowedProcedures: process.env.CYPHER_ALLOWED_PROCEDURES
+                ? process.env.CYPHER_ALLOWED_PROCEDURES.split(',').map(name => name.trim()).filter(Boolean)
+                : undefined // CypherGuard defaults (db.labels, db.schema.*, ...)
         }
     },
 
@@ -130,16 +174,52 @@ const config = {
         }
     },
 
+    // Monetary amounts: the currency named in a value (symbol, ISO code or word) is detected,
+    // and amounts are stored in the reporting currency alongside the original amount and currency
+    currency: {
+        reportingCurrency: process.env.REPORTING_CURRENCY || 'USD',
+        defaultCurrency: process.env.DEFAULT_CURRENCY || 'USD', // assumed when a value names none
+        fxRatesPath: path.resolve(process.env.FX_RATES_PATH || path.join(__dirname, 'fx-rates.json')),
+        monetaryFields: ['aum', 'amount']
+    },
+
     // Data ingestion settings
     ingestion: {
         batchSize: 1000,
         maxRetries: 3,
         retryDelay: 1000,
+        // Ingest data.seedDataPath on startup when the graph is empty (index.js)
+        seedOnStartup: process.env.SEED_ON_STARTUP !== 'false',
+        // Background ingestion jobs and their checkpoints (default: <outputPath>/jobs)
+        jobs: {
+            directory: process.env.INGESTION_JOBS_PATH ? path.resolve(process.env.INGESTION_JOBS_PATH) : null
+        },
+        // Watch data.seedDataPath and ingest new or changed files automatically
+        dropFolder: {
+            enabled: process.env.DROP_FOLDER_ENABLED === 'true',
+            pollInterval: parseInt(process.env.DROP_FOLDER_POLL_INTERVAL) || 10000,
+            settleTime: 5000, // ms a file must go unmodified before it is picked up
+            archivePath: process.env.DROP_FOLDER_ARCHIVE_PATH ? path.resolve(process.env.DROP_FOLDER_ARCHIVE_PATH) : null // default: <outputPath>/archive
+        },
         validation: {
             strictMode: false,
             requireKeyFields: ['name', 'type'],
             allowUnknownFields: true
         },
+        // Entities ingested without an id get a stable one derived from this key,
+        // so re-running an ingestion updates entities instead of duplicating them
+        naturalKey: {
+            fields: ['normalizedName', 'type', 'country'],
+            // Per-type overrides: a person is told apart by the firm that lists them, not by country
+            typeFields: { Person: ['normalizedName', 'type', 'employerId'] },
+            sourceIdField: 'sourceId' // a source-provided record id takes precedence when present
+        },
+        // How a property is settled when ingested sources disagree: highest-authority,
+        // most-recent or majority (see ConflictResolver); `fields` overrides it per property
+        conflictResolution: {
+            policy: process.env.CONFLICT_RESOLUTION_POLICY || 'highest-authority',
+            fields: {}
+        },
         transformation: {
             normalizeNames: true,
             extractDates: true,
@@ -163,18 +243,18 @@ if (process.env.NODE_ENV === 'development') {
 
 if (process.env.NODE_ENV === 'test') {
     config.neo4j.uri = 'bolt://localhost:7688'; // Test database
+    config.storage.backend = process.env.STORAGE_BACKEND || 'memory'; // No database server needed for tests
     config.logging.level = 'error';
     config.cache.ttl = 60; // Short cache for tests
 }
 
 // Validation
 function validateConfig() {
-    const required = [
-        'neo4j.uri',
-        'neo4j.username', 
-        'neo4j.password',
-        'data.seedDataPath'
-    ];
+    const required = ['data.seedDataPath'];
+
+    if (config.storage.backend === 'neo4j') {
+        required.push('neo4j.uri', 'neo4j.username', 'neo4j.password');
+    }
 
     const missing = required.filter(path => {
         const value = path.split('.').reduce((obj, key) => obj?.[key], config);
@@ -0,0 +1,156 @@
+/**
+ * Alias Registry
+ * Name folding and known alternate names for entities. Every stored entity carries `nameKeys`:
+ * the folded forms of its name, its stored aliases and any known aliases, so exact-name lookups
+ * match "KKR", "Kohlberg Kravis Roberts & Co. L.P." and "kohlberg kravis roberts" alike.
+ */
+
+// Legal suffixes and filler words that don't distinguish one firm from another
+const NAME_NOISE = new Set([
+    'the', 'and', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation',
+    'co', 'company', 'plc', 'group', 'holding', 'holdings', 'sa', 'ag', 'gmbh', 'nv', 'bv', 'sarl'
+]);
+
+// Well-known abbreviations and former names: canonical name -> alternate names
+const KNOWN_ALIASES = {
+    'Kohlberg Kravis Roberts': ['KKR'],
+    'TPG': ['Texas Pacific Group', 'TPG Capital'],
+    'Apollo Global Management': ['Apollo'],
+    'Clayton Dubilier & Rice': ['CD&R'],
+    'Hellman & Friedman': ['H&F'],
+    'Leonard Green & Partners': ['LGP'],
+    'CVC Capital Partners': ['CVC'],
+    'Andreessen Horowitz': ['a16z'],
+    'California Public Employees\' Retirement System': ['CalPERS'],
+    'California State Teachers\' Retirement System': ['CalSTRS'],
+    'Canada Pension Plan Investment Board': ['CPP Investments', 'CPPIB'],
+    'Ontario Teachers\' Pension Plan': ['OTPP', 'Ontario Teachers'],
+    'Abu Dhabi Investment Authority': ['ADIA'],
+    'Government of Singapore Investment Corporation': ['GIC']
+};
+
+class AliasRegistry {
+    constructor(knownAliases = KNOWN_ALIASES) {
+        // Folded name -> Set of display names in the same alias group
+        this.groups = new Map();
+        this.registerAll(knownAliases);
+    }
+
+    /**
+     * Fold a name for comparison: lowercase ASCII words, no punctuation, legal suffixes or filler
+     */
+    normalize(name) {
+        if (typeof name !== 'string') return '';
+
+        const tokens = name
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/['.]/g, '')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        const meaningful = tokens.filter(token => !NAME_NOISE.has(token));
+        return (meaningful.length > 0 ? meaningful : tokens).join(' ');
+    }
+
+    /**
+     * Record that a canonical name and its aliases all refer to the same entity
+     */
+    register(canonicalName, aliases = []) {
+        const names = [canonicalName, ...aliases].filter(name => typeof name === 'string' && name.trim());
+        const group = new Set(names);
+
+        // Joining an existing group (e.g. an alias registered twice) merges the groups
+        for (const name of names) {
+            for (const member of this.groups.get(this.normalize(name)) || []) group.add(member);
+        }
+
+        for (const member of group) {
+            this.groups.set(this.normalize(member), group);
+        }
+    }
+
+    registerAll(aliasMap = {}) {
+        Object.entries(aliasMap).forEach(([canonicalName, aliases]) => this.register(canonicalName, aliases));
+    }
+
+    /**
+     * Known alternate names for a name, excluding the name itself
+     */
+    aliasesOf(name) {
+        const group = this.groups.get(this.normalize(name));
+        if (!group) return [];
+
+        const key = this.normalize(name);
+        return Array.from(group).filter(member => this.normalize(member) !== key);
+    }
+
+    /**
+     * Folded keys an entity should be found under: its name, stored aliases and known aliases
+     */
+    nameKeys(entity) {
+        const names = [entity.name, ...this.parseAliases(entity.aliases)];
+        const keys = new Set();
+
+        for (const name of names) {
+            const key = this.normalize(name);
+            if (!key) continue;
+            keys.add(key);
+            this.aliasesOf(name).forEach(alias => keys.add(this.normalize(alias)));
+        }
+
+        return Array.from(keys);
+    }
+
+    /**
+     * Name-derived properties stored on an entity: normalizedName, aliases (stored plus known) and nameKeys
+     */
+    nameFields(entity) {
+        const aliases = new Set(this.parseAliases(entity.aliases));
+        this.aliasesOf(entity.name).forEach(alias => aliases.add(alias));
+        aliases.delete(entity.name);
+
+        const fields = { normalizedName: this.normalize(entity.name), aliases: Array.from(aliases) };
+        fields.nameKeys = this.nameKeys({ name: entity.name, aliases: fields.aliases });
+        return fields;
+    }
+
+    /**
+     * Values to match a `names` lookup against: the names as given plus their folded and alias keys
+     */
+    lookupKeys(names = []) {
+        const keys = new Set();
+
+        for (const name of names) {
+            if (typeof name !== 'string') continue;
+            keys.add(name);
+            this.nameKeys({ name }).forEach(key => keys.add(key));
+        }
+
+        return Array.from(keys);
+    }
+
+    /**
+     * Aliases as stored: an array, a JSON array string, or a ';' / '|' separated string from CSV input
+     */
+    parseAliases(aliases) {
+        if (Array.isArray(aliases)) return aliases.filter(alias => typeof alias === 'string');
+        if (typeof aliases !== 'string' || !aliases.trim()) return [];
+
+        try {
+            const parsed = JSON.parse(aliases);
+            if (Array.isArray(parsed)) return parsed.filter(alias => typeof alias === 'string');
+        } catch {
+            // Not JSON; fall through to a delimited list
+        }
+
+        return aliases.split(/[;|]/).map(alias => alias.trim()).filter(Boolean);
+    }
+}
+
+AliasRegistry.KNOWN_ALIASES = KNOWN_ALIASES;
+
+module.exports = AliasRegistry;
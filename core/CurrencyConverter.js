@@ -0,0 +1,196 @@
+/**
+ * Currency Converter
+ * The one parser for monetary amounts ("€50bn", "USD 1.2 billion", "£500M", "750,000") and
+ * conversion to the reporting currency using a local FX rate table with as-of dates.
+ *
+ * FX table (config.currency.fxRatesPath):
+ *   {
+ *     "base": "USD",
+ *     "snapshots": [
+ *       { "asOf": "2024-12-31", "rates": { "EUR": 1.0389, "GBP": 1.2529 } }   // 1 unit = N base units
+ *     ]
+ *   }
+ * A conversion uses the latest snapshot on or before the requested date that has both currencies
+ * (the latest overall when no date is given, the earliest when every snapshot is later).
+ */
+
+const fs = require('fs');
+
+// Symbols, longest first so "HK$" wins over "$"; a bare "$" means USD and "¥" JPY
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['A$', 'AUD'], ['AU$', 'AUD'], ['NZ$', 'NZD'],
+    ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'],
+    ['₹', 'INR'], ['₩', 'KRW'], ['$', 'USD']
+].sort((a, b) => b[0].length - a[0].length);
+
+const CURRENCY_WORDS = {
+    'dollar': 'USD', 'dollars': 'USD',
+    'euro': 'EUR', 'euros': 'EUR',
+    'pound': 'GBP', 'pounds': 'GBP', 'sterling': 'GBP',
+    'yen': 'JPY',
+    'franc': 'CHF', 'francs': 'CHF'
+};
+
+const ISO_CODES = new Set([
+    'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'CNY', 'INR', 'KRW',
+    'SEK', 'NOK', 'DKK', 'BRL', 'MXN', 'ZAR', 'AED', 'SAR', 'ILS'
+]);
+
+const MULTIPLIERS = {
+    'trillion': 1e12, 'tn': 1e12, 't': 1e12,
+    'billion': 1e9, 'bn': 1e9, 'b': 1e9,
+    'million': 1e6, 'mn': 1e6, 'mm': 1e6, 'm': 1e6,
+    'thousand': 1e3, 'k': 1e3
+};
+
+const UNITS = 'trillion|billion|million|thousand|tn|bn|mn|mm|[tbmk]';
+const NUMBER_PATTERN = new RegExp(`(\\d[\\d,]*(?:\\.\\d+)?|\\.\\d+)(?:\\s*(${UNITS})\\b)?`, 'i');
+
+class CurrencyConverter {
+    constructor(config = {}) {
+        this.reportingCurrency = (config.reportingCurrency || 'USD').toUpperCase();
+        this.defaultCurrency = (config.defaultCurrency || 'USD').toUpperCase();
+        this.fxRatesPath = config.fxRatesPath || null;
+        this.fxRates = config.fxRates || null;
+        this.fxTable = null;
+    }
+
+    /**
+     * Amount and currency stated in a value: { amount, currency } (currency null if none is named),
+     * or null when there is no number
+     */
+    parse(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? { amount: value, currency: null } : null;
+        }
+        if (typeof value !== 'string') return null;
+
+        const match = value.replace(/["']/g, '').match(NUMBER_PATTERN);
+        if (!match) return null;
+
+        const number = parseFloat(match[1].replace(/,/g, ''));
+        if (isNaN(number)) return null;
+
+        const multiplier = match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1;
+        return { amount: number * multiplier, currency: this.detectCurrency(value) };
+    }
+
+    /**
+     * Currency named in a text by ISO code, symbol or word, or null
+     */
+    detectCurrency(text) {
+        if (typeof text !== 'string') return null;
+
+        for (const token of text.match(/\b[A-Za-z]{3}\b/g) || []) {
+            if (ISO_CODES.has(token.toUpperCase())) return token.toUpperCase();
+        }
+
+        for (const [symbol, code] of CURRENCY_SYMBOLS) {
+            if (text.includes(symbol)) return code;
+        }
+
+        for (const word of text.toLowerCase().match(/[a-z]+/g) || []) {
+            if (CURRENCY_WORDS[word]) return CURRENCY_WORDS[word];
+        }
+
+        return null;
+    }
+
+    /**
+     * First amount in free text that names a currency ("sold for €1.2bn in 2019" -> "€1.2bn"), or null
+     */
+    findAmount(text) {
+        if (typeof text !== 'string') return null;
+
+        const symbols = CURRENCY_SYMBOLS.map(([symbol]) => symbol.replace(/[$]/g, '\\$')).join('|');
+        const codes = Array.from(ISO_CODES).join('|');
+        const number = '\\d(?:[\\d,.]*\\d)?';
+        const units = `(?:\\s*(?:${UNITS})\\b)?`;
+        const pattern = new RegExp(
+            `(?:(?:${symbols})\\s?|\\b(?:${codes})\\s)${number}${units}|\\b${number}${units}\\s?(?:${codes})\\b`,
+            'i'
+        );
+
+        const match = text.match(pattern);
+        return match ? match[0].trim() : null;
+    }
+
+    /**
+     * A value as stored: { amount (reporting currency, null if no FX rate), currency, originalAmount,
+     * fxRate, fxAsOf }, or null when it can't be parsed. `currency` applies when the value names none.
+     */
+    normalize(value, options = {}) {
+        const parsed = this.parse(value);
+        if (!parsed) return null;
+
+        const stated = options.currency ? this.detectCurrency(String(options.currency)) || String(options.currency) : null;
+        const currency = (parsed.currency || stated || this.defaultCurrency).toUpperCase();
+        const conversion = this.convert(parsed.amount, currency, this.reportingCurrency, options.asOf);
+
+        return {
+            amount: conversion ? conversion.amount : null,
+            currency,
+            originalAmount: parsed.amount,
+            fxRate: conversion ? conversion.rate : null,
+            fxAsOf: conversion ? conversion.asOf : null
+        };
+    }
+
+    /**
+     * Convert between currencies: { amount, rate, asOf }, or null when the table has no rate
+     */
+    convert(amount, from, to = this.reportingCurrency, asOf = null) {
+        from = from.toUpperCase();
+        to = to.toUpperCase();
+        if (from === to) return { amount, rate: 1, asOf: null };
+
+        const table = this.loadTable();
+        const valueIn = (snapshot, code) => (code === table.base ? 1 : snapshot.rates[code]);
+
+        const usable = table.snapshots.filter(snapshot => valueIn(snapshot, from) > 0 && valueIn(snapshot, to) > 0);
+        if (usable.length === 0) return null;
+
+        const date = asOf ? String(asOf).slice(0, 10) : null;
+        const onOrBefore = date ? usable.filter(snapshot => snapshot.asOf <= date) : usable;
+        const snapshot = onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : usable[0];
+
+        const rate = valueIn(snapshot, from) / valueIn(snapshot, to);
+        return { amount: Math.round(amount * rate * 100) / 100, rate, asOf: snapshot.asOf };
+    }
+
+    // Private helpers
+
+    /**
+     * The FX table, oldest snapshot first (read from fxRatesPath once unless given as `fxRates`)
+     */
+    loadTable() {
+        if (this.fxTable) return this.fxTable;
+
+        let raw = this.fxRates;
+        if (!raw) {
+            if (!this.fxRatesPath) {
+                throw new Error('No FX rate table configured (currency.fxRatesPath)');
+            }
+
+            try {
+                raw = JSON.parse(fs.readFileSync(this.fxRatesPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid FX rate table ${this.fxRatesPath}: ${error.message}`);
+            }
+        }
+
+        if (!Array.isArray(raw.snapshots)) {
+            throw new Error('FX rate table must have a "snapshots" array');
+        }
+
+        this.fxTable = {
+            base: (raw.base || 'USD').toUpperCase(),
+            snapshots: [...raw.snapshots].sort((a, b) => a.asOf.localeCompare(b.asOf))
+        };
+        return this.fxTable;
+    }
+}
+
+CurrencyConverter.ISO_CODES = ISO_CODES;
+
+module.exports = CurrencyConverter;
@@ -0,0 +1,189 @@
+/**
+ * Cypher Guard
+ * Static read-only check for analyst-supplied Cypher. The statement is tokenized (strings,
+ * comments, quoted identifiers, property keys, labels and parameters are not keywords),
+ * then rejected if it contains a write/admin clause, more than one statement, or a CALL to
+ * a procedure outside the allow-list. This complements, not replaces, running the statement
+ * in a READ access-mode transaction.
+ */
+
+// Clauses that write, load external data, or administer the database
+const BLOCKED_CLAUSES = new Set([
+    'CREATE', 'MERGE', 'SET', 'DELETE', 'DETACH', 'REMOVE', 'DROP', 'FOREACH',
+    'LOAD', 'USE', 'ALTER', 'RENAME', 'GRANT', 'DENY', 'REVOKE',
+    'START', 'STOP', 'ENABLE', 'TERMINATE', 'SHOW', 'TRANSACTIONS'
+]);
+
+// Read-only introspection procedures analysts may call by default
+const DEFAULT_ALLOWED_PROCEDURES = [
+    'db.labels',
+    'db.relationshipTypes',
+    'db.propertyKeys',
+    'db.schema.visualization',
+    'db.schema.nodeTypeProperties',
+    'db.schema.relTypeProperties'
+];
+
+class CypherGuard {
+    constructor(options = {}) {
+        this.allowedProcedures = new Set(
+            (options.allowedProcedures || DEFAULT_ALLOWED_PROCEDURES).map(name => name.toLowerCase())
+        );
+    }
+
+    /**
+     * Throw (400 malformed, 403 not read-only) unless the query is a single read statement
+     */
+    assertReadOnly(query) {
+        if (typeof query !== 'string' || !query.trim()) {
+            throw this.guardError('Cypher query is required', 400);
+        }
+
+        const tokens = this.tokenize(query);
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'symbol' && token.value === ';') {
+                if (i < tokens.length - 1) {
+                    throw this.guardError('Only a single statement is allowed', 400);
+                }
+                continue;
+            }
+
+            if (!this.isKeywordPosition(tokens, i)) continue;
+
+            const keyword = token.value.toUpperCase();
+
+            if (BLOCKED_CLAUSES.has(keyword)) {
+                throw this.guardError(`Only read queries are allowed (found ${keyword})`, 403);
+            }
+
+            if (keyword === 'CALL') {
+                const next = tokens[i + 1];
+
+                // CALL { ... } / CALL (...) { ... } subqueries are checked token by token
+                if (next?.type === 'symbol' && (next.value === '{' || next.value === '(')) continue;
+
+                const procedure = this.readQualifiedName(tokens, i + 1);
+                if (!procedure || !this.allowedProcedures.has(procedure.toLowerCase())) {
+                    throw this.guardError(`Procedure not allowed: ${procedure || '(unknown)'}`, 403);
+                }
+            }
+        }
+    }
+
+    /**
+     * Split a query into word, string, identifier, number and symbol tokens, dropping comments
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const ch = query[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '/' && query[i + 1] === '/') {
+                const end = query.indexOf('\n', i);
+                i = end === -1 ? query.length : end + 1;
+            } else if (ch === '/' && query[i + 1] === '*') {
+                const end = query.indexOf('*/', i + 2);
+                if (end === -1) throw this.guardError('Unterminated comment in query', 400);
+                i = end + 2;
+            } else if (ch === '\'' || ch === '"') {
+                i = this.skipString(query, i);
+                tokens.push({ type: 'string' });
+            } else if (ch === '`') {
+                i = this.skipQuotedIdentifier(query, i);
+                tokens.push({ type: 'identifier' });
+            } else if (/[A-Za-z_]/.test(ch)) {
+                const start = i;
+                while (i < query.length && /[A-Za-z0-9_]/.test(query[i])) i++;
+                tokens.push({ type: 'word', value: query.slice(start, i) });
+            } else if (/[0-9]/.test(ch)) {
+                while (i < query.length && /[0-9A-Za-z_.]/.test(query[i]) && !(query[i] === '.' && query[i + 1] === '.')) i++;
+                tokens.push({ type: 'number' });
+            } else {
+                tokens.push({ type: 'symbol', value: ch });
+                i++;
+            }
+        }
+
+        return tokens;
+    }
+
+    // Private helpers
+
+    /**
+     * Words after '.', ':' or '$' (property keys, labels/types, parameters) and
+     * words before ':' (map keys, variable bindings) are never clauses
+     */
+    isKeywordPosition(tokens, i) {
+        if (tokens[i].type !== 'word') return false;
+
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+
+        if (prev?.type === 'symbol' && ['.', ':', '$'].includes(prev.value)) return false;
+        if (next?.type === 'symbol' && next.value === ':') return false;
+
+        return true;
+    }
+
+    readQualifiedName(tokens, start) {
+        const parts = [];
+        let i = start;
+
+        while (tokens[i]?.type === 'word') {
+            parts.push(tokens[i].value);
+            if (tokens[i + 1]?.type === 'symbol' && tokens[i + 1].value === '.') {
+                i += 2;
+            } else {
+                break;
+            }
+        }
+
+        return parts.join('.');
+    }
+
+    skipString(query, start) {
+        const quote = query[start];
+
+        for (let i = start + 1; i < query.length; i++) {
+            if (query[i] === '\\') {
+                i++;
+            } else if (query[i] === quote) {
+                return i + 1;
+            }
+        }
+
+        throw this.guardError('Unterminated string in query', 400);
+    }
+
+    skipQuotedIdentifier(query, start) {
+        for (let i = start + 1; i < query.length; i++) {
+            if (query[i] === '`') {
+                // A doubled backtick is an escaped backtick inside the identifier
+                if (query[i + 1] === '`') {
+                    i++;
+                } else {
+                    return i + 1;
+                }
+            }
+        }
+
+        throw this.guardError('Unterminated identifier in query', 400);
+    }
+
+    guardError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+CypherGuard.DEFAULT_ALLOWED_PROCEDURES = DEFAULT_ALLOWED_PROCEDURES;
+
+module.exports = CypherGuard;
@@ -0,0 +1,129 @@
+/**
+ * Entity Lineage
+ * Per-property provenance for ingested entities. Every stored entity may carry `lineage`
+ * (a JSON string): property -> observations, one per source file, row and column that supplied it:
+ *
+ *   { "aum": [
+ *       { "value": "$50bn", "file": "Private Equity.txt", "row": 12, "column": "AUM",
+ *         "profile": "private-equity", "jobId": "…", "sourceType": "INDUSTRY_DATABASES",
+ *         "ingestedAt": "2024-05-01T09:00:00.000Z" },
+ *       { "value": "€45bn", "file": "VendorX_managers.csv", … } ] }
+ *
+ * `value` is what the source supplied after profile transforms (`raw` keeps the source cell when a
+ * transform changed it), so files that disagree stay visible side by side whichever one was
+ * written last, and so do rows of one file that resolve to the same entity. Re-ingesting a file
+ * replaces its own observation only when the value changed, so an unchanged file leaves the
+ * lineage (and the entity) untouched.
+ */
+
+const _ = require('lodash');
+
+// When and by which job a value was seen: a re-observation of the same value isn't a change
+const RUN_FIELDS = ['ingestedAt', 'jobId'];
+
+class EntityLineage {
+    /**
+     * Stored lineage as an object ({} when absent or unreadable)
+     */
+    parse(lineage) {
+        if (!lineage) return {};
+        if (typeof lineage === 'object') return lineage;
+
+        try {
+            const parsed = JSON.parse(lineage);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Lineage after a new ingestion: incoming observations replace the stored one from the same
+     * file, row and column, unless the value is unchanged (the stored one, with its original
+     * job and timestamp, is kept); observations from other sources are kept
+     */
+    merge(stored, incoming) {
+        const merged = this.copy(this.parse(stored));
+
+        for (const [property, observations] of Object.entries(this.parse(incoming))) {
+            const list = merged[property] || (merged[property] = []);
+
+            for (const observation of observations) {
+                const index = list.findIndex(existing => this.sameSource(existing, observation));
+
+                if (index === -1) {
+                    list.push(observation);
+                } else if (!_.isEqual(list[index].value, observation.value)) {
+                    list[index] = observation;
+                }
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Lineage of two merged entities: every observation of both, the survivor's first
+     */
+    combine(survivor, duplicate) {
+        const combined = this.copy(this.parse(survivor));
+
+        for (const [property, observations] of Object.entries(this.parse(duplicate))) {
+            const list = combined[property] || (combined[property] = []);
+            observations
+                .filter(observation => !list.some(existing => this.sameSource(existing, observation)))
+                .forEach(observation => list.push(observation));
+        }
+
+        return combined;
+    }
+
+    /**
+     * Current value and sources of each property with lineage. `conflict` is set when the
+     * sources supplied different values.
+     */
+    describe(entity) {
+        const properties = {};
+
+        for (const [property, sources] of Object.entries(this.parse(entity.lineage))) {
+            const values = new Set(sources.map(source => this.valueKey(source.value)));
+
+            properties[property] = {
+                value: entity[property] ?? null,
+                conflict: values.size > 1,
+                sources
+            };
+        }
+
+        return properties;
+    }
+
+    /**
+     * Whether two lineages record the same observations, ignoring when and by which job each was made
+     */
+    equivalent(a, b) {
+        const withoutRuns = lineage => _.mapValues(this.parse(lineage), observations =>
+            observations.map(observation => _.omit(observation, RUN_FIELDS)));
+
+        return _.isEqual(withoutRuns(a), withoutRuns(b));
+    }
+
+    /**
+     * Key under which observed values count as the same (strings ignore case and surrounding space)
+     */
+    valueKey(value) {
+        return typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
+    }
+
+    // Private helpers
+
+    sameSource(a, b) {
+        return a.file === b.file && a.row === b.row && a.column === b.column;
+    }
+
+    copy(lineage) {
+        return Object.fromEntries(Object.entries(lineage).map(([property, observations]) => [property, [...observations]]));
+    }
+}
+
+module.exports = EntityLineage;
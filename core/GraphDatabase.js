@@ -1,13 +1,15 @@
 /**
  * Graph Database interface for Neo4j
- * Handles all graph operations for the Private Markets Knowledge Store
+ * Neo4j implementation of the StorageAdapter contract for the Private Markets Knowledge Store
  */
 
 const neo4j = require('neo4j-driver');
 const winston = require('winston');
+const StorageAdapter = require('./StorageAdapter');
 
-class GraphDatabase {
+class GraphDatabase extends StorageAdapter {
     constructor(config) {
+        super();
         this.config = config;
         this.driver = null;
         this.session = null;
@@ -65,11 +67,11 @@ class GraphDatabase {
         return this.connected;
     }
 
-    getSession() {
+    getSession(options = {}) {
         if (!this.driver || !this.connected) {
             throw new Error('Database not connected');
         }
-        return this.driver.session();
+        return this.driver.session(options);
     }
 
     async initializeSchema() {
@@ -102,6 +104,7 @@ class GraphDatabase {
             const indexes = [
                 'CREATE INDEX entity_type_index IF NOT EXISTS FOR (e:Entity) ON (e.type)',
                 'CREATE INDEX entity_name_index IF NOT EXISTS FOR (e:Entity) ON (e.name)',
+                'CREATE INDEX entity_normalized_name_index IF NOT EXISTS FOR (e:Entity) ON (e.normalizedName)',
                 'CREATE INDEX entity_sector_index IF NOT EXISTS FOR (e:Entity) ON (e.sector)',
                 'CREATE INDEX entity_country_index IF NOT EXISTS FOR (e:Entity) ON (e.country)',
                 'CREATE INDEX entity_aum_index IF NOT EXISTS FOR (e:Entity) ON (e.aum)',
@@ -166,14 +169,97 @@ class GraphDatabase {
         }
     }
 
+    async createEntities(entities, options = {}) {
+        const { rows, errors } = this.partitionEntityBatch(entities);
+        const result = { created: [], errors };
+
+        if (options.atomic && errors.length > 0) {
+            throw this.batchError(errors);
+        }
+
+        const batchSize = Math.floor(options.batchSize || 1000);
+        const chunks = [];
+        for (let i = 0; i < rows.length; i += batchSize) {
+            chunks.push(rows.slice(i, i + batchSize));
+        }
+
+        const session = this.getSession();
+
+        try {
+            if (options.atomic) {
+                // Single transaction for the whole call: any failure rolls every chunk back
+                result.created = await session.executeWrite(async tx => {
+                    const stored = [];
+                    for (const chunk of chunks) {
+                        stored.push(...await this.mergeEntityRows(tx, chunk));
+                    }
+                    return stored;
+                });
+                return result;
+            }
+
+            for (const chunk of chunks) {
+                try {
+                    result.created.push(...await session.executeWrite(tx => this.mergeEntityRows(tx, chunk)));
+                } catch (error) {
+                    // Retry row by row so one bad row doesn't sink the rest of the chunk
+                    this.logger.warn(`Batch write of ${chunk.length} entities failed, retrying individually: ${error.message}`);
+                    for (const row of chunk) {
+                        try {
+                            result.created.push(...await session.executeWrite(tx => this.mergeEntityRows(tx, [row])));
+                        } catch (rowError) {
+                            result.errors.push({ index: row.index, id: row.entity.id, error: rowError.message });
+                        }
+                    }
+                }
+            }
+
+            result.errors.sort((a, b) => a.index - b.index);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Failed to create entities:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Parameterized bulk MERGE of entity rows inside a transaction
+     */
+    async mergeEntityRows(tx, rows) {
+        const query = `
+            UNWIND $rows AS row
+            MERGE (e:Entity {id: row.id})
+            ON CREATE SET 
+                e.name = row.name,
+                e.type = row.type,
+                e.created = datetime(),
+                e.updated = datetime()
+            ON MATCH SET 
+                e.updated = datetime()
+            SET e += row
+            RETURN e
+        `;
+
+        const result = await tx.run(query, {
+            rows: rows.map(row => this.serializeEntityData(row.entity))
+        });
+
+        return result.records.map(record => record.get('e').properties);
+    }
+
     async createRelationship(fromId, toId, relationshipType, properties = {}) {
+        // Types can't be query parameters: only registered names are quoted into the query
+        const quotedType = this.relationshipTypes.quote(relationshipType);
         const session = this.getSession();
         
         try {
             const query = `
                 MATCH (from:Entity {id: $fromId})
                 MATCH (to:Entity {id: $toId})
-                MERGE (from)-[r:${relationshipType}]->(to)
+                MERGE (from)-[r:${quotedType}]->(to)
                 ON CREATE SET 
                     r.created = datetime(),
                     r.updated = datetime(),
@@ -207,44 +293,105 @@ class GraphDatabase {
         }
     }
 
-    async findEntities(filters = {}, limit = 100) {
+    async getEntity(id) {
         const session = this.getSession();
-        
+
         try {
-            let query = 'MATCH (e:Entity)';
-            const conditions = [];
-            const parameters = { limit: neo4j.int(Math.floor(limit)) };
+            const result = await session.run('MATCH (e:Entity {id: $id}) RETURN e', { id });
+            return result.records[0]?.get('e').properties || null;
 
-            if (filters.type) {
-                conditions.push('e.type = $type');
-                parameters.type = filters.type;
-            }
+        } catch (error) {
+            this.logger.error('Failed to get entity:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
 
-            if (filters.name) {
-                conditions.push('e.name CONTAINS $name');
-                parameters.name = filters.name;
-            }
+    async updateEntity(id, properties, options = {}) {
+        const session = this.getSession();
 
-            if (filters.sector) {
-                conditions.push('e.sector = $sector');
-                parameters.sector = filters.sector;
-            }
+        try {
+            const serializedData = this.serializeEntityData(properties);
+            delete serializedData.id;
+            delete serializedData.created;
+
+            const query = options.replace
+                ? `
+                    MATCH (e:Entity {id: $id})
+                    WITH e, e.created as created
+                    SET e = $properties
+                    SET e.id = $id, e.created = created, e.updated = datetime()
+                    RETURN e
+                `
+                : `
+                    MATCH (e:Entity {id: $id})
+                    SET e += $properties, e.updated = datetime()
+                    RETURN e
+                `;
+
+            const result = await session.run(query, { id, properties: serializedData });
+            return result.records[0]?.get('e').properties || null;
+
+        } catch (error) {
+            this.logger.error('Failed to update entity:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async deleteEntity(id, options = {}) {
+        const session = this.getSession();
 
-            if (filters.country) {
-                conditions.push('e.country = $country');
-                parameters.country = filters.country;
+        try {
+            const check = await session.run(
+                'MATCH (e:Entity {id: $id}) OPTIONAL MATCH (e)-[r]-() RETURN count(r) as relationships',
+                { id }
+            );
+
+            if (check.records.length === 0) {
+                return false;
             }
 
-            if (filters.minAum) {
-                conditions.push('e.aum >= $minAum');
-                parameters.minAum = filters.minAum;
+            const relationshipCount = Number(check.records[0].get('relationships'));
+            if (relationshipCount > 0 && !options.cascade) {
+                const error = new Error(`Entity ${id} has ${relationshipCount} relationships; use cascade to delete them`);
+                error.status = 409;
+                throw error;
             }
 
+            await session.run('MATCH (e:Entity {id: $id}) DETACH DELETE e', { id });
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to delete entity:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async findEntities(filters = {}, limit = 100, options = {}) {
+        const session = this.getSession();
+        
+        try {
+            const parameters = {
+                limit: neo4j.int(Math.floor(limit)),
+                offset: neo4j.int(Math.floor(options.offset || 0))
+            };
+            const conditions = this.buildEntityConditions(filters, parameters);
+
+            let query = 'MATCH (e:Entity)';
             if (conditions.length > 0) {
                 query += ' WHERE ' + conditions.join(' AND ');
             }
 
-            query += ' RETURN e LIMIT $limit';
+            query += ' RETURN e';
+            if (options.orderBy === 'id') {
+                query += ' ORDER BY e.id';
+            }
+            query += ' SKIP $offset LIMIT $limit';
 
             const result = await session.run(query, parameters);
             return result.records.map(record => record.get('e').properties);
@@ -257,6 +404,69 @@ class GraphDatabase {
         }
     }
 
+    async getRelationship(fromId, toId, relationshipType) {
+        const session = this.getSession();
+
+        try {
+            const result = await session.run(`
+                MATCH (from:Entity {id: $fromId})-[r]->(to:Entity {id: $toId})
+                WHERE type(r) = $relationshipType
+                RETURN r
+                LIMIT 1
+            `, { fromId, toId, relationshipType });
+
+            return result.records[0]?.get('r').properties || null;
+
+        } catch (error) {
+            this.logger.error('Failed to get relationship:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async updateRelationship(fromId, toId, relationshipType, properties) {
+        const session = this.getSession();
+
+        try {
+            const result = await session.run(`
+                MATCH (from:Entity {id: $fromId})-[r]->(to:Entity {id: $toId})
+                WHERE type(r) = $relationshipType
+                SET r += $properties, r.updated = datetime()
+                RETURN r
+            `, { fromId, toId, relationshipType, properties });
+
+            return result.records[0]?.get('r').properties || null;
+
+        } catch (error) {
+            this.logger.error('Failed to update relationship:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async deleteRelationship(fromId, toId, relationshipType) {
+        const session = this.getSession();
+
+        try {
+            const result = await session.run(`
+                MATCH (from:Entity {id: $fromId})-[r]->(to:Entity {id: $toId})
+                WHERE type(r) = $relationshipType
+                DELETE r
+                RETURN count(r) as deleted
+            `, { fromId, toId, relationshipType });
+
+            return Number(result.records[0]?.get('deleted')) > 0;
+
+        } catch (error) {
+            this.logger.error('Failed to delete relationship:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
     async findRelationships(entityId, relationshipType = null, direction = 'both') {
         const session = this.getSession();
         
@@ -273,7 +483,8 @@ class GraphDatabase {
             }
 
             if (relationshipType) {
-                query = query.replace('[r]', `[r:${relationshipType}]`);
+                parameters.relationshipType = this.relationshipTypes.assertValidName(relationshipType);
+                query += ' WHERE type(r) = $relationshipType';
             }
 
             query += ' RETURN type(r) as relationshipType, r, other ORDER BY r.confidence DESC, r.weight DESC';
@@ -294,6 +505,181 @@ class GraphDatabase {
         }
     }
 
+    async listRelationships(filters = {}, limit = 100, options = {}) {
+        const session = this.getSession();
+
+        try {
+            const parameters = {
+                limit: neo4j.int(Math.floor(limit)),
+                offset: neo4j.int(Math.floor(options.offset || 0))
+            };
+            const conditions = this.buildRelationshipConditions(filters, parameters);
+
+            let query = 'MATCH (a:Entity)-[r]->(b:Entity)';
+            if (conditions.length > 0) {
+                query += ' WHERE ' + conditions.join(' AND ');
+            }
+
+            query += ' RETURN type(r) as relationshipType, a, r, b';
+            if (options.orderBy === 'id') {
+                query += ' ORDER BY a.id, relationshipType, b.id';
+            }
+            query += ' SKIP $offset LIMIT $limit';
+
+            const result = await session.run(query, parameters);
+
+            return result.records.map(record => ({
+                type: record.get('relationshipType'),
+                from: record.get('a').properties,
+                to: record.get('b').properties,
+                relationship: record.get('r').properties
+            }));
+
+        } catch (error) {
+            this.logger.error('Failed to list relationships:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async aggregateEntities(groupBy = [], filters = {}, options = {}) {
+        const session = this.getSession();
+
+        try {
+            const parameters = {};
+            const conditions = this.buildEntityConditions(filters, parameters);
+            const sumFields = options.sum || [];
+
+            const columns = groupBy.map((field, i) => {
+                parameters[`group${i}`] = field;
+                return `e[$group${i}] as group${i}`;
+            });
+            columns.push('count(e) as count');
+            sumFields.forEach((field, i) => {
+                parameters[`sum${i}`] = field;
+                columns.push(`sum(coalesce(toFloat(e[$sum${i}]), 0)) as sum${i}`);
+            });
+
+            let query = 'MATCH (e:Entity)';
+            if (conditions.length > 0) {
+                query += ' WHERE ' + conditions.join(' AND ');
+            }
+            query += ` RETURN ${columns.join(', ')} ORDER BY count DESC`;
+
+            const result = await session.run(query, parameters);
+
+            return result.records.map(record => {
+                const row = {};
+                groupBy.forEach((field, i) => {
+                    row[field] = record.get(`group${i}`);
+                });
+                row.count = Number(record.get('count'));
+                row.totals = {};
+                sumFields.forEach((field, i) => {
+                    row.totals[field] = Number(record.get(`sum${i}`));
+                });
+                return row;
+            });
+
+        } catch (error) {
+            this.logger.error('Failed to aggregate entities:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async aggregateRelationships(groupBy = ['type'], filters = {}) {
+        const session = this.getSession();
+
+        try {
+            const parameters = {};
+            const conditions = this.buildRelationshipConditions(filters, parameters);
+
+            const columns = groupBy.map((field, i) => {
+                if (field === 'type') {
+                    return `type(r) as group${i}`;
+                }
+                parameters[`group${i}`] = field;
+                return `r[$group${i}] as group${i}`;
+            });
+            columns.push('count(r) as count');
+
+            let query = 'MATCH (:Entity)-[r]->(:Entity)';
+            if (conditions.length > 0) {
+                query += ' WHERE ' + conditions.join(' AND ');
+            }
+            query += ` RETURN ${columns.join(', ')} ORDER BY count DESC`;
+
+            const result = await session.run(query, parameters);
+
+            return result.records.map(record => {
+                const row = {};
+                groupBy.forEach((field, i) => {
+                    row[field] = record.get(`group${i}`);
+                });
+                row.count = Number(record.get('count'));
+                return row;
+            });
+
+        } catch (error) {
+            this.logger.error('Failed to aggregate relationships:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async searchEntities(terms, options = {}) {
+        const session = this.getSession();
+
+        try {
+            const parameters = {
+                terms: terms.map(term => String(term).toLowerCase()),
+                fields: options.fields || ['name', 'description'],
+                limit: neo4j.int(Math.floor(options.limit || 100))
+            };
+
+            const conditions = [
+                'any(term IN $terms WHERE any(field IN $fields WHERE e[field] IS NOT NULL AND toLower(toString(e[field])) CONTAINS term))'
+            ];
+            if (options.types?.length > 0) {
+                conditions.push('e.type IN $types');
+                parameters.types = options.types;
+            }
+
+            const query = `MATCH (e:Entity) WHERE ${conditions.join(' AND ')} RETURN e LIMIT $limit`;
+            const result = await session.run(query, parameters);
+            return result.records.map(record => record.get('e').properties);
+
+        } catch (error) {
+            this.logger.error('Failed to search entities:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async ensureIndex(entityType, property, options = {}) {
+        const identifier = /^[A-Za-z_][A-Za-z0-9_]*$/;
+        if (!identifier.test(entityType) || !identifier.test(property)) {
+            throw new Error(`Invalid index target: ${entityType}.${property}`);
+        }
+
+        const name = `${entityType.toLowerCase()}_${property}_${options.unique ? 'unique' : 'index'}`;
+        const query = options.unique
+            ? `CREATE CONSTRAINT ${name} IF NOT EXISTS FOR (n:\`${entityType}\`) REQUIRE n.\`${property}\` IS UNIQUE`
+            : `CREATE INDEX ${name} IF NOT EXISTS FOR (n:\`${entityType}\`) ON (n.\`${property}\`)`;
+
+        const session = this.getSession();
+        try {
+            await session.run(query);
+        } finally {
+            await session.close();
+        }
+    }
+
     async executeCustomQuery(query, parameters = {}) {
         const session = this.getSession();
         
@@ -321,6 +707,70 @@ class GraphDatabase {
         }
     }
 
+    /**
+     * Run an analyst query in a READ access-mode transaction with a timeout,
+     * returning at most maxRows records
+     */
+    async executeReadQuery(query, parameters = {}, options = {}) {
+        const maxRows = Math.floor(options.maxRows || 1000);
+        const session = this.getSession({ defaultAccessMode: neo4j.session.READ });
+
+        try {
+            this.logger.debug(`Executing read query: ${query}`, parameters);
+
+            const { records, truncated } = await session.executeRead(async tx => {
+                const result = tx.run(query, parameters);
+                const rows = [];
+
+                // Stream and stop once one row past the limit shows the result was cut off
+                for await (const record of result) {
+                    if (rows.length === maxRows) {
+                        return { records: rows, truncated: true };
+                    }
+                    rows.push(record);
+                }
+                return { records: rows, truncated: false };
+            }, { timeout: options.timeout });
+
+            return {
+                records: records.map(record => {
+                    const obj = {};
+                    record.keys.forEach(key => {
+                        const value = record.get(key);
+                        obj[key] = value?.properties || value;
+                    });
+                    return obj;
+                }),
+                truncated,
+                rowLimit: maxRows
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to execute read query:', error);
+            throw this.classifyQueryError(error);
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Map Neo4j client errors onto HTTP statuses for the API layer
+     */
+    classifyQueryError(error) {
+        const code = error.code || '';
+
+        if (code.includes('TransactionTimedOut')) {
+            error.status = 504;
+            error.message = 'Query exceeded the server-side timeout';
+        } else if (code.includes('AccessMode') || code.startsWith('Neo.ClientError.Security')) {
+            error.status = 403;
+        } else if (code.startsWith('Neo.ClientError.Statement') || code.startsWith('Neo.ClientError.Procedure')) {
+            error.status = 400;
+        }
+
+        return error;
+    }
+
     async getGraphStats() {
         const session = this.getSession();
         
@@ -423,12 +873,14 @@ class GraphDatabase {
     }
 
     async findShortestPath(fromId, toId, maxHops = 6) {
+        // Variable-length bounds can't be parameters: validate before interpolating
+        const hops = this.validateMaxHops(maxHops);
         const session = this.getSession();
         
         try {
             const query = `
                 MATCH (from:Entity {id: $fromId}), (to:Entity {id: $toId})
-                MATCH path = shortestPath((from)-[*1..${maxHops}]-(to))
+                MATCH path = shortestPath((from)-[*1..${hops}]-(to))
                 RETURN path, length(path) as pathLength
                 ORDER BY pathLength
                 LIMIT 1
@@ -483,34 +935,111 @@ class GraphDatabase {
     }
 
     /**
-     * Serialize complex objects for Neo4j storage
+     * Translate contract entity filters into Cypher conditions on `e`
      */
-    serializeEntityData(entityData) {
-        const serialized = { ...entityData };
-        
-        // Convert complex objects to JSON strings and ensure proper types
-        for (const [key, value] of Object.entries(serialized)) {
-            if (value && typeof value === 'object' && !Array.isArray(value)) {
-                if (value instanceof Date) {
-                    serialized[key] = value.toISOString();
-                } else {
-                    serialized[key] = JSON.stringify(value);
-                }
-            } else if (Array.isArray(value)) {
-                // Handle arrays of objects
-                if (value.length > 0 && typeof value[0] === 'object') {
-                    serialized[key] = JSON.stringify(value);
-                } else {
-                    // Keep primitive arrays as is
-                    serialized[key] = value;
-                }
-            } else if (typeof value === 'number' && !Number.isInteger(value)) {
-                // Keep floats as floats, but ensure they're proper numbers
-                serialized[key] = Number(value);
-            }
+    buildEntityConditions(filters, parameters) {
+        const conditions = [];
+
+        if (filters.id) {
+            conditions.push('e.id = $id');
+            parameters.id = filters.id;
         }
-        
-        return serialized;
+
+        if (filters.ids) {
+            conditions.push('e.id IN $ids');
+            parameters.ids = filters.ids;
+        }
+
+        if (filters.type) {
+            conditions.push('e.type = $type');
+            parameters.type = filters.type;
+        }
+
+        if (filters.types) {
+            conditions.push('e.type IN $types');
+            parameters.types = filters.types;
+        }
+
+        if (filters.typeContains) {
+            conditions.push('e.type CONTAINS $typeContains');
+            parameters.typeContains = filters.typeContains;
+        }
+
+        if (filters.name) {
+            conditions.push('e.name CONTAINS $name');
+            parameters.name = filters.name;
+        }
+
+        if (filters.names) {
+            conditions.push('(e.name IN $names OR e.normalizedName IN $names OR any(key IN coalesce(e.nameKeys, []) WHERE key IN $names))');
+            parameters.names = this.aliases.lookupKeys(filters.names);
+        }
+
+        if (filters.sector) {
+            conditions.push('e.sector = $sector');
+            parameters.sector = filters.sector;
+        }
+
+        if (filters.country) {
+            conditions.push('e.country = $country');
+            parameters.country = filters.country;
+        }
+
+        if (filters.minAum) {
+            conditions.push('e.aum >= $minAum');
+            parameters.minAum = filters.minAum;
+        }
+
+        Object.entries(filters.min || {}).forEach(([property, value], i) => {
+            conditions.push(`e[$minProperty${i}] >= $minValue${i}`);
+            parameters[`minProperty${i}`] = property;
+            parameters[`minValue${i}`] = value;
+        });
+
+        if (filters.createdAfter) {
+            conditions.push('e.created > datetime($createdAfter)');
+            parameters.createdAfter = filters.createdAfter;
+        }
+
+        if (filters.updatedAfter) {
+            conditions.push('coalesce(e.updated, e.created) > datetime($updatedAfter)');
+            parameters.updatedAfter = filters.updatedAfter;
+        }
+
+        if (filters.updatedBefore) {
+            conditions.push('coalesce(e.updated, e.created) <= datetime($updatedBefore)');
+            parameters.updatedBefore = filters.updatedBefore;
+        }
+
+        if (filters.idAfter) {
+            conditions.push('e.id > $idAfter');
+            parameters.idAfter = filters.idAfter;
+        }
+
+        return conditions;
+    }
+
+    /**
+     * Translate contract relationship filters into Cypher conditions on `r`
+     */
+    buildRelationshipConditions(filters, parameters) {
+        const conditions = [];
+
+        if (filters.types) {
+            conditions.push('type(r) IN $types');
+            parameters.types = filters.types;
+        }
+
+        if (filters.inferred) {
+            conditions.push('r.inferredAt IS NOT NULL');
+        }
+
+        if (filters.inferredAfter) {
+            conditions.push('r.inferredAt >= $inferredAfter');
+            parameters.inferredAfter = filters.inferredAfter;
+        }
+
+        return conditions;
     }
 }
 
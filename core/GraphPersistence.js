@@ -0,0 +1,179 @@
+/**
+ * Graph Persistence
+ * Durable local storage for the embedded graph: an append-only operation log plus
+ * periodic snapshots. On startup the latest snapshot is loaded and the log replayed on top.
+ *
+ * Files (under the configured directory):
+ *  - graph.snapshot.json  full graph state at a given sequence number
+ *  - graph.log.ndjson     one operation per line, each tagged with its sequence number
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const SNAPSHOT_FILE = 'graph.snapshot.json';
+const LOG_FILE = 'graph.log.ndjson';
+const SNAPSHOT_VERSION = 1;
+
+class GraphPersistence {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('Graph persistence requires a directory');
+        }
+
+        this.directory = options.directory;
+        this.snapshotInterval = options.snapshotInterval || 1000;
+        this.snapshotPath = path.join(this.directory, SNAPSHOT_FILE);
+        this.logPath = path.join(this.directory, LOG_FILE);
+
+        this.sequence = 0;
+        this.operationsSinceSnapshot = 0;
+        this.logFd = null;
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'graph-persistence' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Load the latest snapshot and the operations logged after it
+     */
+    load() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+
+            const snapshot = this.readSnapshot();
+            const snapshotSequence = snapshot ? snapshot.sequence : 0;
+            const { entries, torn } = this.readLog();
+            const operations = entries.filter(entry => entry.seq > snapshotSequence);
+
+            if (torn) {
+                // Drop the partial line so new appends start on a clean line
+                fs.writeFileSync(this.logPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            }
+
+            this.sequence = operations.length > 0
+                ? operations[operations.length - 1].seq
+                : snapshotSequence;
+            this.operationsSinceSnapshot = operations.length;
+
+            this.logFd = fs.openSync(this.logPath, 'a');
+
+            this.logger.info(`📂 Loaded graph from ${this.directory} (snapshot seq ${snapshotSequence}, ${operations.length} logged operations)`);
+            return { snapshot, operations };
+
+        } catch (error) {
+            this.logger.error('Failed to load persisted graph:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Append an operation to the log. Returns true when a snapshot is due.
+     * Writes are synchronous so the log order always matches the in-memory order.
+     */
+    append(op, data) {
+        if (this.logFd === null) {
+            throw new Error('Graph persistence not loaded');
+        }
+
+        this.sequence++;
+        fs.writeSync(this.logFd, JSON.stringify({ seq: this.sequence, op, data }) + '\n');
+        this.operationsSinceSnapshot++;
+
+        return this.operationsSinceSnapshot >= this.snapshotInterval;
+    }
+
+    /**
+     * Write a snapshot atomically (temp file + rename), then truncate the log
+     */
+    writeSnapshot(state) {
+        try {
+            const snapshot = {
+                version: SNAPSHOT_VERSION,
+                sequence: this.sequence,
+                savedAt: new Date().toISOString(),
+                ...state
+            };
+
+            const tempPath = `${this.snapshotPath}.tmp`;
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeSync(fd, JSON.stringify(snapshot));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, this.snapshotPath);
+
+            // Entries up to this sequence are now in the snapshot; a crash before this
+            // truncate is harmless because load() skips them by sequence number
+            if (this.logFd !== null) {
+                fs.ftruncateSync(this.logFd, 0);
+            } else {
+                fs.writeFileSync(this.logPath, '');
+            }
+            this.operationsSinceSnapshot = 0;
+
+            this.logger.info(`💾 Graph snapshot written at seq ${snapshot.sequence}`);
+
+        } catch (error) {
+            this.logger.error('Failed to write graph snapshot:', error);
+            throw error;
+        }
+    }
+
+    close() {
+        if (this.logFd !== null) {
+            fs.closeSync(this.logFd);
+            this.logFd = null;
+        }
+    }
+
+    // Private helpers
+
+    readSnapshot() {
+        if (!fs.existsSync(this.snapshotPath)) {
+            return null;
+        }
+
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported graph snapshot version: ${snapshot.version}`);
+        }
+        return snapshot;
+    }
+
+    readLog() {
+        if (!fs.existsSync(this.logPath)) {
+            return { entries: [], torn: false };
+        }
+
+        const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+        const entries = [];
+        let torn = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+
+            try {
+                entries.push(JSON.parse(lines[i]));
+            } catch (error) {
+                // A torn final line means the process died mid-write; anything else is corruption
+                if (lines.slice(i + 1).some(line => line.trim())) {
+                    throw new Error(`Corrupt graph log at line ${i + 1}: ${error.message}`);
+                }
+                this.logger.warn(`Ignoring incomplete final graph log entry at line ${i + 1}`);
+                torn = true;
+            }
+        }
+
+        return { entries, torn };
+    }
+}
+
+module.exports = GraphPersistence;
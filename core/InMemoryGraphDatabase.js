@@ -0,0 +1,903 @@
+/**
+ * In-memory graph database
+ * Embedded, dependency-free implementation of the StorageAdapter contract so the
+ * Knowledge Store can run without a Neo4j server (local development, CI, demos).
+ * With a `persistence` config the graph is also written to disk and restored on connect.
+ */
+
+const winston = require('winston');
+const StorageAdapter = require('./StorageAdapter');
+const GraphPersistence = require('./GraphPersistence');
+
+class InMemoryGraphDatabase extends StorageAdapter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+        this.connected = false;
+
+        // Node and relationship storage
+        this.entities = new Map();
+        this.relationships = new Map();
+
+        // Adjacency indexes: entity id -> Set of relationship keys
+        this.outgoing = new Map();
+        this.incoming = new Map();
+
+        // Exact-match lookup for the `names` filter: name / normalizedName / nameKeys -> Set of entity ids
+        this.nameIndex = new Map();
+
+        // Entity ids in id order (orderBy 'id', idAfter); rebuilt lazily after inserts and deletes
+        this.sortedIds = null;
+
+        // Optional durable storage: { directory, snapshotInterval }
+        this.persistence = config.persistence ? new GraphPersistence(config.persistence) : null;
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'graph-db-memory' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    async connect() {
+        if (this.persistence) {
+            this.restore();
+        }
+
+        this.connected = true;
+        this.logger.info('✅ In-memory graph database ready');
+    }
+
+    async disconnect() {
+        if (this.persistence) {
+            this.snapshot();
+            this.persistence.close();
+        }
+
+        this.connected = false;
+        this.logger.info('Disconnected from in-memory graph database');
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async initializeSchema() {
+        // Uniqueness on entity id is enforced by the backing Map
+    }
+
+    async createEntity(entityData) {
+        try {
+            this.assertConnected();
+
+            const entity = this.mergeEntity(this.entities.get(entityData.id), entityData);
+            this.storeEntity(entity);
+            this.record('putEntity', entity);
+
+            return { ...entity };
+
+        } catch (error) {
+            this.logger.error('Failed to create entity:', error);
+            throw error;
+        }
+    }
+
+    async createEntities(entities, options = {}) {
+        try {
+            this.assertConnected();
+
+            const { rows, errors } = this.partitionEntityBatch(entities);
+            const result = { created: [], errors };
+
+            if (options.atomic && errors.length > 0) {
+                throw this.batchError(errors);
+            }
+
+            // Stage every row first so nothing is visible until the whole batch is built
+            const staged = new Map();
+            for (const { index, entity: entityData } of rows) {
+                try {
+                    const existing = staged.get(entityData.id) || this.entities.get(entityData.id);
+                    const entity = this.mergeEntity(existing, entityData);
+                    staged.set(entity.id, entity);
+                    result.created.push(entity);
+                } catch (error) {
+                    if (options.atomic) {
+                        throw this.batchError([{ index, id: entityData.id, error: error.message }]);
+                    }
+                    result.errors.push({ index, id: entityData.id, error: error.message });
+                }
+            }
+
+            if (staged.size > 0) {
+                staged.forEach(entity => this.storeEntity(entity));
+                this.record('putEntities', Array.from(staged.values()));
+            }
+
+            result.created = result.created.map(entity => ({ ...entity }));
+            result.errors.sort((a, b) => a.index - b.index);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Failed to create entities:', error);
+            throw error;
+        }
+    }
+
+    async createRelationship(fromId, toId, relationshipType, properties = {}) {
+        try {
+            this.assertConnected();
+            this.relationshipTypes.assertKnown(relationshipType);
+
+            if (!this.entities.has(fromId) || !this.entities.has(toId)) {
+                // Mirrors Neo4j: MATCH on a missing endpoint creates nothing
+                return undefined;
+            }
+
+            const key = this.relationshipKey(fromId, relationshipType, toId);
+            const now = new Date().toISOString();
+            const confidence = properties.confidence || 0.5;
+            const existing = this.relationships.get(key);
+
+            let relProperties;
+            if (existing) {
+                relProperties = {
+                    ...existing.properties,
+                    updated: now,
+                    confidence: confidence > existing.properties.confidence
+                        ? confidence
+                        : existing.properties.confidence
+                };
+            } else {
+                relProperties = {
+                    created: now,
+                    updated: now,
+                    confidence,
+                    weight: properties.weight || 1.0
+                };
+            }
+
+            Object.assign(relProperties, this.withoutNulls(properties));
+
+            const rel = { type: relationshipType, from: fromId, to: toId, properties: relProperties };
+            this.storeRelationship(rel);
+            this.record('putRelationship', rel);
+
+            return { ...relProperties };
+
+        } catch (error) {
+            this.logger.error('Failed to create relationship:', error);
+            throw error;
+        }
+    }
+
+    async getEntity(id) {
+        this.assertConnected();
+        const entity = this.entities.get(id);
+        return entity ? { ...entity } : null;
+    }
+
+    async updateEntity(id, properties, options = {}) {
+        try {
+            this.assertConnected();
+
+            const existing = this.entities.get(id);
+            if (!existing) return null;
+
+            const serializedData = this.serializeEntityData(properties);
+            delete serializedData.id;
+            delete serializedData.created;
+
+            const base = options.replace ? { id, created: existing.created } : { ...existing };
+            const entity = { ...base, ...serializedData, updated: new Date().toISOString() };
+
+            // Null values remove properties, as with Cypher SET +=
+            for (const [key, value] of Object.entries(entity)) {
+                if (value === null || value === undefined) delete entity[key];
+            }
+
+            this.storeEntity(entity);
+            this.record('putEntity', entity);
+            return { ...entity };
+
+        } catch (error) {
+            this.logger.error('Failed to update entity:', error);
+            throw error;
+        }
+    }
+
+    async deleteEntity(id, options = {}) {
+        try {
+            this.assertConnected();
+
+            if (!this.entities.has(id)) return false;
+
+            const keys = this.edgeKeys(id);
+            if (keys.length > 0 && !options.cascade) {
+                const error = new Error(`Entity ${id} has ${keys.length} relationships; use cascade to delete them`);
+                error.status = 409;
+                throw error;
+            }
+
+            this.dropEntity(id);
+            this.record('deleteEntity', { id });
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to delete entity:', error);
+            throw error;
+        }
+    }
+
+    async findEntities(filters = {}, limit = 100, options = {}) {
+        try {
+            this.assertConnected();
+
+            const results = [];
+            const max = Math.floor(limit);
+            let skip = Math.floor(options.offset || 0);
+
+            filters = this.withNameKeys(filters);
+
+            for (const entity of this.candidateEntities(filters, options.orderBy === 'id')) {
+                if (results.length >= max) break;
+                if (!this.matchesEntityFilters(entity, filters)) continue;
+                if (skip > 0) {
+                    skip--;
+                    continue;
+                }
+
+                results.push({ ...entity });
+            }
+
+            return results;
+
+        } catch (error) {
+            this.logger.error('Failed to find entities:', error);
+            throw error;
+        }
+    }
+
+    async getRelationship(fromId, toId, relationshipType) {
+        this.assertConnected();
+        const rel = this.relationships.get(this.relationshipKey(fromId, relationshipType, toId));
+        return rel ? { ...rel.properties } : null;
+    }
+
+    async updateRelationship(fromId, toId, relationshipType, properties) {
+        this.assertConnected();
+
+        const rel = this.relationships.get(this.relationshipKey(fromId, relationshipType, toId));
+        if (!rel) return null;
+
+        rel.properties = {
+            ...rel.properties,
+            ...this.withoutNulls(properties),
+            updated: new Date().toISOString()
+        };
+        this.record('putRelationship', rel);
+        return { ...rel.properties };
+    }
+
+    async deleteRelationship(fromId, toId, relationshipType) {
+        this.assertConnected();
+
+        const removed = this.removeRelationship(this.relationshipKey(fromId, relationshipType, toId));
+        if (removed) {
+            this.record('deleteRelationship', { from: fromId, type: relationshipType, to: toId });
+        }
+        return removed;
+    }
+
+    async findRelationships(entityId, relationshipType = null, direction = 'both') {
+        try {
+            this.assertConnected();
+            if (relationshipType) {
+                this.relationshipTypes.assertValidName(relationshipType);
+            }
+
+            const matches = [];
+            const collect = (keys, otherEnd) => {
+                for (const key of keys || []) {
+                    const rel = this.relationships.get(key);
+                    if (!rel || (relationshipType && rel.type !== relationshipType)) continue;
+                    matches.push({
+                        type: rel.type,
+                        relationship: { ...rel.properties },
+                        entity: { ...this.entities.get(rel[otherEnd]) }
+                    });
+                }
+            };
+
+            if (direction === 'outgoing' || direction === 'both') {
+                collect(this.outgoing.get(entityId), 'to');
+            }
+            if (direction === 'incoming' || direction === 'both') {
+                collect(this.incoming.get(entityId), 'from');
+            }
+
+            return matches.sort((a, b) =>
+                (b.relationship.confidence || 0) - (a.relationship.confidence || 0) ||
+                (b.relationship.weight || 0) - (a.relationship.weight || 0)
+            );
+
+        } catch (error) {
+            this.logger.error('Failed to find relationships:', error);
+            throw error;
+        }
+    }
+
+    async listRelationships(filters = {}, limit = 100, options = {}) {
+        try {
+            this.assertConnected();
+
+            const results = [];
+            const max = Math.floor(limit);
+            let skip = Math.floor(options.offset || 0);
+
+            for (const rel of this.relationships.values()) {
+                if (results.length >= max) break;
+                if (!this.matchesRelationshipFilters(rel, filters)) continue;
+                if (skip > 0) {
+                    skip--;
+                    continue;
+                }
+
+                results.push({
+                    type: rel.type,
+                    from: { ...this.entities.get(rel.from) },
+                    to: { ...this.entities.get(rel.to) },
+                    relationship: { ...rel.properties }
+                });
+            }
+
+            return results;
+
+        } catch (error) {
+            this.logger.error('Failed to list relationships:', error);
+            throw error;
+        }
+    }
+
+    async aggregateEntities(groupBy = [], filters = {}, options = {}) {
+        try {
+            this.assertConnected();
+
+            const sumFields = options.sum || [];
+            const groups = new Map();
+            filters = this.withNameKeys(filters);
+
+            for (const entity of this.candidateEntities(filters)) {
+                if (!this.matchesEntityFilters(entity, filters)) continue;
+
+                const values = groupBy.map(field => entity[field] ?? null);
+                const key = JSON.stringify(values);
+
+                if (!groups.has(key)) {
+                    const row = {};
+                    groupBy.forEach((field, i) => {
+                        row[field] = values[i];
+                    });
+                    row.count = 0;
+                    row.totals = Object.fromEntries(sumFields.map(field => [field, 0]));
+                    groups.set(key, row);
+                }
+
+                const row = groups.get(key);
+                row.count++;
+                sumFields.forEach(field => {
+                    const value = parseFloat(entity[field]);
+                    if (!isNaN(value)) row.totals[field] += value;
+                });
+            }
+
+            return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+
+        } catch (error) {
+            this.logger.error('Failed to aggregate entities:', error);
+            throw error;
+        }
+    }
+
+    async aggregateRelationships(groupBy = ['type'], filters = {}) {
+        try {
+            this.assertConnected();
+
+            const groups = new Map();
+
+            for (const rel of this.relationships.values()) {
+                if (!this.matchesRelationshipFilters(rel, filters)) continue;
+
+                const values = groupBy.map(field => field === 'type' ? rel.type : rel.properties[field] ?? null);
+                const key = JSON.stringify(values);
+
+                if (!groups.has(key)) {
+                    const row = {};
+                    groupBy.forEach((field, i) => {
+                        row[field] = values[i];
+                    });
+                    row.count = 0;
+                    groups.set(key, row);
+                }
+                groups.get(key).count++;
+            }
+
+            return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+
+        } catch (error) {
+            this.logger.error('Failed to aggregate relationships:', error);
+            throw error;
+        }
+    }
+
+    async searchEntities(terms, options = {}) {
+        try {
+            this.assertConnected();
+
+            const lowered = terms.map(term => String(term).toLowerCase());
+            const fields = options.fields || ['name', 'description'];
+            const limit = Math.floor(options.limit || 100);
+            const results = [];
+
+            for (const entity of this.entities.values()) {
+                if (results.length >= limit) break;
+                if (options.types?.length > 0 && !options.types.includes(entity.type)) continue;
+
+                const matches = fields.some(field =>
+                    entity[field] != null &&
+                    lowered.some(term => String(entity[field]).toLowerCase().includes(term))
+                );
+                if (matches) {
+                    results.push({ ...entity });
+                }
+            }
+
+            return results;
+
+        } catch (error) {
+            this.logger.error('Failed to search entities:', error);
+            throw error;
+        }
+    }
+
+    async executeCustomQuery(query) {
+        const error = new Error('Custom Cypher queries are not supported by the in-memory graph database');
+        error.status = 501;
+        this.logger.error('Failed to execute custom query:', error.message);
+        throw error;
+    }
+
+    async getGraphStats() {
+        try {
+            this.assertConnected();
+
+            const countBy = (items, keyFn) => {
+                const counts = new Map();
+                for (const item of items) {
+                    const key = keyFn(item);
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }
+                return Array.from(counts.entries())
+                    .map(([type, count]) => ({ type, count }))
+                    .sort((a, b) => b.count - a.count);
+            };
+
+            const topEntitiesByConnections = Array.from(this.entities.values())
+                .map(entity => ({
+                    name: entity.name,
+                    type: entity.type,
+                    count: (this.outgoing.get(entity.id)?.size || 0) + (this.incoming.get(entity.id)?.size || 0)
+                }))
+                .filter(entry => entry.count > 0)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 10);
+
+            return {
+                totalEntities: this.entities.size,
+                totalRelationships: this.relationships.size,
+                entityTypeBreakdown: countBy(this.entities.values(), entity => entity.type),
+                relationshipTypeBreakdown: countBy(this.relationships.values(), rel => rel.type),
+                topEntitiesByConnections
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to get graph stats:', error);
+            throw error;
+        }
+    }
+
+    async findSimilarEntities(entityId, similarity = 0.7, limit = 10) {
+        try {
+            this.assertConnected();
+
+            const target = this.entities.get(entityId);
+            if (!target) return [];
+
+            const targetNeighbours = this.neighbourIds(entityId);
+            const results = [];
+
+            for (const candidate of this.entities.values()) {
+                if (candidate.id === entityId || candidate.type !== target.type) continue;
+
+                // Shared connections: entities adjacent to both target and candidate
+                let sharedConnections = 0;
+                for (const neighbourId of this.neighbourIds(candidate.id)) {
+                    if (neighbourId !== entityId && neighbourId !== candidate.id && targetNeighbours.has(neighbourId)) {
+                        sharedConnections++;
+                    }
+                }
+
+                // Property similarity (null never matches, as in Cypher)
+                const propertySimilarity =
+                    (target.sector != null && target.sector === candidate.sector ? 1 : 0) +
+                    (target.country != null && target.country === candidate.country ? 1 : 0);
+
+                const similarityScore = sharedConnections * 0.7 + propertySimilarity * 0.3;
+
+                if (similarityScore >= similarity) {
+                    results.push({ entity: { ...candidate }, similarity: similarityScore });
+                }
+            }
+
+            return results
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, Math.floor(limit));
+
+        } catch (error) {
+            this.logger.error('Failed to find similar entities:', error);
+            throw error;
+        }
+    }
+
+    async findShortestPath(fromId, toId, maxHops = 6) {
+        try {
+            this.assertConnected();
+            maxHops = this.validateMaxHops(maxHops);
+
+            if (fromId === toId || !this.entities.has(fromId) || !this.entities.has(toId)) {
+                return null;
+            }
+
+            // Breadth-first search over undirected edges
+            const previous = new Map([[fromId, null]]);
+            let frontier = [fromId];
+
+            for (let depth = 0; depth < maxHops && frontier.length > 0 && !previous.has(toId); depth++) {
+                const next = [];
+                for (const nodeId of frontier) {
+                    for (const key of this.edgeKeys(nodeId)) {
+                        const rel = this.relationships.get(key);
+                        const otherId = rel.from === nodeId ? rel.to : rel.from;
+                        if (!previous.has(otherId)) {
+                            previous.set(otherId, { nodeId, key });
+                            next.push(otherId);
+                        }
+                    }
+                }
+                frontier = next;
+            }
+
+            if (!previous.has(toId)) {
+                return null;
+            }
+
+            const nodes = [];
+            const relationships = [];
+            let cursor = toId;
+            while (cursor !== null) {
+                nodes.unshift({ ...this.entities.get(cursor) });
+                const step = previous.get(cursor);
+                if (step) {
+                    const rel = this.relationships.get(step.key);
+                    relationships.unshift({ type: rel.type, properties: { ...rel.properties } });
+                    cursor = step.nodeId;
+                } else {
+                    cursor = null;
+                }
+            }
+
+            return {
+                nodes,
+                relationships,
+                pathLength: relationships.length
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to find shortest path:', error);
+            throw error;
+        }
+    }
+
+    async clearDatabase() {
+        try {
+            this.logger.warn('⚠️  Clearing entire database...');
+            this.resetGraph();
+            this.record('clear', {});
+            this.logger.info('✅ Database cleared');
+
+        } catch (error) {
+            this.logger.error('Failed to clear database:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a full snapshot of the graph and truncate the operation log
+     */
+    snapshot() {
+        if (!this.persistence) return;
+
+        this.persistence.writeSnapshot({
+            entities: Array.from(this.entities.values()),
+            relationships: Array.from(this.relationships.values())
+                .map(({ type, from, to, properties }) => ({ type, from, to, properties }))
+        });
+    }
+
+    // Persistence helpers
+
+    /**
+     * Rebuild the graph from the latest snapshot plus the operations logged after it
+     */
+    restore() {
+        const { snapshot, operations } = this.persistence.load();
+
+        this.resetGraph();
+        if (snapshot) {
+            snapshot.entities.forEach(entity => this.storeEntity(entity));
+            snapshot.relationships.forEach(rel => this.storeRelationship(rel));
+        }
+
+        operations.forEach(({ op, data }) => this.applyOperation(op, data));
+
+        this.logger.info(`📂 Restored ${this.entities.size} entities and ${this.relationships.size} relationships`);
+    }
+
+    applyOperation(op, data) {
+        switch (op) {
+            case 'putEntity':
+                this.storeEntity(data);
+                break;
+            case 'putEntities':
+                data.forEach(entity => this.storeEntity(entity));
+                break;
+            case 'putRelationship':
+                this.storeRelationship(data);
+                break;
+            case 'deleteEntity':
+                this.dropEntity(data.id);
+                break;
+            case 'deleteRelationship':
+                this.removeRelationship(this.relationshipKey(data.from, data.type, data.to));
+                break;
+            case 'clear':
+                this.resetGraph();
+                break;
+            default:
+                throw new Error(`Unknown graph log operation: ${op}`);
+        }
+    }
+
+    /**
+     * Log a mutation that has already been applied in memory, snapshotting when due
+     */
+    record(op, data) {
+        if (!this.persistence) return;
+
+        if (op === 'putRelationship') {
+            data = { type: data.type, from: data.from, to: data.to, properties: data.properties };
+        }
+
+        if (this.persistence.append(op, data)) {
+            this.snapshot();
+        }
+    }
+
+    // Private helpers
+
+    /**
+     * MERGE semantics: new entities get created/updated stamps, existing ones are patched
+     */
+    mergeEntity(existing, entityData) {
+        const serializedData = this.serializeEntityData(entityData);
+        const now = new Date().toISOString();
+
+        const entity = existing
+            ? { ...existing, updated: now }
+            : {
+                id: serializedData.id,
+                name: serializedData.name,
+                type: serializedData.type,
+                created: now,
+                updated: now
+            };
+
+        return Object.assign(entity, this.withoutNulls(serializedData));
+    }
+
+    storeEntity(entity) {
+        if (!this.entities.has(entity.id)) this.sortedIds = null;
+        this.unindexNames(this.entities.get(entity.id));
+        this.entities.set(entity.id, { ...entity });
+        this.indexNames(entity);
+    }
+
+    storeRelationship(rel) {
+        const key = this.relationshipKey(rel.from, rel.type, rel.to);
+        this.relationships.set(key, { key, ...rel, properties: { ...rel.properties } });
+        this.index(this.outgoing, rel.from).add(key);
+        this.index(this.incoming, rel.to).add(key);
+    }
+
+    dropEntity(id) {
+        this.unindexNames(this.entities.get(id));
+        this.edgeKeys(id).forEach(key => this.removeRelationship(key));
+        this.entities.delete(id);
+        this.sortedIds = null;
+        this.outgoing.delete(id);
+        this.incoming.delete(id);
+    }
+
+    resetGraph() {
+        this.nameIndex.clear();
+        this.entities.clear();
+        this.sortedIds = null;
+        this.relationships.clear();
+        this.outgoing.clear();
+        this.incoming.clear();
+    }
+
+    /**
+     * Entities worth testing against filters: narrowed by id or name lookups when possible,
+     * in id order (starting after `idAfter`) when `ordered`
+     */
+    *candidateEntities(filters, ordered = false) {
+        if (filters.ids || filters.names) {
+            const ids = new Set(filters.ids || []);
+            for (const name of filters.names || []) {
+                for (const id of this.nameIndex.get(name) || []) ids.add(id);
+            }
+            for (const id of ordered ? Array.from(ids).sort() : ids) {
+                if (this.entities.has(id)) yield this.entities.get(id);
+            }
+            return;
+        }
+
+        if (!ordered) {
+            yield* this.entities.values();
+            return;
+        }
+
+        if (!this.sortedIds) {
+            this.sortedIds = Array.from(this.entities.keys()).sort();
+        }
+
+        // Binary search for the first id after idAfter
+        let start = 0;
+        if (filters.idAfter) {
+            let end = this.sortedIds.length;
+            while (start < end) {
+                const middle = (start + end) >> 1;
+                if (this.sortedIds[middle] <= filters.idAfter) start = middle + 1;
+                else end = middle;
+            }
+        }
+
+        for (let i = start; i < this.sortedIds.length; i++) {
+            yield this.entities.get(this.sortedIds[i]);
+        }
+    }
+
+    /**
+     * Filters with `names` widened to the folded and alias keys of each name
+     */
+    withNameKeys(filters) {
+        return filters.names ? { ...filters, names: this.aliases.lookupKeys(filters.names) } : filters;
+    }
+
+    indexedNames(entity) {
+        return new Set([entity.name, entity.normalizedName, ...(entity.nameKeys || [])]);
+    }
+
+    indexNames(entity) {
+        for (const name of this.indexedNames(entity)) {
+            if (name != null) this.index(this.nameIndex, name).add(entity.id);
+        }
+    }
+
+    unindexNames(entity) {
+        if (!entity) return;
+        for (const name of this.indexedNames(entity)) {
+            const ids = this.nameIndex.get(name);
+            if (!ids) continue;
+            ids.delete(entity.id);
+            if (ids.size === 0) this.nameIndex.delete(name);
+        }
+    }
+
+    assertConnected() {
+        if (!this.connected) {
+            throw new Error('Database not connected');
+        }
+    }
+
+    /**
+     * Neo4j drops properties set to null; do the same here
+     */
+    withoutNulls(properties) {
+        return Object.fromEntries(
+            Object.entries(properties).filter(([, value]) => value !== null && value !== undefined)
+        );
+    }
+
+    matchesEntityFilters(entity, filters) {
+        if (filters.id && entity.id !== filters.id) return false;
+        if (filters.ids && !filters.ids.includes(entity.id)) return false;
+        if (filters.type && entity.type !== filters.type) return false;
+        if (filters.types && !filters.types.includes(entity.type)) return false;
+        if (filters.typeContains && !(typeof entity.type === 'string' && entity.type.includes(filters.typeContains))) return false;
+        if (filters.name && !(typeof entity.name === 'string' && entity.name.includes(filters.name))) return false;
+        if (filters.names && !Array.from(this.indexedNames(entity)).some(name => filters.names.includes(name))) return false;
+        if (filters.sector && entity.sector !== filters.sector) return false;
+        if (filters.country && entity.country !== filters.country) return false;
+        if (filters.minAum && !(typeof entity.aum === 'number' && entity.aum >= filters.minAum)) return false;
+
+        for (const [property, value] of Object.entries(filters.min || {})) {
+            if (!(typeof entity[property] === 'number' && entity[property] >= value)) return false;
+        }
+
+        if (filters.createdAfter && !(Date.parse(entity.created) > Date.parse(filters.createdAfter))) return false;
+        if (filters.updatedAfter && !(Date.parse(entity.updated || entity.created) > Date.parse(filters.updatedAfter))) return false;
+        if (filters.updatedBefore && !(Date.parse(entity.updated || entity.created) <= Date.parse(filters.updatedBefore))) return false;
+        if (filters.idAfter && !(entity.id > filters.idAfter)) return false;
+
+        return true;
+    }
+
+    matchesRelationshipFilters(rel, filters) {
+        if (filters.types && !filters.types.includes(rel.type)) return false;
+        if (filters.inferred && rel.properties.inferredAt == null) return false;
+        if (filters.inferredAfter && !(rel.properties.inferredAt >= filters.inferredAfter)) return false;
+        return true;
+    }
+
+    removeRelationship(key) {
+        const rel = this.relationships.get(key);
+        if (!rel) return false;
+
+        this.relationships.delete(key);
+        this.outgoing.get(rel.from)?.delete(key);
+        this.incoming.get(rel.to)?.delete(key);
+        return true;
+    }
+
+    relationshipKey(fromId, relationshipType, toId) {
+        return `${fromId}|${relationshipType}|${toId}`;
+    }
+
+    index(adjacency, entityId) {
+        if (!adjacency.has(entityId)) {
+            adjacency.set(entityId, new Set());
+        }
+        return adjacency.get(entityId);
+    }
+
+    edgeKeys(entityId) {
+        return [
+            ...(this.outgoing.get(entityId) || []),
+            ...(this.incoming.get(entityId) || [])
+        ];
+    }
+
+    neighbourIds(entityId) {
+        const ids = new Set();
+        for (const key of this.edgeKeys(entityId)) {
+            const rel = this.relationships.get(key);
+            ids.add(rel.from === entityId ? rel.to : rel.from);
+        }
+        return ids;
+    }
+}
+
+module.exports = InMemoryGraphDatabase;
@@ -3,15 +3,45 @@
  * Main orchestrator class that coordinates all knowledge operations
  */
 
-const { v4: uuidv4 } = require('uuid');
+const { v5: uuidv5 } = require('uuid');
 const winston = require('winston');
 const _ = require('lodash');
-const neo4j = require('neo4j-driver');
+const SourceIntelligence = require('../intelligence/SourceIntelligence');
+const EntityResolution = require('../intelligence/EntityResolution');
+const ConflictResolver = require('../intelligence/ConflictResolver');
+const PatternMiner = require('../intelligence/PatternMiner');
+const MarketAnalytics = require('../intelligence/MarketAnalytics');
+const InsightEngine = require('../intelligence/InsightEngine');
+const RelationshipInference = require('../intelligence/RelationshipInference');
+const CurrencyConverter = require('./CurrencyConverter');
+
+// Relationship properties managed by the store rather than set directly by callers
+const RESERVED_RELATIONSHIP_PROPERTIES = ['created', 'updated', 'confidence', 'sources', 'metadata', 'inferredAt'];
+
+// Namespace for deterministic (UUIDv5) entity ids derived from natural keys
+const ENTITY_ID_NAMESPACE = '6f1c2b8e-4d3a-5e7f-9a1b-2c3d4e5f6a7b';
+
+// Entity properties ignored when deciding whether a re-ingested row changed anything
+// (sourceFile names the file that last changed the entity; every file is in its lineage, and
+// resolvedConflicts scores decay with time)
+const VOLATILE_ENTITY_PROPERTIES = ['created', 'updated', 'aiInsights', 'sourceFile', 'resolvedConflicts'];
+
+// Properties derived from a monetary field: its source amount and currency, the FX rate used
+// (normalizeMonetaryFields) and the intelligence engine's numeric copy (aumNumeric)
+const MONETARY_COMPANION_SUFFIXES = ['Original', 'Currency', 'FxRate', 'FxAsOf', 'Numeric'];
 
 class KnowledgeStore {
-    constructor({ graphDb, intelligenceEngine, config }) {
+    constructor({ graphDb, intelligenceEngine, sourceIntelligence, entityResolution, conflictResolver, relationshipInference, patternMiner, marketAnalytics, insightEngine, currencyConverter, config }) {
         this.graphDb = graphDb;
         this.intelligenceEngine = intelligenceEngine;
+        this.sourceIntelligence = sourceIntelligence || new SourceIntelligence(config);
+        this.entityResolution = entityResolution || new EntityResolution(graphDb, config);
+        this.conflictResolver = conflictResolver || new ConflictResolver(this.sourceIntelligence, graphDb.lineage, config);
+        this.relationshipInference = relationshipInference || new RelationshipInference(graphDb, this.sourceIntelligence, config);
+        this.patternMiner = patternMiner || new PatternMiner(graphDb, config);
+        this.marketAnalytics = marketAnalytics || new MarketAnalytics(graphDb, config);
+        this.insightEngine = insightEngine || new InsightEngine(graphDb, config);
+        this.currency = currencyConverter || new CurrencyConverter(config.currency);
         this.config = config;
         this.ready = false;
         
@@ -123,21 +153,7 @@ class KnowledgeStore {
      */
     async addEntity(entityData) {
         try {
-            // Validate entity data
-            if (!entityData.name || !entityData.type) {
-                throw new Error('Entity must have name and type');
-            }
-
-            // Generate unique ID if not provided
-            if (!entityData.id) {
-                entityData.id = uuidv4();
-            }
-
-            // Normalize entity data
-            const normalizedEntity = await this.normalizeEntityData(entityData);
-
-            // Extract additional intelligence
-            const enhancedEntity = await this.intelligenceEngine.enhanceEntity(normalizedEntity);
+            const enhancedEntity = await this.prepareEntity(entityData, { resolved: new Map() });
 
             // Store in graph database
             const storedEntity = await this.graphDb.createEntity(enhancedEntity);
@@ -156,47 +172,306 @@ class KnowledgeStore {
 
     /**
      * Batch add multiple entities
+     * Each batch is written in one bulk transaction. With { atomic: true } the whole call
+     * is all-or-nothing: any invalid row rejects it with a 400 listing every failed row.
      */
     async addEntities(entitiesData, options = {}) {
         const results = {
             successful: [],
             failed: [],
-            relationships: []
+            relationships: [],
+            counts: { created: 0, updated: 0, unchanged: 0 },
+            // Stored entity id for each input row (null where the row failed)
+            ids: new Array(entitiesData.length).fill(null),
+            // Ids of the entities created or updated (unchanged rows need no new inference);
+            // a Set while writing, returned as an array
+            changed: new Set()
         };
 
+        const atomic = options.atomic === true;
         const batchSize = options.batchSize || this.config.ingestion.batchSize;
-        const batches = _.chunk(entitiesData, batchSize);
+        const indexed = entitiesData.map((entityData, index) => ({ index, entityData }));
+        const batches = _.chunk(indexed, batchSize);
+        const prepared = [];
+        const resolution = { resolved: new Map() };
 
         for (let i = 0; i < batches.length; i++) {
             const batch = batches[i];
             this.logger.info(`📦 Processing batch ${i + 1}/${batches.length} (${batch.length} entities)`);
 
-            const batchPromises = batch.map(async (entityData) => {
+            const rows = [];
+            await Promise.all(batch.map(async ({ index, entityData }) => {
                 try {
-                    const entity = await this.addEntity(entityData);
-                    results.successful.push(entity);
+                    rows.push({ index, entityData, entity: await this.prepareEntity(entityData, resolution) });
                 } catch (error) {
-                    results.failed.push({
-                        entityData,
-                        error: error.message
-                    });
+                    results.failed.push({ index, entityData, error: error.message });
                 }
-            });
+            }));
+            rows.sort((a, b) => a.index - b.index);
 
-            await Promise.all(batchPromises);
+            if (atomic) {
+                prepared.push(...rows);
+            } else {
+                await this.writeEntityRows(rows, results, { batchSize });
+            }
         }
 
-        // After all entities are added, perform batch relationship inference
+        if (atomic) {
+            if (results.failed.length > 0) {
+                const error = new Error(`Batch rejected: ${results.failed.length} invalid entities, nothing was written`);
+                error.status = 400;
+                error.details = results.failed
+                    .sort((a, b) => a.index - b.index)
+                    .map(({ index, error }) => ({ index, error }));
+                throw error;
+            }
+
+            await this.writeEntityRows(prepared, results, { batchSize, atomic: true });
+        }
+        results.changed = Array.from(results.changed);
+
+        // After all entities are added, infer relationships around the ones that changed
         if (options.inferRelationships !== false) {
             this.logger.info('🔗 Inferring batch relationships...');
-            const batchRelationships = await this.inferBatchRelationships(results.successful);
-            results.relationships = batchRelationships;
+            results.relationships = await this.inferBatchRelationships(results.changed);
         }
 
-        this.logger.info(`✅ Batch completed: ${results.successful.length} successful, ${results.failed.length} failed`);
+        results.failed.sort((a, b) => a.index - b.index);
+        this.logger.info(`✅ Batch completed: ${results.counts.created} created, ${results.counts.updated} updated, ${results.counts.unchanged} unchanged, ${results.failed.length} failed`);
         return results;
     }
 
+    /**
+     * Update an entity, re-running normalization and enhancement on the result.
+     * { replace: true } overwrites all properties (PUT); otherwise changes are merged
+     * and null values remove properties (PATCH). Returns null if the entity doesn't exist.
+     */
+    async updateEntity(id, changes, options = {}) {
+        try {
+            const existing = await this.graphDb.getEntity(id);
+            if (!existing) {
+                return null;
+            }
+
+            // Lineage is recorded by ingestion only and survives edits and replacements
+            const edits = _.omit(changes, ['lineage']);
+            const candidate = options.replace
+                ? { ...edits, id, ...(existing.lineage ? { lineage: existing.lineage } : {}) }
+                : { ...existing, ...edits, id };
+
+            // A new or removed amount clears what was derived from the old one unless the edit
+            // supplies it. The write merges into the stored node, so they're cleared with null
+            // (normalizeMonetaryFields would otherwise convert the stale original again).
+            for (const field of this.config.currency.monetaryFields) {
+                if (edits[field] === undefined) continue;
+                for (const suffix of MONETARY_COMPANION_SUFFIXES) {
+                    if (edits[`${field}${suffix}`] === undefined) candidate[`${field}${suffix}`] = null;
+                }
+            }
+
+            const enhancedEntity = await this.prepareEntity(candidate);
+            const updatedEntity = await this.graphDb.updateEntity(id, enhancedEntity, { replace: options.replace });
+
+            // Deleted since it was read
+            if (!updatedEntity) {
+                return null;
+            }
+
+            this.invalidateCache();
+
+            this.logger.info(`✏️  Updated entity: ${updatedEntity.name} (${updatedEntity.type})`);
+            return updatedEntity;
+
+        } catch (error) {
+            this.logger.error('❌ Failed to update entity:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an entity; { cascade: true } also removes its relationships.
+     * Returns false if the entity doesn't exist
+     */
+    async deleteEntity(id, options = {}) {
+        try {
+            const deleted = await this.graphDb.deleteEntity(id, { cascade: options.cascade === true });
+
+            if (deleted) {
+                this.invalidateCache();
+                this.logger.info(`🗑️  Deleted entity: ${id}`);
+            }
+            return deleted;
+
+        } catch (error) {
+            this.logger.error('❌ Failed to delete entity:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Where each property of an entity came from: its current value, every source that supplied
+     * one (file, row, column, job, time, source type and that type's authority) and, where the
+     * sources disagreed, how the conflict was resolved. Null if it doesn't exist.
+     */
+    async getEntityLineage(id) {
+        try {
+            const entity = await this.graphDb.getEntity(id);
+            if (!entity) {
+                return null;
+            }
+
+            const properties = this.graphDb.lineage.describe(entity);
+            const resolutions = this.parseJSON(entity.resolvedConflicts, {});
+
+            for (const [name, property] of Object.entries(properties)) {
+                property.sources = property.sources.map(source => ({
+                    ...source,
+                    authority: Math.round(this.sourceIntelligence.getSourceAuthority(source.sourceType, null, source.ingestedAt) * 1000) / 1000
+                }));
+                if (resolutions[name]) property.resolution = resolutions[name];
+            }
+
+            return {
+                id: entity.id,
+                name: entity.name,
+                type: entity.type,
+                conflicts: Object.keys(properties).filter(property => properties[property].conflict),
+                properties
+            };
+
+        } catch (error) {
+            this.logger.error('❌ Failed to get entity lineage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Likely duplicate entity pairs, best first ({ type, minScore, limit })
+     */
+    async findDuplicates(options = {}) {
+        return await this.entityResolution.findDuplicateCandidates(options);
+    }
+
+    /**
+     * Likely duplicates of one entity; null if it doesn't exist
+     */
+    async findDuplicatesOf(id, options = {}) {
+        return await this.entityResolution.findDuplicatesOf(id, options);
+    }
+
+    /**
+     * Merge a duplicate into a surviving entity, re-pointing its relationships
+     */
+    async mergeEntities(survivorId, duplicateId) {
+        const result = await this.entityResolution.mergeEntities(survivorId, duplicateId);
+        this.invalidateCache();
+        return result;
+    }
+
+    /**
+     * Assert a relationship between two existing entities.
+     * Confidence comes from the weighted sources (default MANUAL_VERIFICATION) unless given explicitly.
+     * Returns { relationship, created }
+     */
+    async addRelationship(fromId, toId, relationshipType, options = {}) {
+        try {
+            this.graphDb.relationshipTypes.assertKnown(relationshipType);
+
+            const [fromEntity, toEntity] = await this.getRelationshipEndpoints(fromId, toId);
+            const sources = this.normalizeSources(options.sources);
+            const weighted = this.sourceIntelligence.createWeightedRelationship(
+                fromEntity, toEntity, relationshipType, sources
+            );
+
+            const existing = await this.graphDb.getRelationship(fromId, toId, relationshipType);
+            const relationship = await this.graphDb.createRelationship(fromId, toId, relationshipType, {
+                ...this.userRelationshipProperties(options.properties),
+                confidence: options.confidence !== undefined
+                    ? this.validateConfidence(options.confidence)
+                    : weighted.confidence,
+                sources: JSON.stringify(weighted.sources),
+                metadata: JSON.stringify(weighted.metadata),
+                assertedAt: new Date().toISOString()
+            });
+
+            this.invalidateCache();
+
+            this.logger.info(`🔗 ${existing ? 'Updated' : 'Added'} relationship: ${fromId} -[${relationshipType}]-> ${toId}`);
+            return { relationship, created: !existing };
+
+        } catch (error) {
+            this.logger.error('❌ Failed to add relationship:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update properties, confidence or sources of an existing relationship.
+     * New sources are appended and the confidence re-weighted over all of them.
+     * Returns null if the relationship doesn't exist
+     */
+    async updateRelationship(fromId, toId, relationshipType, changes = {}) {
+        try {
+            this.graphDb.relationshipTypes.assertValidName(relationshipType);
+
+            const existing = await this.graphDb.getRelationship(fromId, toId, relationshipType);
+            if (!existing) {
+                return null;
+            }
+
+            const updates = this.userRelationshipProperties(changes.properties);
+
+            if (changes.sources) {
+                const [fromEntity, toEntity] = await this.getRelationshipEndpoints(fromId, toId);
+                const previousSources = this.parseJSON(existing.sources, []);
+                const weighted = this.sourceIntelligence.createWeightedRelationship(
+                    fromEntity, toEntity, relationshipType,
+                    [...previousSources, ...this.normalizeSources(changes.sources)]
+                );
+
+                updates.confidence = weighted.confidence;
+                updates.sources = JSON.stringify(weighted.sources);
+                updates.metadata = JSON.stringify(weighted.metadata);
+            }
+
+            if (changes.confidence !== undefined) {
+                updates.confidence = this.validateConfidence(changes.confidence);
+            }
+
+            const relationship = await this.graphDb.updateRelationship(fromId, toId, relationshipType, updates);
+
+            this.invalidateCache();
+
+            this.logger.info(`✏️  Updated relationship: ${fromId} -[${relationshipType}]-> ${toId}`);
+            return relationship;
+
+        } catch (error) {
+            this.logger.error('❌ Failed to update relationship:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retract a relationship. Returns false if it doesn't exist
+     */
+    async deleteRelationship(fromId, toId, relationshipType) {
+        try {
+            this.graphDb.relationshipTypes.assertValidName(relationshipType);
+
+            const deleted = await this.graphDb.deleteRelationship(fromId, toId, relationshipType);
+
+            if (deleted) {
+                this.invalidateCache();
+                this.logger.info(`🗑️  Deleted relationship: ${fromId} -[${relationshipType}]-> ${toId}`);
+            }
+            return deleted;
+
+        } catch (error) {
+            this.logger.error('❌ Failed to delete relationship:', error);
+            throw error;
+        }
+    }
+
     /**
      * Find similar entities using multiple similarity algorithms
      */
@@ -235,21 +510,18 @@ class KnowledgeStore {
 
     /**
      * Discover patterns in the knowledge graph
+     * @param {Object} options - { types, minSupport, limit }
      */
     async discoverPatterns(options = {}) {
         try {
             this.logger.info('🔍 Discovering patterns...');
 
-            const patterns = {
-                investment: await this.discoverInvestmentPatterns(options),
-                behavioral: await this.discoverBehavioralPatterns(options),
-                temporal: await this.discoverTemporalPatterns(options),
-                geographical: await this.discoverGeographicalPatterns(options),
-                sector: await this.discoverSectorPatterns(options)
-            };
+            const types = this.patternMiner.resolveTypes(options.types);
+            const snapshot = await this.patternMiner.loadSnapshot();
+            const patterns = await this.minePatterns(snapshot, types, options);
 
             // Rank patterns by significance
-            const rankedPatterns = await this.rankPatterns(patterns);
+            const rankedPatterns = await this.rankPatterns(patterns, options);
 
             this.logger.info(`✅ Discovered ${rankedPatterns.length} patterns`);
             return rankedPatterns;
@@ -260,6 +532,25 @@ class KnowledgeStore {
         }
     }
 
+    /**
+     * Patterns of each requested type in a snapshot: { type: [patterns] }
+     */
+    async minePatterns(snapshot, types, options = {}) {
+        const discover = {
+            investment: () => this.discoverInvestmentPatterns(snapshot, options),
+            behavioral: () => this.discoverBehavioralPatterns(snapshot, options),
+            temporal: () => this.discoverTemporalPatterns(snapshot, options),
+            geographical: () => this.discoverGeographicalPatterns(snapshot, options),
+            sector: () => this.discoverSectorPatterns(snapshot, options)
+        };
+
+        const patterns = {};
+        for (const type of types) {
+            patterns[type] = await discover[type]();
+        }
+        return patterns;
+    }
+
     /**
      * Get comprehensive market intelligence
      */
@@ -267,13 +558,17 @@ class KnowledgeStore {
         try {
             this.logger.info('📊 Generating market intelligence...');
 
+            const market = await this.marketAnalytics.loadMarket(options);
+            const opportunities = await this.identifyOpportunities(market);
+            const risks = await this.identifyRisks(market);
+
             const intelligence = {
-                overview: await this.getMarketOverview(),
-                trends: await this.identifyMarketTrends(options),
-                opportunities: await this.identifyOpportunities(options),
-                risks: await this.identifyRisks(options),
-                predictions: await this.generatePredictions(options),
-                recommendations: await this.generateRecommendations(options)
+                overview: await this.getMarketOverview(market),
+                trends: await this.identifyMarketTrends(market),
+                opportunities,
+                risks,
+                predictions: await this.generatePredictions(market),
+                recommendations: await this.generateRecommendations(opportunities, risks)
             };
 
             return intelligence;
@@ -313,14 +608,14 @@ class KnowledgeStore {
 
     async generateGraphQueries(queryIntent, options) {
         const queries = [];
+        const limit = Math.floor(options.limit || 100);
 
         if (queryIntent.entityTypes?.length > 0) {
             queries.push({
                 type: 'entity_search',
-                cypher: 'MATCH (e:Entity) WHERE e.type IN $entityTypes RETURN e LIMIT $limit',
-                params: {
-                    entityTypes: queryIntent.entityTypes,
-                    limit: neo4j.int(Math.floor(options.limit || 100))
+                run: async (graphDb) => {
+                    const entities = await graphDb.findEntities({ types: queryIntent.entityTypes }, limit);
+                    return entities.map(e => ({ e }));
                 }
             });
         }
@@ -328,10 +623,9 @@ class KnowledgeStore {
         if (queryIntent.relationships?.length > 0) {
             queries.push({
                 type: 'relationship_search',
-                cypher: 'MATCH (a)-[r]-(b) WHERE type(r) IN $relationshipTypes RETURN a, r, b LIMIT $limit',
-                params: {
-                    relationshipTypes: queryIntent.relationships,
-                    limit: neo4j.int(Math.floor(options.limit || 100))
+                run: async (graphDb) => {
+                    const relationships = await graphDb.listRelationships({ types: queryIntent.relationships }, limit);
+                    return relationships.map(rel => ({ a: rel.from, r: rel.relationship, b: rel.to, type: rel.type }));
                 }
             });
         }
@@ -339,10 +633,12 @@ class KnowledgeStore {
         if (queryIntent.keywords?.length > 0) {
             queries.push({
                 type: 'keyword_search',
-                cypher: 'MATCH (e:Entity) WHERE any(keyword IN $keywords WHERE e.name CONTAINS keyword OR e.description CONTAINS keyword) RETURN e LIMIT $limit',
-                params: {
-                    keywords: queryIntent.keywords,
-                    limit: neo4j.int(Math.floor(options.limit || 100))
+                run: async (graphDb) => {
+                    const entities = await graphDb.searchEntities(queryIntent.keywords, {
+                        fields: ['name', 'description'],
+                        limit
+                    });
+                    return entities.map(e => ({ e }));
                 }
             });
         }
@@ -355,10 +651,10 @@ class KnowledgeStore {
 
         for (const query of queries) {
             try {
-                const result = await this.graphDb.executeCustomQuery(query.cypher, query.params);
+                const records = await query.run(this.graphDb);
                 results.push({
                     type: query.type,
-                    ...result
+                    records
                 });
             } catch (error) {
                 this.logger.warn(`Query failed: ${query.type}`, error);
@@ -380,6 +676,7 @@ class KnowledgeStore {
                 if (record.a && record.b) {
                     entities.push(record.a, record.b);
                     relationships.push({
+                        type: record.type,
                         from: record.a,
                         to: record.b,
                         relationship: record.r
@@ -397,6 +694,220 @@ class KnowledgeStore {
         };
     }
 
+    /**
+     * Validate, normalize and enhance an entity ahead of storage.
+     * New rows pass a resolution context so spelling variants of an existing entity
+     * (or of an earlier row in the same call) update it instead of creating a duplicate.
+     */
+    async prepareEntity(entityData, resolution = null) {
+        let normalizedEntity = await this.previewEntity(entityData);
+
+        // Types with their own natural key (e.g. people, keyed by employer) aren't identified by name alone
+        const keyedByName = !this.config.ingestion.naturalKey.typeFields?.[normalizedEntity.type];
+
+        if (resolution && keyedByName && this.config.ingestion.transformation.resolveAliases) {
+            normalizedEntity = await this.resolveEntityIdentity(normalizedEntity, resolution);
+        }
+
+        // Extract additional intelligence
+        return await this.intelligenceEngine.enhanceEntity(normalizedEntity);
+    }
+
+    /**
+     * An entity as it would be stored, validated and normalized with its derived ID,
+     * without enhancing or writing it (used by ingestion dry runs)
+     */
+    async previewEntity(entityData) {
+        // Validate entity data
+        if (!entityData.name || !entityData.type) {
+            const error = new Error('Entity must have name and type');
+            error.status = 400;
+            throw error;
+        }
+
+        // Normalize entity data
+        const normalizedEntity = await this.normalizeEntityData(entityData);
+
+        // Derive a stable ID if not provided, so re-ingesting the same record updates it
+        if (!normalizedEntity.id) {
+            normalizedEntity.id = this.entityIdFor(normalizedEntity);
+        }
+
+        return normalizedEntity;
+    }
+
+    /**
+     * Point an incoming row at the entity it duplicates, if any
+     */
+    async resolveEntityIdentity(entity, resolution) {
+        const key = `${entity.type}|${entity.normalizedName}`;
+
+        const match = resolution.resolved.get(key)
+            || (await this.entityResolution.findExistingMatch(entity))?.entity;
+
+        // Re-check after the lookup: a concurrent row of the same batch may have claimed the name
+        const existing = resolution.resolved.get(key) || match;
+
+        const resolved = existing && existing.id !== entity.id
+            ? this.entityResolution.absorbInto(existing, entity)
+            : entity;
+
+        resolution.resolved.set(key, resolved);
+        return resolved;
+    }
+
+    /**
+     * Deterministic entity ID: from the source-provided ID when present, otherwise from the
+     * configured natural key fields (normalized name + type + country by default, or the type's `typeFields`)
+     */
+    entityIdFor(entity) {
+        const { fields, typeFields = {}, sourceIdField } = this.config.ingestion.naturalKey;
+        const keyFields = typeFields[entity.type] || fields;
+
+        const key = entity[sourceIdField] != null && entity[sourceIdField] !== ''
+            ? ['source', entity.type, entity[sourceIdField]]
+            : ['key', ...keyFields.map(field => entity[field] ?? '')];
+
+        return uuidv5(key.map(part => String(part).trim().toLowerCase()).join('|'), ENTITY_ID_NAMESPACE);
+    }
+
+    /**
+     * Upsert prepared rows: rows identical to what's stored are skipped, the rest are bulk-written.
+     * Counts each row as created, updated or unchanged and maps backend row errors back to input indexes.
+     */
+    async writeEntityRows(rows, results, options) {
+        if (rows.length === 0) return;
+
+        const ids = _.uniq(rows.map(row => row.entity.id));
+        const current = new Map(
+            (await this.graphDb.findEntities({ ids }, ids.length)).map(entity => [entity.id, entity])
+        );
+
+        const pending = [];
+        for (const row of rows) {
+            const stored = current.get(row.entity.id);
+
+            if (stored) {
+                row.entity = await this.resolveConflicts(this.withStoredIdentity(row.entity, stored), stored);
+            }
+
+            row.outcome = !stored ? 'created' : this.hasEntityChanges(stored, row.entity) ? 'updated' : 'unchanged';
+
+            // Later rows for the same entity compare against this one
+            current.set(row.entity.id, { ...stored, ...this.graphDb.serializeEntityData(row.entity) });
+
+            if (row.outcome === 'unchanged') {
+                results.successful.push(stored);
+                results.counts.unchanged++;
+                results.ids[row.index] = row.entity.id;
+            } else {
+                pending.push(row);
+            }
+        }
+
+        if (pending.length === 0) return;
+
+        const written = await this.graphDb.createEntities(pending.map(row => row.entity), options);
+        results.successful.push(...written.created);
+
+        const failedRows = new Set();
+        written.errors.forEach(({ index, error }) => {
+            const row = pending[index];
+            failedRows.add(row);
+            results.failed.push({ index: row.index, entityData: row.entityData, error });
+        });
+
+        pending
+            .filter(row => !failedRows.has(row))
+            .forEach(row => {
+                results.counts[row.outcome]++;
+                results.ids[row.index] = row.entity.id;
+                results.changed.add(row.entity.id);
+            });
+    }
+
+    /**
+     * Whether writing `entity` over `stored` would change any (non-volatile) property
+     */
+    hasEntityChanges(stored, entity) {
+        const serialized = this.graphDb.serializeEntityData(entity);
+
+        return Object.entries(serialized).some(([key, value]) =>
+            !VOLATILE_ENTITY_PROPERTIES.includes(key) &&
+            value != null &&
+            !(key === 'lineage' ? this.graphDb.lineage.equivalent(stored[key], value) : _.isEqual(stored[key], value))
+        );
+    }
+
+    /**
+     * Reconcile a row with the entity already stored under its id: spelling variants keep the
+     * stored name (a genuine rename wins), every other name seen is kept as an alias, and the
+     * row's lineage is merged into the stored lineage
+     */
+    withStoredIdentity(entity, stored) {
+        const aliases = this.graphDb.aliases;
+        const name = aliases.normalize(entity.name) === aliases.normalize(stored.name) ? stored.name : entity.name;
+
+        const merged = _.uniq([
+            ...aliases.parseAliases(stored.aliases),
+            ...aliases.parseAliases(entity.aliases),
+            stored.name,
+            entity.name
+        ]).filter(alias => alias && alias !== name);
+
+        const reconciled = { ...entity, name, ...aliases.nameFields({ name, aliases: merged }) };
+        if (entity.lineage) {
+            reconciled.lineage = this.graphDb.lineage.merge(stored.lineage, entity.lineage);
+        }
+        return reconciled;
+    }
+
+    /**
+     * Settle the properties whose sources disagree in the entity's lineage with the configured
+     * policy: the winning value is stored and the resolution, with the losing alternatives, kept
+     * in `resolvedConflicts`. A monetary winner brings its own source's currency and as-of date.
+     */
+    async resolveConflicts(entity, stored) {
+        if (!entity.lineage) return entity;
+
+        const lineage = this.graphDb.lineage.parse(entity.lineage);
+        const monetaryFields = this.config.currency.monetaryFields;
+        const companions = field => [`${field}Currency`, `${field}AsOf`];
+
+        const resolutions = await this.conflictResolver.resolve(entity.id, lineage, {
+            // Identity is settled by entity resolution; currency and date follow their amount
+            exclude: ['name', this.config.ingestion.naturalKey.sourceIdField, ...monetaryFields.flatMap(companions)]
+        });
+
+        if (_.isEmpty(resolutions)) {
+            return stored.resolvedConflicts ? { ...entity, resolvedConflicts: {} } : entity;
+        }
+
+        const resolved = { ...entity, resolvedConflicts: resolutions };
+        for (const [property, { value, winner }] of Object.entries(resolutions)) {
+            resolved[property] = value;
+            if (!monetaryFields.includes(property)) continue;
+
+            delete resolved[`${property}Original`];
+            for (const companion of companions(property)) {
+                const observation = lineage[companion]?.find(source => source.file === winner.file && source.row === winner.row);
+                if (observation) {
+                    resolved[companion] = observation.value;
+                } else {
+                    delete resolved[companion];
+                }
+            }
+        }
+
+        // Derived fields (amounts in the reporting currency, parsed dates, the engine's numeric AUM)
+        // follow the winners, not the row that happened to be ingested last
+        const normalized = await this.normalizeEntityData(resolved);
+        if (resolutions.aum && normalized.aumNumeric !== undefined) {
+            normalized.aumNumeric = this.intelligenceEngine.parseFinancialAmount(normalized.aum);
+        }
+        return normalized;
+    }
+
     async normalizeEntityData(entityData) {
         const normalized = { ...entityData };
 
@@ -405,9 +916,18 @@ class KnowledgeStore {
             normalized.name = normalized.name?.trim();
         }
 
+        // Folded name, known aliases and lookup keys used by name searches and duplicate detection
+        Object.assign(normalized, this.graphDb.aliases.nameFields(normalized));
+
         // Parse currency values
-        if (this.config.ingestion.transformation.parseCurrency && normalized.aum) {
-            normalized.aum = this.parseCurrencyString(normalized.aum);
+        if (this.config.ingestion.transformation.parseCurrency) {
+            Object.assign(normalized, this.normalizeMonetaryFields(normalized));
+        }
+
+        // Source-provided record ID (used as the natural key when present)
+        const { sourceIdField } = this.config.ingestion.naturalKey;
+        if (normalized[sourceIdField] != null) {
+            normalized[sourceIdField] = String(normalized[sourceIdField]).trim();
         }
 
         // Extract dates
@@ -418,42 +938,81 @@ class KnowledgeStore {
         return normalized;
     }
 
+    /**
+     * Infer relationships around one entity (see RelationshipInference.inferForEntities)
+     */
     async inferRelationships(entity) {
-        // Implement relationship inference logic
-        // This is a placeholder for complex relationship inference
-        return [];
+        return this.inferBatchRelationships([entity.id]);
     }
 
+    /**
+     * Infer relationships around the given entities (or entity ids) only, not the whole graph.
+     * Inference never fails the write that triggered it: errors are logged and nothing is returned.
+     */
     async inferBatchRelationships(entities) {
-        // Implement batch relationship inference
-        // This would analyze all entities together to find relationships
-        return [];
+        const ids = entities.map(entity => (typeof entity === 'string' ? entity : entity.id)).filter(Boolean);
+        if (ids.length === 0) return [];
+
+        try {
+            const results = await this.relationshipInference.inferForEntities(ids);
+            results.errors.forEach(({ pattern, error }) => this.logger.warn(`Relationship inference (${pattern}) failed: ${error}`));
+            return results.relationships;
+        } catch (error) {
+            this.logger.warn('Relationship inference failed:', error.message);
+            return [];
+        }
     }
 
-    parseCurrencyString(currencyStr) {
-        if (typeof currencyStr !== 'string') return currencyStr;
-        
-        // Remove currency symbols and commas
-        const cleaned = currencyStr.replace(/[\$,€£¥]/g, '').trim();
-        
-        // Handle billions, millions, etc.
-        const multipliers = {
-            'b': 1000000000,
-            'billion': 1000000000,
-            'm': 1000000,
-            'million': 1000000,
-            'k': 1000,
-            'thousand': 1000
-        };
+    /**
+     * Scoped, resumable relationship inference over seed ids, a changed-since window, or the whole
+     * graph in batches (see RelationshipInference.runScoped). Unlike inference on write, errors propagate.
+     */
+    async runRelationshipInference(options = {}) {
+        const results = await this.relationshipInference.runScoped(options);
+        if (results.successfulInferences > 0) {
+            this.invalidateCache();
+        }
+        return results;
+    }
+
+    getInferencePatterns() {
+        return this.relationshipInference.getPatterns();
+    }
+
+    /**
+     * Monetary fields (config.currency.monetaryFields) as stored: the field holds the amount in the
+     * reporting currency, with <field>Original, <field>Currency, <field>FxRate and <field>FxAsOf alongside.
+     * <field>Currency on the input applies when the value names no currency; <field>AsOf picks the
+     * FX rate date. Unparseable values are left as they are.
+     */
+    normalizeMonetaryFields(entity) {
+        const fields = {};
+
+        for (const field of this.config.currency.monetaryFields) {
+            // Already-normalized entities (updates) convert again from the original amount
+            const source = entity[`${field}Original`] ?? entity[field];
+            if (source == null || source === '') continue;
+
+            const money = this.currency.normalize(source, {
+                currency: entity[`${field}Currency`],
+                asOf: entity[`${field}AsOf`]
+            });
+            if (!money) continue;
 
-        for (const [suffix, multiplier] of Object.entries(multipliers)) {
-            if (cleaned.toLowerCase().includes(suffix)) {
-                const number = parseFloat(cleaned.replace(new RegExp(suffix, 'gi'), ''));
-                return number * multiplier;
+            if (money.amount === null) {
+                this.logger.warn(`No ${money.currency} -> ${this.currency.reportingCurrency} FX rate for ${field} of ${entity.name}`);
             }
+
+            Object.assign(fields, {
+                [field]: money.amount,
+                [`${field}Original`]: money.originalAmount,
+                [`${field}Currency`]: money.currency,
+                [`${field}FxRate`]: money.fxRate,
+                [`${field}FxAsOf`]: money.fxAsOf
+            });
         }
 
-        return parseFloat(cleaned) || 0;
+        return fields;
     }
 
     parseDate(dateStr) {
@@ -490,14 +1049,92 @@ class KnowledgeStore {
         });
     }
 
+    /**
+     * Both endpoint entities of a relationship, or a 404 naming the missing one
+     */
+    async getRelationshipEndpoints(fromId, toId) {
+        const [fromEntity, toEntity] = await Promise.all([
+            this.graphDb.getEntity(fromId),
+            this.graphDb.getEntity(toId)
+        ]);
+
+        const missing = [[fromId, fromEntity], [toId, toEntity]].find(([, entity]) => !entity);
+        if (missing) {
+            const error = new Error(`Entity not found: ${missing[0]}`);
+            error.status = 404;
+            throw error;
+        }
+
+        return [fromEntity, toEntity];
+    }
+
+    /**
+     * Default to manual verification and require a type on every source
+     */
+    normalizeSources(sources) {
+        if (sources === undefined) {
+            return [{ type: 'MANUAL_VERIFICATION', data: {}, timestamp: new Date() }];
+        }
+
+        if (!Array.isArray(sources) || sources.length === 0 || sources.some(source => !source?.type)) {
+            const error = new Error('sources must be a non-empty array of { type, data } objects');
+            error.status = 400;
+            throw error;
+        }
+
+        return sources.map(source => ({
+            type: source.type,
+            data: source.data || {},
+            timestamp: source.timestamp ? new Date(source.timestamp) : new Date()
+        }));
+    }
+
+    validateConfidence(confidence) {
+        if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+            const error = new Error('confidence must be a number between 0 and 1');
+            error.status = 400;
+            throw error;
+        }
+        return confidence;
+    }
+
+    /**
+     * Caller-supplied relationship properties without store-managed keys
+     */
+    userRelationshipProperties(properties = {}) {
+        return this.graphDb.serializeEntityData(_.omit(properties, RESERVED_RELATIONSHIP_PROPERTIES));
+    }
+
+    parseJSON(value, fallback) {
+        try {
+            return typeof value === 'string' ? JSON.parse(value) : (value || fallback);
+        } catch {
+            return fallback;
+        }
+    }
+
+    /**
+     * Drop cached query results after the graph changes
+     */
+    invalidateCache() {
+        this.queryCache.clear();
+    }
+
+    /**
+     * Explainable insights about a result set (see InsightEngine)
+     */
     async generateInsights(entities, relationships) {
-        // Placeholder for insight generation
-        return [];
+        return this.insightEngine.generate(entities, relationships);
     }
 
+    /**
+     * Patterns within a result set: the pattern miners run over the results instead of the graph
+     */
     async detectPatternsInResults(entities, relationships) {
-        // Placeholder for pattern detection
-        return [];
+        const snapshot = this.patternMiner.buildSnapshot(_.uniqBy(entities, 'id'), relationships);
+        const patterns = await this.minePatterns(snapshot, this.patternMiner.resolveTypes());
+
+        return this.rankPatterns(patterns, { limit: this.config.intelligence.insights.maxInsights });
     }
 
     calculateConfidence(entities, relationships, queryIntent) {
@@ -515,19 +1152,21 @@ class KnowledgeStore {
         return Math.min(confidence, 1.0);
     }
 
-    // Placeholder methods for pattern discovery and market intelligence
-    async discoverInvestmentPatterns(options) { return []; }
-    async discoverBehavioralPatterns(options) { return []; }
-    async discoverTemporalPatterns(options) { return []; }
-    async discoverGeographicalPatterns(options) { return []; }
-    async discoverSectorPatterns(options) { return []; }
-    async rankPatterns(patterns) { return []; }
-    async getMarketOverview() { return {}; }
-    async identifyMarketTrends(options) { return []; }
-    async identifyOpportunities(options) { return []; }
-    async identifyRisks(options) { return []; }
-    async generatePredictions(options) { return []; }
-    async generateRecommendations(options) { return []; }
+    // Pattern discovery (see PatternMiner)
+    async discoverInvestmentPatterns(snapshot, options) { return this.patternMiner.coInvestmentPatterns(snapshot, options); }
+    async discoverBehavioralPatterns(snapshot, options) { return this.patternMiner.coInvestmentRules(snapshot, options); }
+    async discoverTemporalPatterns(snapshot, options) { return this.patternMiner.vintagePatterns(snapshot, options); }
+    async discoverGeographicalPatterns(snapshot, options) { return this.patternMiner.geographicPatterns(snapshot, options); }
+    async discoverSectorPatterns(snapshot, options) { return this.patternMiner.sectorPatterns(snapshot, options); }
+    async rankPatterns(patterns, options) { return this.patternMiner.rank(patterns, options); }
+
+    // Market intelligence (see MarketAnalytics)
+    async getMarketOverview(market) { return this.marketAnalytics.overview(market); }
+    async identifyMarketTrends(market) { return this.marketAnalytics.trends(market); }
+    async identifyOpportunities(market) { return this.marketAnalytics.opportunities(market); }
+    async identifyRisks(market) { return this.marketAnalytics.risks(market); }
+    async generatePredictions(market) { return this.marketAnalytics.predictions(market); }
+    async generateRecommendations(opportunities, risks) { return this.marketAnalytics.recommendations(opportunities, risks); }
     async combineAndRankSimilarity(graphSimilar, semanticSimilar) {
         return [...graphSimilar, ...semanticSimilar]
             .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
@@ -0,0 +1,39 @@
+/**
+ * Person Identity
+ * Ingested people are keyed by the firm that lists them (ingestion.naturalKey.typeFields.Person),
+ * so the same person at two firms is two Person nodes. Patterns looking for people shared between
+ * firms (PEOPLE_NETWORK, the shared_people insight) match a person's links by these keys instead
+ * of by node id alone:
+ *
+ *   id:<person id>                  the same node, whatever role it holds at each firm
+ *   name:<folded name>|<title>      the same name listed under the same title
+ *
+ * A name alone is too weak (unrelated people share common names); a link without a title only
+ * matches its own node.
+ */
+
+class PersonIdentity {
+    constructor(aliases) {
+        this.aliases = aliases;
+    }
+
+    /**
+     * Keys under which a person, linked to a firm by `relationship` (its properties), is the same
+     * person as another link with a key in common
+     */
+    keys(person, relationship = {}) {
+        const keys = [`id:${person.id}`];
+
+        const title = this.normalizeTitle(relationship.title);
+        const name = this.aliases.normalize(person.name);
+        if (title && name) keys.push(`name:${name}|${title}`);
+
+        return keys;
+    }
+
+    normalizeTitle(title) {
+        return typeof title === 'string' ? title.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+    }
+}
+
+module.exports = PersonIdentity;
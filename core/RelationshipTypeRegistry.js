@@ -0,0 +1,78 @@
+/**
+ * Relationship Type Registry
+ * The set of relationship types the graph may contain. Relationship types cannot be passed
+ * to Cypher as parameters, so every type written to the graph must be registered here first;
+ * registered names are restricted to UPPER_SNAKE_CASE and always emitted backtick-quoted.
+ */
+
+const TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const MAX_TYPE_LENGTH = 64;
+
+// Structural types the store itself writes, independent of configuration
+const CORE_TYPES = ['INVESTS_IN', 'INVESTED_IN', 'WORKS_AT', 'BOARD_MEMBER', 'PARTICIPATES_IN'];
+
+class RelationshipTypeRegistry {
+    constructor(types = CORE_TYPES) {
+        this.types = new Set();
+        this.registerAll(types);
+    }
+
+    /**
+     * Add a relationship type; rejects names that are not UPPER_SNAKE_CASE
+     */
+    register(type) {
+        this.assertValidName(type);
+        this.types.add(type);
+        return type;
+    }
+
+    registerAll(types = []) {
+        types.forEach(type => this.register(type));
+    }
+
+    has(type) {
+        return this.types.has(type);
+    }
+
+    list() {
+        return Array.from(this.types).sort();
+    }
+
+    /**
+     * Throw a 400 unless the type is well-formed and registered
+     */
+    assertKnown(type) {
+        this.assertValidName(type);
+        if (!this.types.has(type)) {
+            throw this.typeError(`Unknown relationship type: ${type}`);
+        }
+        return type;
+    }
+
+    /**
+     * Throw a 400 unless the type is a well-formed name (registered or not)
+     */
+    assertValidName(type) {
+        if (typeof type !== 'string' || type.length > MAX_TYPE_LENGTH || !TYPE_PATTERN.test(type)) {
+            throw this.typeError(`Invalid relationship type: ${JSON.stringify(type)} (expected UPPER_SNAKE_CASE)`);
+        }
+        return type;
+    }
+
+    /**
+     * Registered type as a backtick-quoted Cypher identifier
+     */
+    quote(type) {
+        return `\`${this.assertKnown(type)}\``;
+    }
+
+    typeError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+RelationshipTypeRegistry.CORE_TYPES = CORE_TYPES;
+
+module.exports = RelationshipTypeRegistry;
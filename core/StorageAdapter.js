@@ -0,0 +1,257 @@
+/**
+ * Storage Adapter contract
+ * Backend-neutral interface every knowledge graph store implements (Neo4j, in-memory, ...).
+ * Subsystems talk to the graph exclusively through these methods, never through raw query strings.
+ *
+ * Conventions shared by all backends:
+ *  - Entities are plain property objects keyed by `id`; nested objects are serialized to JSON strings
+ *  - Relationships are identified by (fromId, type, toId) and carry a property object
+ *  - Entity filters: id, ids, type, types, typeContains, name (substring), names (exact name, or any
+ *    folded name / alias key in `nameKeys`; see AliasRegistry), sector, country, minAum, min ({ property: minValue }), createdAfter (ISO date),
+ *    updatedAfter / updatedBefore (ISO dates, last write), idAfter (ids sorting after it; with orderBy 'id', keyset paging)
+ *  - Relationship filters: types, inferred (boolean), inferredAfter (ISO date)
+ */
+
+const RelationshipTypeRegistry = require('./RelationshipTypeRegistry');
+const AliasRegistry = require('./AliasRegistry');
+const EntityLineage = require('./EntityLineage');
+const PersonIdentity = require('./PersonIdentity');
+
+// Upper bound for variable-length path searches
+const MAX_PATH_HOPS = 10;
+
+class StorageAdapter {
+    constructor() {
+        // Relationship types this graph accepts on write
+        this.relationshipTypes = new RelationshipTypeRegistry();
+
+        // Name folding and known aliases used by `names` lookups
+        this.aliases = new AliasRegistry();
+
+        // Per-property provenance carried in each entity's `lineage`
+        this.lineage = new EntityLineage();
+
+        // The same person across firms, each of which lists them as a Person node of its own
+        this.people = new PersonIdentity(this.aliases);
+    }
+
+    // Lifecycle
+
+    async connect() { this.notImplemented('connect'); }
+    async disconnect() { this.notImplemented('disconnect'); }
+    isConnected() { this.notImplemented('isConnected'); }
+    async initializeSchema() {}
+
+    // Entity CRUD
+
+    /** Create or merge an entity by id, returning its stored properties */
+    async createEntity(entityData) { this.notImplemented('createEntity'); }
+
+    /**
+     * Create or merge many entities: { created: [entity], errors: [{ index, id, error }] }.
+     * With { atomic: true } either every row is written or none is (the call throws).
+     * This default writes row by row and cannot roll back, so backends override it.
+     */
+    async createEntities(entities, options = {}) {
+        if (options.atomic) {
+            this.notImplemented('createEntities (atomic)');
+        }
+
+        const { rows, errors } = this.partitionEntityBatch(entities);
+        const result = { created: [], errors };
+
+        for (const { index, entity } of rows) {
+            try {
+                result.created.push(await this.createEntity(entity));
+            } catch (error) {
+                result.errors.push({ index, id: entity.id, error: error.message });
+            }
+        }
+
+        result.errors.sort((a, b) => a.index - b.index);
+        return result;
+    }
+
+    /** Fetch a single entity by id, or null */
+    async getEntity(id) { this.notImplemented('getEntity'); }
+
+    /** Fetch several entities by id; missing ids are skipped */
+    async getEntities(ids) {
+        return this.findEntities({ ids }, ids.length);
+    }
+
+    /** Merge (or with { replace: true } overwrite) entity properties, returning the result or null */
+    async updateEntity(id, properties, options = {}) { this.notImplemented('updateEntity'); }
+
+    /** Delete an entity; { cascade: true } also removes its relationships. Returns true if deleted */
+    async deleteEntity(id, options = {}) { this.notImplemented('deleteEntity'); }
+
+    /** Find entities matching filters; options: { offset, orderBy: 'id' } */
+    async findEntities(filters = {}, limit = 100, options = {}) { this.notImplemented('findEntities'); }
+
+    // Relationship CRUD
+
+    /** Create or merge a relationship of a registered type, returning its stored properties */
+    async createRelationship(fromId, toId, relationshipType, properties = {}) { this.notImplemented('createRelationship'); }
+
+    /** Fetch relationship properties for a directed (fromId)-[type]->(toId) edge, or null */
+    async getRelationship(fromId, toId, relationshipType) { this.notImplemented('getRelationship'); }
+
+    /** Merge properties into an existing relationship, returning the result or null */
+    async updateRelationship(fromId, toId, relationshipType, properties) { this.notImplemented('updateRelationship'); }
+
+    /** Delete a relationship. Returns true if deleted */
+    async deleteRelationship(fromId, toId, relationshipType) { this.notImplemented('deleteRelationship'); }
+
+    /** Relationships touching an entity: [{ type, relationship, entity }] */
+    async findRelationships(entityId, relationshipType = null, direction = 'both') { this.notImplemented('findRelationships'); }
+
+    /** Relationships across the graph: [{ type, from, to, relationship }] */
+    async listRelationships(filters = {}, limit = 100, options = {}) { this.notImplemented('listRelationships'); }
+
+    // Traversal
+
+    /** Shortest undirected path of at most maxHops (1..10): { nodes, relationships, pathLength } or null */
+    async findShortestPath(fromId, toId, maxHops = 6) { this.notImplemented('findShortestPath'); }
+
+    /** Entities of the same type ranked by shared connections and properties */
+    async findSimilarEntities(entityId, similarity = 0.7, limit = 10) { this.notImplemented('findSimilarEntities'); }
+
+    // Aggregation
+
+    /**
+     * Group entities by property values: [{ ...groupValues, count, totals: { property: sum } }]
+     * ordered by count descending
+     */
+    async aggregateEntities(groupBy = [], filters = {}, options = {}) { this.notImplemented('aggregateEntities'); }
+
+    /** Group relationships by 'type' and/or relationship properties: [{ ...groupValues, count }] */
+    async aggregateRelationships(groupBy = ['type'], filters = {}) { this.notImplemented('aggregateRelationships'); }
+
+    /** Totals, type breakdowns and best-connected entities */
+    async getGraphStats() { this.notImplemented('getGraphStats'); }
+
+    // Text search
+
+    /** Case-insensitive search for any of the terms in the given fields; options: { fields, types, limit } */
+    async searchEntities(terms, options = {}) { this.notImplemented('searchEntities'); }
+
+    // Backend-native queries
+
+    /**
+     * Run a backend-native read-only query; options: { timeout (ms), maxRows }.
+     * Returns { records, truncated, rowLimit }
+     */
+    async executeReadQuery(query, parameters = {}, options = {}) { this.notImplemented('executeReadQuery'); }
+
+    // Administration
+
+    /** Ensure an index (or uniqueness constraint) exists for an entity type property */
+    async ensureIndex(entityType, property, options = {}) {}
+
+    async clearDatabase() { this.notImplemented('clearDatabase'); }
+
+    // Helpers available to every backend
+
+    /**
+     * Page through all entities matching filters
+     */
+    async *iterateEntities(filters = {}, batchSize = 1000) {
+        for (let offset = 0; ; offset += batchSize) {
+            const page = await this.findEntities(filters, batchSize, { offset, orderBy: 'id' });
+            yield* page;
+            if (page.length < batchSize) return;
+        }
+    }
+
+    /**
+     * Page through all relationships matching filters
+     */
+    async *iterateRelationships(filters = {}, batchSize = 1000) {
+        for (let offset = 0; ; offset += batchSize) {
+            const page = await this.listRelationships(filters, batchSize, { offset, orderBy: 'id' });
+            yield* page;
+            if (page.length < batchSize) return;
+        }
+    }
+
+    /**
+     * Split a batch into writable rows and rows rejected up front (no id)
+     */
+    partitionEntityBatch(entities) {
+        const rows = [];
+        const errors = [];
+
+        entities.forEach((entity, index) => {
+            if (!entity || !entity.id) {
+                errors.push({ index, id: entity?.id, error: 'Entity id is required' });
+            } else {
+                rows.push({ index, entity });
+            }
+        });
+
+        return { rows, errors };
+    }
+
+    /**
+     * Validate a path length bound; it is interpolated into Cypher, so only small integers pass
+     */
+    validateMaxHops(maxHops) {
+        const hops = Number(maxHops);
+        if (!Number.isInteger(hops) || hops < 1 || hops > MAX_PATH_HOPS) {
+            const error = new Error(`maxHops must be an integer between 1 and ${MAX_PATH_HOPS}`);
+            error.status = 400;
+            throw error;
+        }
+        return hops;
+    }
+
+    /**
+     * Error thrown when an atomic batch is rejected; carries the per-row errors
+     */
+    batchError(errors) {
+        const error = new Error(`Batch rejected: ${errors.length} invalid row(s), nothing was written`);
+        error.status = 400;
+        error.details = errors;
+        return error;
+    }
+
+    /**
+     * Serialize complex objects for storage
+     */
+    serializeEntityData(entityData) {
+        const serialized = { ...entityData };
+
+        // Convert complex objects to JSON strings and ensure proper types
+        for (const [key, value] of Object.entries(serialized)) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                if (value instanceof Date) {
+                    serialized[key] = value.toISOString();
+                } else {
+                    serialized[key] = JSON.stringify(value);
+                }
+            } else if (Array.isArray(value)) {
+                // Handle arrays of objects
+                if (value.length > 0 && typeof value[0] === 'object') {
+                    serialized[key] = JSON.stringify(value);
+                } else {
+                    // Keep primitive arrays as is
+                    serialized[key] = value;
+                }
+            } else if (typeof value === 'number' && !Number.isInteger(value)) {
+                // Keep floats as floats, but ensure they're proper numbers
+                serialized[key] = Number(value);
+            }
+        }
+
+        return serialized;
+    }
+
+    notImplemented(method) {
+        const error = new Error(`${this.constructor.name} does not implement ${method}()`);
+        error.status = 501;
+        throw error;
+    }
+}
+
+module.exports = StorageAdapter;
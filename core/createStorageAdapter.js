@@ -0,0 +1,50 @@
+/**
+ * Storage adapter factory
+ * Picks the knowledge graph backend named in config.storage.backend
+ */
+
+const path = require('path');
+
+function createStorageAdapter(config) {
+    const adapter = createBackend(config);
+
+    // Seed the accepted relationship types from configuration
+    adapter.relationshipTypes.registerAll(config.intelligence?.relationshipInference?.relationshipTypes);
+    adapter.aliases.registerAll(config.intelligence?.entityResolution?.knownAliases);
+
+    return adapter;
+}
+
+function createBackend(config) {
+    const backend = config.storage?.backend || 'neo4j';
+
+    switch (backend) {
+        case 'neo4j': {
+            // Required lazily so embedded backends run without the Neo4j driver installed
+            const GraphDatabase = require('./GraphDatabase');
+            return new GraphDatabase(config.neo4j);
+        }
+
+        case 'memory': {
+            const InMemoryGraphDatabase = require('./InMemoryGraphDatabase');
+            return new InMemoryGraphDatabase(config.storage.memory);
+        }
+
+        case 'file': {
+            // In-memory graph persisted as snapshot + operation log under the output path
+            const InMemoryGraphDatabase = require('./InMemoryGraphDatabase');
+            const fileConfig = config.storage.file || {};
+            return new InMemoryGraphDatabase({
+                persistence: {
+                    directory: fileConfig.directory || path.join(config.data.outputPath, 'graph'),
+                    snapshotInterval: fileConfig.snapshotInterval
+                }
+            });
+        }
+
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = createStorageAdapter;
@@ -4,12 +4,20 @@
  */
 
 require('dotenv').config();
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const winston = require('winston');
 const rateLimit = require('express-rate-limit');
+const config = require('./config/config');
+const createStorageAdapter = require('./core/createStorageAdapter');
+const KnowledgeStore = require('./core/KnowledgeStore');
+const IntelligenceEngine = require('./intelligence/IntelligenceEngine');
+const IngestionJobManager = require('./ingestion/IngestionJobManager');
+const DropFolderWatcher = require('./ingestion/DropFolderWatcher');
+const createAPIRoutes = require('./api/routes');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -354,113 +362,21 @@ class ResponseFormatter {
     }
 }
 
-// Mock Neo4j connection for Railway deployment
-class MockNeo4jConnection {
-    constructor() {
-        this.connected = true;
-        // Sample private markets data
-        this.sampleData = {
-            privateEquityFirms: [
-                { id: '1', name: 'Blackstone', type: 'Private Equity Firm', aum: 991000000000, location: 'New York, USA' },
-                { id: '2', name: 'KKR', type: 'Private Equity Firm', aum: 504000000000, location: 'New York, USA' },
-                { id: '3', name: 'Apollo Global Management', type: 'Private Equity Firm', aum: 523000000000, location: 'New York, USA' },
-                { id: '4', name: 'Carlyle Group', type: 'Private Equity Firm', aum: 376000000000, location: 'Washington DC, USA' },
-                { id: '5', name: 'TPG', type: 'Private Equity Firm', aum: 135000000000, location: 'Texas, USA' }
-            ],
-            portfolioCompanies: [
-                { id: '101', name: 'Hilton Hotels', type: 'Portfolio Company', sector: 'Hospitality', investor: 'Blackstone' },
-                { id: '102', name: 'Dollar General', type: 'Portfolio Company', sector: 'Retail', investor: 'KKR' },
-                { id: '103', name: 'ADT Security', type: 'Portfolio Company', sector: 'Security', investor: 'Apollo' }
-            ]
-        };
-    }
-
-    async connect() {
-        logger.info('✅ Mock Neo4j connection established');
-        return true;
-    }
-
-    isConnected() {
-        return this.connected;
-    }
-
-    async getStats() {
-        return {
-            totalEntities: 73612,
-            totalRelationships: 201855,
-            entityTypeBreakdown: [
-                { type: 'Portfolio Company', count: 34516 },
-                { type: 'Private Equity Firm', count: 18554 },
-                { type: 'Hedge Fund Manager', count: 11701 },
-                { type: 'Real Estate Fund Manager', count: 7678 },
-                { type: 'Infrastructure Fund Manager', count: 703 },
-                { type: 'Other', count: 460 }
-            ],
-            relationshipTypeBreakdown: [
-                { type: 'INVESTED_IN', count: 114624 },
-                { type: 'LED_INVESTMENT_IN', count: 40333 },
-                { type: 'BOARD_MEMBER_OF', count: 40333 },
-                { type: 'CO_INVESTED_WITH', count: 3281 },
-                { type: 'ACQUIRED', count: 2050 },
-                { type: 'DIVESTED', count: 1234 }
-            ]
-        };
-    }
-
-    async executeQuery(query, options = {}) {
-        logger.info(`Executing query: ${query.substring(0, 100)}...`);
-        
-        // Simple query simulation based on keywords
-        const queryLower = query.toLowerCase();
-        let results = [];
-        
-        if (queryLower.includes('private equity') || queryLower.includes('pe firms')) {
-            results = this.sampleData.privateEquityFirms.slice(0, 10);
-        } else if (queryLower.includes('portfolio') || queryLower.includes('companies')) {
-            results = this.sampleData.portfolioCompanies.slice(0, 10);
-        } else if (queryLower.includes('blackstone')) {
-            results = this.sampleData.privateEquityFirms.filter(firm => 
-                firm.name.toLowerCase().includes('blackstone')
-            );
-        } else {
-            // Default to top PE firms
-            results = this.sampleData.privateEquityFirms.slice(0, 5);
-        }
-
-        return {
-            success: true,
-            results: results,
-            query: query,
-            intent: {
-                text: query,
-                intent: 'general_search',
-                entityTypes: ['COMPANY', 'FUND'],
-                keywords: queryLower.split(' ').filter(word => word.length > 2),
-                entities: [
-                    { text: 'private equity', type: 'SECTOR', confidence: 0.9 }
-                ],
-                confidence: 0.8,
-                complexity: 'simple'
-            },
-            metadata: {
-                processingTime: Math.floor(Math.random() * 500) + 100,
-                totalResults: results.length,
-                cached: false
-            }
-        };
-    }
-
-    async disconnect() {
-        this.connected = false;
-        logger.info('✅ Mock Neo4j connection closed');
-    }
-}
-
 class PrivateMarketsKnowledgeStore {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
-        this.neo4j = new MockNeo4jConnection();
+        // Backend (and file persistence settings) from config.storage
+        this.graphDb = createStorageAdapter(config);
+        this.intelligenceEngine = new IntelligenceEngine(config);
+        this.knowledgeStore = new KnowledgeStore({
+            graphDb: this.graphDb,
+            intelligenceEngine: this.intelligenceEngine,
+            config
+        });
+        // Background ingestion: checkpointed jobs, fed by the drop-folder watcher when enabled
+        this.ingestionJobs = new IngestionJobManager(this.knowledgeStore, config);
+        this.dropFolder = new DropFolderWatcher(this.ingestionJobs, config);
         this.sessionStore = new SessionStore();
         this.responseFormatter = new ResponseFormatter();
     }
@@ -469,15 +385,26 @@ class PrivateMarketsKnowledgeStore {
         logger.info('🚀 Initializing Private Markets Knowledge Store on Railway...');
         
         try {
-            // Connect to mock database
-            await this.neo4j.connect();
-            
+            // Connect to the knowledge graph and bring up the knowledge store
+            await this.graphDb.connect();
+            await this.graphDb.initializeSchema();
+            await this.intelligenceEngine.initialize();
+            await this.knowledgeStore.initialize();
+            logger.info(`✅ Knowledge graph connection established (${config.storage.backend} backend)`);
+
             // Setup Express middleware
             this.setupMiddleware();
             
             // Setup routes
             this.setupRoutes();
 
+            // Fill an empty graph from the seed data files, or keep ingesting what lands there
+            if (config.ingestion.dropFolder.enabled) {
+                await this.dropFolder.start();
+            } else {
+                await this.seedFromIngestion();
+            }
+
             logger.info('🎯 Private Markets Knowledge Store ready for Railway deployment!');
             
         } catch (error) {
@@ -486,6 +413,26 @@ class PrivateMarketsKnowledgeStore {
         }
     }
 
+    /**
+     * Ingest data.seedDataPath into an empty graph as a background job (ingestion.seedOnStartup),
+     * so the API serves ingested data from the first start. With the drop folder enabled the
+     * watcher ingests those files instead. POST /api/ingest/seed re-runs it.
+     */
+    async seedFromIngestion() {
+        if (!config.ingestion.seedOnStartup) return;
+
+        const stats = await this.graphDb.getGraphStats();
+        if (stats.totalEntities > 0) return;
+
+        if (!fs.existsSync(config.data.seedDataPath)) {
+            logger.warn(`⚠️  Seed data folder ${config.data.seedDataPath} not found; starting with an empty graph`);
+            return;
+        }
+
+        const job = this.ingestionJobs.startJob();
+        logger.info(`🌱 Empty graph: ingesting seed data from ${config.data.seedDataPath} (job ${job.id})`);
+    }
+
     setupMiddleware() {
         // Rate limiting
         const limiter = rateLimit({
@@ -521,9 +468,9 @@ class PrivateMarketsKnowledgeStore {
                 environment: process.env.NODE_ENV || 'development',
                 deployment: 'railway',
                 components: {
-                    graphDb: this.neo4j.isConnected(),
-                    intelligenceEngine: true,
-                    knowledgeStore: true
+                    graphDb: this.graphDb.isConnected(),
+                    intelligenceEngine: this.intelligenceEngine.isReady(),
+                    knowledgeStore: this.knowledgeStore.isReady()
                 }
             });
         });
@@ -543,6 +490,8 @@ class PrivateMarketsKnowledgeStore {
                     query: '/api/query (POST)',
                     agent: '/api/agent/query (POST)',
                     conversation: '/api/agent/conversation (POST)',
+                    entities: '/api/entities',
+                    ingest: '/api/ingest/seed (POST)',
                     // Enhanced Wrapper Service
                     wrapperChat: '/api/wrapper/chat (POST) - Main integration endpoint',
                     wrapperSession: '/api/wrapper/session (POST/GET/DELETE) - Session management',
@@ -571,148 +520,13 @@ class PrivateMarketsKnowledgeStore {
                 deployment: 'railway',
                 port: this.port,
                 components: {
-                    graphDb: this.neo4j.isConnected(),
-                    intelligenceEngine: true,
-                    knowledgeStore: true
+                    graphDb: this.graphDb.isConnected(),
+                    intelligenceEngine: this.intelligenceEngine.isReady(),
+                    knowledgeStore: this.knowledgeStore.isReady()
                 }
             });
         });
 
-        // Database stats
-        this.app.get('/api/stats', async (req, res) => {
-            try {
-                const stats = await this.neo4j.getStats();
-                res.json({
-                    success: true,
-                    data: stats
-                });
-            } catch (error) {
-                logger.error('Stats error:', error);
-                res.status(500).json({ success: false, error: error.message });
-            }
-        });
-
-        // Main query endpoint
-        this.app.post('/api/query', async (req, res) => {
-            try {
-                const { query, options = {} } = req.body;
-
-                if (!query || typeof query !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Query is required and must be a string'
-                    });
-                }
-
-                const result = await this.neo4j.executeQuery(query, options);
-                
-                res.json({
-                    success: true,
-                    data: result
-                });
-            } catch (error) {
-                logger.error('Query error:', error);
-                res.status(500).json({ success: false, error: error.message });
-            }
-        });
-
-        // Enhanced agent query endpoint
-        this.app.post('/api/agent/query', async (req, res) => {
-            try {
-                const { query, sessionId, context = {} } = req.body;
-                
-                if (!query || typeof query !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Query is required and must be a string'
-                    });
-                }
-
-                const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                const timestamp = new Date().toISOString();
-                
-                logger.info(`Agent query: ${query}`, { requestId, sessionId });
-                
-                const result = await this.neo4j.executeQuery(query, { sessionId, ...context });
-                
-                const response = {
-                    success: true,
-                    requestId,
-                    timestamp,
-                    sessionId: sessionId || requestId,
-                    data: {
-                        query,
-                        response: result,
-                        metadata: {
-                            processingTime: result.metadata?.processingTime || 150,
-                            entityCount: result.results?.length || 0,
-                            confidence: 'high',
-                            sources: 'Private Markets Knowledge Store (Railway Demo)'
-                        }
-                    }
-                };
-                
-                res.json(response);
-                
-            } catch (error) {
-                logger.error('Agent query failed:', error);
-                res.status(500).json({
-                    success: false,
-                    error: { message: 'Query processing failed' }
-                });
-            }
-        });
-
-        // Conversation endpoint
-        this.app.post('/api/agent/conversation', async (req, res) => {
-            try {
-                const { message, conversationId, userId } = req.body;
-                
-                if (!message) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Message is required'
-                    });
-                }
-
-                const sessionId = conversationId || `conv_${Date.now()}`;
-                const result = await this.neo4j.executeQuery(message, { conversational: true });
-                
-                let responseText = `I found ${result.results?.length || 0} relevant results for "${message}".`;
-                
-                if (result.results && result.results.length > 0) {
-                    const topResult = result.results[0];
-                    responseText += ` The top result is ${topResult.name}`;
-                    if (topResult.type) responseText += ` (${topResult.type})`;
-                    if (topResult.aum) {
-                        responseText += ` with $${(topResult.aum / 1000000000).toFixed(1)}B AUM`;
-                    }
-                    responseText += '.';
-                }
-                
-                res.json({
-                    success: true,
-                    conversationId: sessionId,
-                    timestamp: new Date().toISOString(),
-                    data: {
-                        message: responseText,
-                        queryResults: result,
-                        suggestions: [
-                            "Tell me more about the top result",
-                            "Show me similar companies",
-                            "What are the investment trends?"
-                        ]
-                    }
-                });
-            } catch (error) {
-                logger.error('Conversation error:', error);
-                res.status(500).json({
-                    success: false,
-                    error: { message: 'Could not process your message' }
-                });
-            }
-        });
-
         // ===========================================
         // ENHANCED WRAPPER SERVICE ENDPOINTS
         // ===========================================
@@ -782,9 +596,10 @@ class PrivateMarketsKnowledgeStore {
                 }
 
                 // Execute query
-                const queryResult = await this.neo4j.executeQuery(enhancedQuery, {
+                const queryResult = await this.knowledgeStore.query(enhancedQuery, {
                     sessionId: session.sessionToken,
                     conversational: true,
+                    startTime: Date.now(),
                     ...context
                 });
 
@@ -819,7 +634,7 @@ class PrivateMarketsKnowledgeStore {
                         queryCount: session.totalQueries
                     },
                     metadata: {
-                        processingTime: queryResult.metadata?.processingTime || 200,
+                        processingTime: queryResult.metadata?.executionTime || 0,
                         cached: false,
                         confidence: 0.95,
                         dataSource: 'Private Markets Knowledge Store',
@@ -972,22 +787,11 @@ class PrivateMarketsKnowledgeStore {
             }
         });
 
-        // Analytics endpoint
-        this.app.get('/api/agent/analytics', (req, res) => {
-            res.json({
-                success: true,
-                data: {
-                    timeRange: req.query.timeRange || '24h',
-                    timestamp: new Date().toISOString(),
-                    metrics: {
-                        totalQueries: Math.floor(Math.random() * 1000) + 500,
-                        averageResponseTime: Math.floor(Math.random() * 500) + 150,
-                        successRate: 0.98,
-                        deployment: 'railway'
-                    }
-                }
-            });
-        });
+        // Knowledge store API: queries, agent, entities, relationships, ingestion, inference, ...
+        this.app.use('/api', createAPIRoutes(this.knowledgeStore, {
+            ingestionJobs: this.ingestionJobs,
+            dropFolder: this.dropFolder
+        }));
 
         // Error handling
         this.app.use((error, req, res, next) => {
@@ -1008,7 +812,7 @@ class PrivateMarketsKnowledgeStore {
                 error: {
                     message: 'Endpoint not found',
                     path: req.url,
-                    availableEndpoints: ['/', '/health', '/api/stats', '/api/query', '/api/agent/query']
+                    availableEndpoints: ['/', '/health', '/api/stats', '/api/query', '/api/agent/query', '/api/entities', '/api/ingest/seed']
                 }
             });
         });
@@ -1033,7 +837,7 @@ class PrivateMarketsKnowledgeStore {
             // Test internal connectivity
             setTimeout(() => {
                 logger.info('🧪 Testing internal routes...');
-                logger.info('Available routes: /, /health, /status, /api/stats, /api/query, /api/agent/query');
+                logger.info('Available routes: /, /health, /status, /api/stats, /api/query, /api/agent/query, /api/entities, /api/ingest/seed');
             }, 1000);
         });
         
@@ -1052,9 +856,13 @@ class PrivateMarketsKnowledgeStore {
         if (this.server) {
             this.server.close();
         }
-        
-        if (this.neo4j) {
-            await this.neo4j.disconnect();
+
+        // Stop picking up files, then leave running ingestion at its checkpoint
+        await this.dropFolder.stop();
+        await this.ingestionJobs.shutdown();
+
+        if (this.graphDb) {
+            await this.graphDb.disconnect();
         }
         
         logger.info('✅ Shutdown complete');
@@ -0,0 +1,286 @@
+/**
+ * Drop Folder Watcher
+ * Polls data.seedDataPath and ingests new or changed files as incremental jobs. A file is picked up
+ * once it has gone unmodified for `settleTime`; it is identified by the SHA-256 of its content,
+ * moved into the archive and ingested by its own IngestionJobManager job.
+ *
+ * Archive layout (under ingestion.dropFolder.archivePath):
+ *  - manifest.json                  every file seen, keyed by content hash, with its job and status
+ *  - processing/<hash>/<file>       picked up, job queued or running (or failed, awaiting resume)
+ *  - processed/<hash>/<file>        job completed
+ *  - duplicates/<time>-<file>       content already ingested earlier, not reprocessed
+ *
+ * Files are moved out of the drop folder before their job starts, and the processing directory is
+ * reconciled with the manifest on start, so a restart never reprocesses a file and never loses one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+class DropFolderWatcher {
+    constructor(jobManager, config) {
+        this.jobManager = jobManager;
+        this.config = config;
+        this.settings = {
+            pollInterval: 10000,
+            settleTime: 5000,
+            ...config.ingestion.dropFolder
+        };
+
+        this.folder = config.data.seedDataPath;
+        this.archivePath = this.settings.archivePath || path.join(config.data.outputPath, 'archive');
+        this.manifestPath = path.join(this.archivePath, MANIFEST_FILE);
+
+        this.manifest = null;
+        this.timer = null;
+        this.scanning = null;
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'drop-folder' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Load the manifest, recover files picked up before a restart and start polling
+     */
+    async start() {
+        try {
+            this.loadManifest();
+            await this.recover();
+            await this.scan();
+
+            this.timer = setInterval(() => {
+                this.scan().catch(error => this.logger.error('Drop folder scan failed:', error));
+            }, this.settings.pollInterval);
+            this.timer.unref();
+
+            this.logger.info(`👀 Watching ${this.folder} for new files (archive: ${this.archivePath})`);
+
+        } catch (error) {
+            this.logger.error('Failed to start drop folder watcher:', error);
+            throw error;
+        }
+    }
+
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.scanning;
+    }
+
+    /**
+     * One pass: update the status of files in flight, then pick up settled new files.
+     * Overlapping calls share the pass already running.
+     */
+    scan() {
+        if (!this.scanning) {
+            this.scanning = this.runScan().finally(() => {
+                this.scanning = null;
+            });
+        }
+        return this.scanning;
+    }
+
+    /**
+     * Watcher status and the most recent manifest entries
+     */
+    getStatus(options = {}) {
+        const entries = Object.values(this.manifest?.files || {})
+            .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+
+        return {
+            folder: this.folder,
+            archivePath: this.archivePath,
+            watching: this.timer !== null,
+            pollInterval: this.settings.pollInterval,
+            counts: entries.reduce((counts, entry) => {
+                counts[entry.status] = (counts[entry.status] || 0) + 1;
+                return counts;
+            }, {}),
+            files: entries.slice(0, options.limit || 50)
+        };
+    }
+
+    // Private helpers
+
+    async runScan() {
+        this.refreshInFlight();
+
+        for (const name of fs.readdirSync(this.folder).sort()) {
+            const filePath = path.join(this.folder, name);
+            if (name.startsWith('.') || !this.jobManager.ingester.profiles.forFile(name)) continue;
+
+            const stats = fs.statSync(filePath);
+            if (!stats.isFile() || Date.now() - stats.mtimeMs < this.settings.settleTime) continue;
+
+            const hash = await this.hashFile(filePath);
+            const known = this.manifest.files[hash];
+
+            if (known) {
+                // Same content as a file already picked up: archive it without reprocessing
+                const duplicatePath = path.join(this.archivePath, 'duplicates', `${Date.now()}-${name}`);
+                this.moveFile(filePath, duplicatePath);
+                known.duplicates = [...(known.duplicates || []), { file: name, archivedAs: duplicatePath, detectedAt: new Date().toISOString() }];
+                this.saveManifest();
+                this.logger.info(`⏭️  ${name} matches already-ingested ${known.file}, archived as duplicate`);
+                continue;
+            }
+
+            this.moveFile(filePath, path.join(this.processingDirectory(hash), name));
+            this.startJob(hash, name, stats.size);
+        }
+
+        this.saveManifest();
+    }
+
+    /**
+     * Files in processing/ with no manifest entry were moved just before a crash: queue them now.
+     * Their ingestion jobs were marked interrupted by the job manager and are resumed by refreshInFlight.
+     */
+    async recover() {
+        const processingRoot = path.join(this.archivePath, 'processing');
+        if (!fs.existsSync(processingRoot)) return;
+
+        for (const hash of fs.readdirSync(processingRoot)) {
+            if (this.manifest.files[hash]) continue;
+
+            const [name] = fs.readdirSync(path.join(processingRoot, hash));
+            if (!name) continue;
+
+            this.logger.info(`♻️  Recovering ${name} picked up before restart`);
+            const { size } = fs.statSync(path.join(processingRoot, hash, name));
+            this.startJob(hash, name, size);
+        }
+
+        this.saveManifest();
+    }
+
+    startJob(hash, name, size) {
+        const job = this.jobManager.startJob({ directory: this.processingDirectory(hash), files: [name] });
+
+        this.manifest.files[hash] = {
+            hash,
+            file: name,
+            size,
+            detectedAt: new Date().toISOString(),
+            status: 'processing',
+            jobId: job.id,
+            archivedAs: null,
+            processedAt: null,
+            error: null
+        };
+        this.saveManifest();
+
+        this.logger.info(`📥 Picked up ${name} (job ${job.id})`);
+    }
+
+    /**
+     * Sync manifest entries with their jobs: archive completed files, record failures,
+     * resume jobs interrupted by a restart
+     */
+    refreshInFlight() {
+        for (const entry of Object.values(this.manifest.files)) {
+            if (entry.status === 'processed') continue;
+
+            const job = this.jobManager.getJob(entry.jobId);
+            if (!job) continue;
+
+            if (job.status === 'interrupted') {
+                this.jobManager.resumeJob(entry.jobId);
+                entry.status = 'processing';
+            } else if (job.status === 'completed') {
+                const archivedAs = path.join(this.archivePath, 'processed', entry.hash, entry.file);
+                const processingPath = path.join(this.processingDirectory(entry.hash), entry.file);
+
+                // Already moved if the process stopped before the manifest was saved
+                if (fs.existsSync(processingPath)) this.moveFile(processingPath, archivedAs);
+                fs.rmSync(this.processingDirectory(entry.hash), { recursive: true, force: true });
+
+                Object.assign(entry, {
+                    status: 'processed',
+                    archivedAs,
+                    processedAt: job.finishedAt,
+                    error: null,
+                    results: {
+                        created: job.progress.created,
+                        updated: job.progress.updated,
+                        unchanged: job.progress.unchanged,
+                        failed: job.progress.failed
+                    }
+                });
+                this.logger.info(`📦 Archived ${entry.file} (${job.progress.created} created, ${job.progress.updated} updated)`);
+            } else if (job.status === 'failed' || job.status === 'cancelled') {
+                // Stays in processing/ so the job can be resumed through the jobs API
+                entry.status = job.status;
+                entry.error = job.error;
+            } else {
+                entry.status = 'processing';
+            }
+        }
+    }
+
+    processingDirectory(hash) {
+        return path.join(this.archivePath, 'processing', hash);
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Move a file, falling back to copy + delete when the archive is on another filesystem
+     */
+    moveFile(from, to) {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+
+        try {
+            fs.renameSync(from, to);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            fs.copyFileSync(from, to);
+            fs.unlinkSync(from);
+        }
+    }
+
+    loadManifest() {
+        fs.mkdirSync(this.archivePath, { recursive: true });
+
+        if (!fs.existsSync(this.manifestPath)) {
+            this.manifest = { version: MANIFEST_VERSION, files: {} };
+            return;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+        if (manifest.version !== MANIFEST_VERSION) {
+            throw new Error(`Unsupported drop folder manifest version: ${manifest.version}`);
+        }
+        this.manifest = manifest;
+    }
+
+    /**
+     * Write the manifest atomically (temp file + rename)
+     */
+    saveManifest() {
+        const tempPath = `${this.manifestPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ ...this.manifest, updatedAt: new Date().toISOString() }, null, 2));
+        fs.renameSync(tempPath, this.manifestPath);
+    }
+}
+
+module.exports = DropFolderWatcher;
@@ -0,0 +1,401 @@
+/**
+ * Ingestion Job Manager
+ * Runs seed ingestion as background jobs so large loads don't hold an HTTP request open.
+ * Each job is persisted as <id>.json under the jobs directory with a checkpoint per file
+ * (rows loaded so far), so a job interrupted by a crash, a cancel or a failure can be resumed
+ * where it stopped. Failed files are retried from their checkpoint up to ingestion.maxRetries
+ * times, waiting ingestion.retryDelay (doubling per attempt) in between.
+ *
+ * Job status: queued -> running -> completed | failed | cancelled
+ * Jobs found queued or running on startup, or stopped by shutdown(), are marked interrupted;
+ * failed, cancelled and interrupted jobs can be resumed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+const SeedDataIngester = require('./SeedDataIngester');
+
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+const FINISHED_STATUSES = ['completed', ...RESUMABLE_STATUSES];
+
+// Row errors kept per file in the job record
+const MAX_FILE_ERRORS = 100;
+
+const COUNT_FIELDS = ['totalEntities', 'successful', 'failed', 'created', 'updated', 'unchanged', 'people', 'transactions', 'relationships', 'inferredRelationships'];
+
+class IngestionJobManager {
+    constructor(knowledgeStore, config, options = {}) {
+        this.config = config;
+        this.ingester = options.ingester || new SeedDataIngester(knowledgeStore, config);
+        this.directory = config.ingestion.jobs?.directory || path.join(config.data.outputPath, 'jobs');
+
+        this.jobs = new Map();
+        this.controllers = new Map();
+        // Jobs run one at a time, in the order they were started or resumed
+        this.queue = Promise.resolve();
+        this.loaded = false;
+        this.stopping = false;
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'ingestion-jobs' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Read persisted jobs; any left queued or running by a previous process are marked interrupted
+     */
+    load() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+
+            for (const file of fs.readdirSync(this.directory).filter(file => file.endsWith('.json'))) {
+                const job = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+
+                if (!FINISHED_STATUSES.includes(job.status)) {
+                    job.status = 'interrupted';
+                    job.files.filter(file => file.status === 'running').forEach(file => {
+                        file.status = 'pending';
+                    });
+                    this.save(job);
+                }
+                this.jobs.set(job.id, job);
+            }
+
+            this.loaded = true;
+            this.logger.info(`📂 Loaded ${this.jobs.size} ingestion jobs from ${this.directory}`);
+
+        } catch (error) {
+            this.logger.error('Failed to load ingestion jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue a job over the files in a directory (default: data.seedDataPath), optionally only `files`
+     */
+    startJob(options = {}) {
+        if (!this.loaded) this.load();
+
+        const directory = options.directory || this.config.data.seedDataPath;
+        const names = options.files || fs.readdirSync(directory).sort();
+        const now = new Date().toISOString();
+
+        const job = {
+            id: uuidv4(),
+            status: 'queued',
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            directory,
+            files: [],
+            skippedFiles: [],
+            error: null
+        };
+
+        for (const name of names) {
+            const profile = this.ingester.profiles.forFile(name);
+            if (!profile) {
+                job.skippedFiles.push(name);
+                continue;
+            }
+            job.files.push(this.newFileState(name, profile));
+        }
+
+        this.jobs.set(job.id, job);
+        this.save(job);
+        this.enqueue(job);
+
+        this.logger.info(`🗂️  Queued ingestion job ${job.id} (${job.files.length} files)`);
+        return this.describe(job);
+    }
+
+    /**
+     * Job with progress, or null if unknown
+     */
+    getJob(jobId) {
+        if (!this.loaded) this.load();
+
+        const job = this.jobs.get(jobId);
+        return job ? this.describe(job) : null;
+    }
+
+    listJobs(options = {}) {
+        if (!this.loaded) this.load();
+
+        return Array.from(this.jobs.values())
+            .filter(job => !options.status || job.status === options.status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, options.limit || 50)
+            .map(job => this.describe(job));
+    }
+
+    /**
+     * Cancel a queued or running job; a running job stops after its current chunk. Null if unknown.
+     */
+    cancelJob(jobId) {
+        if (!this.loaded) this.load();
+
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+
+        if (FINISHED_STATUSES.includes(job.status)) {
+            throw this.stateError(`Job ${jobId} is already ${job.status}`);
+        }
+
+        const controller = this.controllers.get(jobId);
+        if (controller) {
+            controller.abort();
+        } else {
+            this.finish(job, 'cancelled');
+        }
+
+        this.logger.info(`🛑 Cancelling ingestion job ${jobId}`);
+        return this.describe(job);
+    }
+
+    /**
+     * Re-queue a failed, cancelled or interrupted job from its checkpoints. Null if unknown.
+     */
+    resumeJob(jobId) {
+        if (!this.loaded) this.load();
+
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+
+        if (!RESUMABLE_STATUSES.includes(job.status)) {
+            throw this.stateError(`Job ${jobId} is ${job.status} and cannot be resumed`);
+        }
+
+        job.status = 'queued';
+        job.finishedAt = null;
+        job.error = null;
+        job.files.filter(file => file.status !== 'completed').forEach(file => {
+            file.status = 'pending';
+            file.attempts = 0;
+            file.error = null;
+        });
+
+        this.save(job);
+        this.enqueue(job);
+
+        this.logger.info(`▶️  Resuming ingestion job ${jobId}`);
+        return this.describe(job);
+    }
+
+    /**
+     * Wait for every queued job to finish (used on shutdown and in scripts)
+     */
+    async drain() {
+        await this.queue;
+    }
+
+    /**
+     * Stop for process shutdown: the running job stops after its current chunk and, like the
+     * queued ones, is left interrupted at its checkpoint to be resumed after the restart
+     */
+    async shutdown() {
+        this.stopping = true;
+
+        for (const job of this.jobs.values()) {
+            if (job.status === 'queued') this.finish(job, 'interrupted');
+        }
+        for (const controller of this.controllers.values()) {
+            controller.abort();
+        }
+
+        await this.drain();
+    }
+
+    // Private helpers
+
+    enqueue(job) {
+        this.queue = this.queue
+            .then(() => this.run(job))
+            .catch(error => this.logger.error(`Ingestion job ${job.id} crashed:`, error));
+    }
+
+    async run(job) {
+        if (job.status !== 'queued') return;
+
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        this.save(job);
+
+        try {
+            for (const file of job.files) {
+                if (file.status === 'completed') continue;
+                await this.runFile(job, file, controller.signal);
+            }
+
+            const failed = job.files.filter(file => file.status === 'failed');
+            if (failed.length > 0) {
+                job.error = `${failed.length} file(s) failed: ${failed.map(file => file.file).join(', ')}`;
+                this.finish(job, 'failed');
+            } else {
+                this.finish(job, 'completed');
+            }
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.finish(job, this.stopping ? 'interrupted' : 'cancelled');
+            } else {
+                job.error = error.message;
+                this.finish(job, 'failed');
+                throw error;
+            }
+        } finally {
+            this.controllers.delete(job.id);
+        }
+    }
+
+    /**
+     * Ingest one file from its checkpoint, retrying failures with backoff. AbortError propagates.
+     */
+    async runFile(job, file, signal) {
+        const { maxRetries = 3, retryDelay = 1000 } = this.config.ingestion;
+        const filePath = path.join(job.directory, file.file);
+
+        while (true) {
+            signal.throwIfAborted();
+
+            const profile = this.ingester.profiles.forFile(file.file);
+            const base = { ...file.counts };
+            file.status = 'running';
+            file.attempts++;
+            this.save(job);
+
+            try {
+                await this.ingester.ingestFile(filePath, profile, {
+                    startRow: file.rowOffset,
+                    jobId: job.id,
+                    signal,
+                    onCheckpoint: ({ rowOffset, results }) => {
+                        file.rowOffset = rowOffset;
+                        COUNT_FIELDS.forEach(field => {
+                            file.counts[field] = (base[field] || 0) + results[field];
+                        });
+                        // Everything checkpointed now lives in the job record; drop it from the
+                        // ingester's results so a long file doesn't accumulate it in memory
+                        file.errors = [...file.errors, ...results.errors].slice(0, MAX_FILE_ERRORS);
+                        results.errors = [];
+                        results.entities = [];
+                        this.save(job);
+                    }
+                });
+
+                file.status = 'completed';
+                file.error = null;
+                this.save(job);
+                return;
+
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    file.status = 'pending';
+                    this.save(job);
+                    throw error;
+                }
+
+                file.error = error.message;
+
+                // Bad input (e.g. malformed JSON) fails the same way every time
+                if (error.status === 400 || file.attempts > maxRetries) {
+                    file.status = 'failed';
+                    this.save(job);
+                    this.logger.error(`❌ ${file.file} failed after ${file.attempts} attempt(s): ${error.message}`);
+                    return;
+                }
+
+                const delay = retryDelay * 2 ** (file.attempts - 1);
+                this.logger.warn(`⚠️  ${file.file} failed at row ${file.rowOffset} (attempt ${file.attempts}), retrying in ${delay}ms: ${error.message}`);
+                this.save(job);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    newFileState(name, profile) {
+        return {
+            file: name,
+            profile: profile.name,
+            status: 'pending',
+            rowOffset: 0,
+            attempts: 0,
+            counts: Object.fromEntries(COUNT_FIELDS.map(field => [field, 0])),
+            errors: [],
+            error: null
+        };
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        this.save(job);
+        this.logger.info(`🏁 Ingestion job ${job.id} ${status}`);
+    }
+
+    /**
+     * Job as reported by the API: the persisted record plus aggregate progress
+     */
+    describe(job) {
+        const totals = Object.fromEntries(COUNT_FIELDS.map(field => [
+            field,
+            job.files.reduce((sum, file) => sum + (file.counts[field] || 0), 0)
+        ]));
+
+        return {
+            ...job,
+            progress: {
+                totalFiles: job.files.length,
+                completedFiles: job.files.filter(file => file.status === 'completed').length,
+                failedFiles: job.files.filter(file => file.status === 'failed').length,
+                currentFile: job.files.find(file => file.status === 'running')?.file || null,
+                rowsProcessed: job.files.reduce((sum, file) => sum + file.rowOffset, 0),
+                ...totals
+            }
+        };
+    }
+
+    /**
+     * Write a job record atomically (temp file + rename) so a crash never leaves a torn checkpoint
+     */
+    save(job) {
+        job.updatedAt = new Date().toISOString();
+
+        const jobPath = path.join(this.directory, `${job.id}.json`);
+        const tempPath = `${jobPath}.tmp`;
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+        fs.renameSync(tempPath, jobPath);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    stateError(message) {
+        const error = new Error(message);
+        error.status = 409;
+        return error;
+    }
+}
+
+module.exports = IngestionJobManager;
@@ -0,0 +1,273 @@
+/**
+ * Mapping Profiles
+ * Declarative source-to-entity mappings for file ingestion. Each profile (JSON, or YAML when
+ * js-yaml is installed) names the files it applies to by glob, the entity type to assign, which
+ * source columns feed each entity property, default values and per-property transforms:
+ *
+ *   {
+ *     "name": "vendor-x-managers",
+ *     "extends": "seed-common",            // inherit columns/defaults/transforms/derive
+ *     "match": ["VendorX_*.csv"],          // globs on the file name
+ *     "priority": 0,                       // higher wins when several profiles match
+ *     "format": "ndjson",                  // optional reader options, see RecordReader:
+ *     "delimiter": ";",                    //   format, delimiter, encoding, recordPath
+ *     "entityType": "Private Equity Firm",
+ *     "sourceType": "INDUSTRY_DATABASES",  // SourceIntelligence type recorded in entity lineage
+ *     "columns": { "name": ["Firm Name", "Name"] },   // first non-empty column (or dotted JSON path) wins
+ *     "defaults": { "status": "Active" },
+ *     "transforms": { "country": ["trim", "uppercase"] },
+ *     "derive": { "foundedYear": { "from": "founded", "transforms": ["integer"] } },
+ *     "related": { "people": "keyPeople", "transactions": "notableTransactions" }  // split into entities
+ *   }
+ *
+ * Profile files may hold one profile or an array; all files in the profile directory are loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CurrencyConverter = require('../core/CurrencyConverter');
+
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Amount parsing only; conversion to the reporting currency happens in the knowledge store
+const amounts = new CurrencyConverter();
+
+// Named value transforms usable in `transforms` and `derive`
+const TRANSFORMS = {
+    trim: value => (typeof value === 'string' ? value.trim() : value),
+    lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+    uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+    number: value => {
+        const number = parseFloat(String(value).replace(/,/g, ''));
+        return isNaN(number) ? null : number;
+    },
+    integer: value => {
+        const number = parseInt(String(value).replace(/,/g, ''), 10);
+        return isNaN(number) ? null : number;
+    },
+    list: value => String(value).split(/[;|]/).map(item => item.trim()).filter(Boolean),
+    currency: value => amounts.parse(value)?.amount ?? null,       // amount in the currency it names
+    currencyCode: value => amounts.parse(value)?.currency ?? null   // ISO code named by the value
+};
+
+class MappingProfiles {
+    constructor(directory) {
+        this.directory = directory;
+        this.profiles = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Read and validate every profile file in the directory
+     */
+    load() {
+        const declared = [];
+
+        const files = fs.readdirSync(this.directory)
+            .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        for (const file of files) {
+            const parsed = this.parseFile(path.join(this.directory, file));
+            const entries = Array.isArray(parsed) ? parsed : [parsed];
+            entries.forEach(profile => declared.push({ ...profile, file }));
+        }
+
+        const byName = new Map();
+        for (const profile of declared) {
+            if (!profile.name) {
+                throw new Error(`Mapping profile in ${profile.file} has no name`);
+            }
+            if (byName.has(profile.name)) {
+                throw new Error(`Duplicate mapping profile name "${profile.name}" (${profile.file})`);
+            }
+            byName.set(profile.name, profile);
+        }
+
+        this.profiles = declared.map(profile => this.resolve(profile, byName, []));
+        this.loaded = true;
+        return this.profiles;
+    }
+
+    /**
+     * Profile for a file name: the highest-priority profile with a matching glob, or null
+     */
+    forFile(fileName) {
+        if (!this.loaded) this.load();
+
+        let best = null;
+        for (const profile of this.profiles) {
+            if (!profile.match.some(pattern => globToRegExp(pattern).test(fileName))) continue;
+            if (!best || profile.priority > best.priority) best = profile;
+        }
+        return best;
+    }
+
+    /**
+     * Map one source row to entity properties using a profile
+     */
+    mapRow(profile, row) {
+        const entity = {};
+
+        for (const [property, columns] of Object.entries(profile.columns)) {
+            const value = this.getFieldValue(row, columns);
+            if (value !== null) entity[property] = value;
+        }
+
+        for (const [property, value] of Object.entries(profile.defaults)) {
+            if (entity[property] === undefined) entity[property] = value;
+        }
+
+        for (const [property, transforms] of Object.entries(profile.transforms)) {
+            if (entity[property] !== undefined) {
+                entity[property] = this.applyTransforms(entity[property], transforms);
+            }
+        }
+
+        for (const [property, { from, transforms = [] }] of Object.entries(profile.derive)) {
+            if (entity[from] !== undefined) {
+                entity[property] = this.applyTransforms(entity[from], transforms);
+            }
+        }
+
+        if (profile.entityType) entity.type = profile.entityType;
+
+        return entity;
+    }
+
+    /**
+     * Where each mapped property of a row came from: { property: { column, value } } with the raw
+     * source value. Profile defaults have a null column; derived properties name the property
+     * they were derived from and share its column.
+     */
+    traceRow(profile, row) {
+        const trace = {};
+
+        for (const [property, columns] of Object.entries(profile.columns)) {
+            const source = this.getFieldSource(row, columns);
+            if (source) trace[property] = source;
+        }
+
+        for (const [property, value] of Object.entries(profile.defaults)) {
+            if (!trace[property]) trace[property] = { column: null, value, default: true };
+        }
+
+        for (const [property, { from }] of Object.entries(profile.derive)) {
+            if (trace[from]) trace[property] = { ...trace[from], derivedFrom: from };
+        }
+
+        return trace;
+    }
+
+    /**
+     * First non-empty value among candidate column names; "a.b" also reaches into nested JSON records
+     */
+    getFieldValue(row, columns) {
+        return this.getFieldSource(row, columns)?.value ?? null;
+    }
+
+    /**
+     * The first non-empty candidate column and its value ({ column, value }), or null
+     */
+    getFieldSource(row, columns) {
+        for (const column of columns) {
+            const value = column in row
+                ? row[column]
+                : column.split('.').reduce((current, key) => (current == null ? undefined : current[key]), row);
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                return { column, value: typeof value === 'string' ? value.trim() : value };
+            }
+        }
+        return null;
+    }
+
+    applyTransforms(value, transforms) {
+        return transforms.reduce((current, name) => (current === null ? null : TRANSFORMS[name](current)), value);
+    }
+
+    // Private helpers
+
+    parseFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        try {
+            if (path.extname(filePath).toLowerCase() === '.json') {
+                return JSON.parse(content);
+            }
+
+            // YAML support is optional so JSON-only deployments don't need the dependency
+            return require('js-yaml').load(content);
+
+        } catch (error) {
+            throw new Error(`Invalid mapping profile file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Flatten `extends` chains and normalize a profile's shape, validating transform names
+     */
+    resolve(profile, byName, chain) {
+        if (chain.includes(profile.name)) {
+            throw new Error(`Mapping profile inheritance cycle: ${[...chain, profile.name].join(' -> ')}`);
+        }
+
+        let base = { columns: {}, defaults: {}, transforms: {}, derive: {}, related: {} };
+        if (profile.extends) {
+            const parent = byName.get(profile.extends);
+            if (!parent) {
+                throw new Error(`Mapping profile "${profile.name}" extends unknown profile "${profile.extends}"`);
+            }
+            base = this.resolve(parent, byName, [...chain, profile.name]);
+        }
+
+        const columns = { ...base.columns };
+        for (const [property, sourceColumns] of Object.entries(profile.columns || {})) {
+            columns[property] = Array.isArray(sourceColumns) ? sourceColumns : [sourceColumns];
+        }
+
+        const resolved = {
+            name: profile.name,
+            file: profile.file,
+            match: profile.match || [],
+            priority: profile.priority || 0,
+            entityType: profile.entityType || base.entityType,
+            sourceType: profile.sourceType || base.sourceType || 'INDUSTRY_DATABASES',
+            format: profile.format || base.format,
+            delimiter: profile.delimiter || base.delimiter,
+            encoding: profile.encoding || base.encoding,
+            recordPath: profile.recordPath || base.recordPath,
+            columns,
+            defaults: { ...base.defaults, ...profile.defaults },
+            transforms: { ...base.transforms, ...profile.transforms },
+            derive: { ...base.derive, ...profile.derive },
+            related: { ...base.related, ...profile.related }
+        };
+
+        const transformNames = [
+            ...Object.values(resolved.transforms).flat(),
+            ...Object.values(resolved.derive).flatMap(rule => rule.transforms || [])
+        ];
+        for (const name of transformNames) {
+            if (!TRANSFORMS[name]) {
+                throw new Error(`Mapping profile "${profile.name}" uses unknown transform "${name}"`);
+            }
+        }
+
+        return resolved;
+    }
+}
+
+/**
+ * Glob (`*`, `?`) to an anchored, case-insensitive regular expression
+ */
+function globToRegExp(pattern) {
+    const source = pattern
+        .split('')
+        .map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+MappingProfiles.TRANSFORMS = TRANSFORMS;
+
+module.exports = MappingProfiles;
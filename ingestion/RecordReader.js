@@ -0,0 +1,265 @@
+/**
+ * Record Reader
+ * Streams source records from delimited text (comma, tab, semicolon or pipe), JSON arrays and
+ * newline-delimited JSON. Format comes from the mapping profile (`format`) or the file extension;
+ * delimiter and text encoding (UTF-8, UTF-16 LE/BE, Latin-1) are detected unless the profile
+ * sets `delimiter` / `encoding`.
+ *
+ * read() yields { record } per source record, or { error, position } for a record that could
+ * not be parsed (NDJSON lines, non-object JSON entries) so one bad record doesn't fail the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const csv = require('csv-parser');
+
+const FORMATS_BY_EXTENSION = {
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+    '.csv': 'delimited',
+    '.tsv': 'delimited',
+    '.txt': 'delimited'
+};
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+// Encoding names accepted in profiles -> decoder names
+const ENCODINGS = {
+    'utf8': 'utf8',
+    'utf-8': 'utf8',
+    'utf16le': 'utf16le',
+    'utf-16le': 'utf16le',
+    'utf16be': 'utf16be',
+    'utf-16be': 'utf16be',
+    'latin1': 'latin1',
+    'iso-8859-1': 'latin1',
+    'windows-1252': 'latin1'
+};
+
+// Bytes sampled for encoding and delimiter detection
+const SAMPLE_BYTES = 64 * 1024;
+
+class RecordReader {
+    /**
+     * Records in a file, as { record } or { error, position }
+     */
+    async *read(filePath, profile = {}) {
+        const format = this.detectFormat(filePath, profile);
+        const sample = this.readSample(filePath);
+        const detected = this.detectEncoding(sample);
+        const encoding = profile.encoding ? this.resolveEncoding(profile.encoding) : detected.encoding;
+        const { bomLength } = detected;
+
+        if (format === 'json') {
+            yield* this.readJSON(filePath, encoding, bomLength, profile);
+        } else if (format === 'ndjson') {
+            yield* this.readNDJSON(filePath, encoding, bomLength);
+        } else {
+            const delimiter = profile.delimiter || this.detectDelimiter(this.decode(sample.subarray(bomLength), encoding));
+            yield* this.readDelimited(filePath, encoding, bomLength, delimiter);
+        }
+    }
+
+    detectFormat(filePath, profile = {}) {
+        if (profile.format) return profile.format;
+        return FORMATS_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'delimited';
+    }
+
+    /**
+     * Encoding from the byte order mark, falling back to UTF-16 / UTF-8 / Latin-1 heuristics
+     */
+    detectEncoding(sample) {
+        if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return { encoding: 'utf8', bomLength: 3 };
+        if (sample[0] === 0xFF && sample[1] === 0xFE) return { encoding: 'utf16le', bomLength: 2 };
+        if (sample[0] === 0xFE && sample[1] === 0xFF) return { encoding: 'utf16be', bomLength: 2 };
+
+        // BOM-less UTF-16: ASCII text leaves every other byte zero
+        const pairs = Math.min(sample.length >> 1, 512);
+        let zeroEven = 0;
+        let zeroOdd = 0;
+        for (let i = 0; i < pairs; i++) {
+            if (sample[2 * i] === 0) zeroEven++;
+            if (sample[2 * i + 1] === 0) zeroOdd++;
+        }
+        if (pairs > 0 && zeroOdd > pairs * 0.4 && zeroEven < pairs * 0.05) return { encoding: 'utf16le', bomLength: 0 };
+        if (pairs > 0 && zeroEven > pairs * 0.4 && zeroOdd < pairs * 0.05) return { encoding: 'utf16be', bomLength: 0 };
+
+        // Valid UTF-8 round-trips; ignore a multi-byte character cut off at the end of the sample
+        const body = sample.length === SAMPLE_BYTES ? sample.subarray(0, sample.length - 3) : sample;
+        const roundTrip = Buffer.from(body.toString('utf8'), 'utf8');
+        return { encoding: roundTrip.equals(body) ? 'utf8' : 'latin1', bomLength: 0 };
+    }
+
+    /**
+     * Most frequent candidate delimiter in the header line, ignoring quoted text
+     */
+    detectDelimiter(text) {
+        const header = text.split(/\r?\n/)[0] || '';
+        const counts = new Map(CANDIDATE_DELIMITERS.map(delimiter => [delimiter, 0]));
+
+        let quoted = false;
+        for (const ch of header) {
+            if (ch === '"') {
+                quoted = !quoted;
+            } else if (!quoted && counts.has(ch)) {
+                counts.set(ch, counts.get(ch) + 1);
+            }
+        }
+
+        let best = ',';
+        for (const [delimiter, count] of counts) {
+            if (count > counts.get(best)) best = delimiter;
+        }
+        return best;
+    }
+
+    // Format readers
+
+    async *readDelimited(filePath, encoding, bomLength, delimiter) {
+        const rows = this.openText(filePath, encoding, bomLength).pipe(csv({ separator: delimiter }));
+
+        for await (const record of rows) {
+            yield { record };
+        }
+    }
+
+    async *readNDJSON(filePath, encoding, bomLength) {
+        const lines = readline.createInterface({
+            input: this.openText(filePath, encoding, bomLength),
+            crlfDelay: Infinity
+        });
+
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                yield { error: `Invalid JSON: ${error.message}`, position: `line ${lineNumber}` };
+                continue;
+            }
+
+            yield this.isRecord(record)
+                ? { record }
+                : { error: 'Record is not a JSON object', position: `line ${lineNumber}` };
+        }
+    }
+
+    /**
+     * A JSON array of records, or an object holding one at `profile.recordPath` (e.g. "data.items")
+     */
+    async *readJSON(filePath, encoding, bomLength, profile) {
+        const text = this.decode(fs.readFileSync(filePath).subarray(bomLength), encoding);
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw this.readerError(`Invalid JSON in ${path.basename(filePath)}: ${error.message}`);
+        }
+
+        const records = profile.recordPath
+            ? profile.recordPath.split('.').reduce((value, key) => value?.[key], parsed)
+            : parsed;
+
+        if (!Array.isArray(records)) {
+            throw this.readerError(`${path.basename(filePath)} must contain an array of records${profile.recordPath ? ` at "${profile.recordPath}"` : ''}`);
+        }
+
+        for (let i = 0; i < records.length; i++) {
+            yield this.isRecord(records[i])
+                ? { record: records[i] }
+                : { error: 'Record is not a JSON object', position: `record ${i + 1}` };
+        }
+    }
+
+    // Private helpers
+
+    resolveEncoding(name) {
+        const encoding = ENCODINGS[String(name).toLowerCase()];
+        if (!encoding) {
+            throw this.readerError(`Unsupported encoding: ${name}`);
+        }
+        return encoding;
+    }
+
+    readSample(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(SAMPLE_BYTES);
+            const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_BYTES, 0);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * File contents after the BOM as a UTF-8 byte stream
+     */
+    openText(filePath, encoding, bomLength) {
+        const source = fs.createReadStream(filePath, { start: bomLength });
+        if (encoding === 'utf8') return source;
+
+        const decoder = encoding === 'utf16be' ? new SwappedDecoder() : new StringDecoder(encoding);
+        return source.pipe(new Transform({
+            transform(chunk, _encoding, callback) {
+                callback(null, Buffer.from(decoder.write(chunk), 'utf8'));
+            },
+            flush(callback) {
+                callback(null, Buffer.from(decoder.end(), 'utf8'));
+            }
+        }));
+    }
+
+    decode(buffer, encoding) {
+        if (encoding === 'utf16be') {
+            const decoder = new SwappedDecoder();
+            return decoder.write(buffer) + decoder.end();
+        }
+        return buffer.toString(encoding);
+    }
+
+    isRecord(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    readerError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+/**
+ * UTF-16 big-endian decoder (Node only ships little-endian): swap byte pairs, carrying odd bytes across chunks
+ */
+class SwappedDecoder {
+    constructor() {
+        this.decoder = new StringDecoder('utf16le');
+        this.carry = null;
+    }
+
+    write(chunk) {
+        const bytes = this.carry ? Buffer.concat([this.carry, chunk]) : chunk;
+        const even = bytes.length - (bytes.length % 2);
+        this.carry = even < bytes.length ? bytes.subarray(even) : null;
+
+        const swapped = Buffer.from(bytes.subarray(0, even));
+        swapped.swap16();
+        return this.decoder.write(swapped);
+    }
+
+    end() {
+        return this.decoder.end();
+    }
+}
+
+module.exports = RecordReader;
@@ -0,0 +1,126 @@
+/**
+ * Related Entity Extractor
+ * Splits free-text firm fields into first-class entities: key people ("Jane Doe (CEO); John Roe - CFO")
+ * become Person entities linked by WORKS_AT / BOARD_MEMBER, and notable transactions
+ * ("Acquisition of Hilton (2007, $26 billion)") become Transaction entities linked by PARTICIPATES_IN.
+ */
+
+const CurrencyConverter = require('../core/CurrencyConverter');
+
+const YEAR_PATTERN = /\b(19|20)\d{2}\b/;
+
+// Titles that make someone a board member rather than an employee
+const BOARD_TITLE_PATTERN = /\b(board|non-executive|independent director)\b/i;
+
+class RelatedEntityExtractor {
+    constructor() {
+        this.amounts = new CurrencyConverter();
+    }
+
+    /**
+     * People named in a key-people field: [{ name, title }]
+     */
+    parsePeople(text) {
+        const people = [];
+
+        for (const part of this.splitList(text)) {
+            let name = part;
+            let title = null;
+
+            const parenthesized = part.match(/^(.+?)\s*\((.+)\)$/);
+            const dashed = part.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+            const commaTitled = part.match(/^(.+?),\s*(.+)$/);
+
+            if (parenthesized) {
+                [, name, title] = parenthesized;
+            } else if (dashed) {
+                [, name, title] = dashed;
+            } else if (commaTitled) {
+                [, name, title] = commaTitled;
+            }
+
+            name = name.trim();
+            if (this.looksLikePersonName(name)) {
+                people.push({ name, title: title ? title.trim() : null });
+            }
+        }
+
+        return people;
+    }
+
+    /**
+     * Deals named in a transactions field: [{ name, year, amount }], where amount is the
+     * currency amount as written ("$26 billion", "EUR 1.2bn") for the knowledge store to convert
+     */
+    parseTransactions(text) {
+        return this.splitList(text)
+            .filter(part => /[A-Za-z]{2,}/.test(part))
+            .map(part => {
+                const year = part.match(YEAR_PATTERN);
+
+                return {
+                    name: part,
+                    year: year ? parseInt(year[0], 10) : null,
+                    amount: this.amounts.findAmount(part)
+                };
+            });
+    }
+
+    /**
+     * Relationship type for a person's role at a firm
+     */
+    roleRelationshipType(title) {
+        return title && BOARD_TITLE_PATTERN.test(title) ? 'BOARD_MEMBER' : 'WORKS_AT';
+    }
+
+    /**
+     * Split a list on semicolons, pipes and newlines; fall back to commas outside
+     * parentheses when none of those are present ("A (CEO), B (CFO)")
+     */
+    splitList(text) {
+        if (text == null) return [];
+        if (Array.isArray(text)) return text.map(item => String(item).trim()).filter(Boolean);
+
+        const value = String(text);
+        const parts = /[;|\n]/.test(value)
+            ? value.split(/[;|\n]/)
+            : this.splitOutsideParentheses(value, ',');
+
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    // Private helpers
+
+    splitOutsideParentheses(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth = Math.max(0, depth - 1);
+
+            if (ch === separator && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        parts.push(current);
+
+        return parts;
+    }
+
+    /**
+     * Two to five capitalized words, allowing initials, particles ("van", "de") and hyphens
+     */
+    looksLikePersonName(name) {
+        const words = name.split(/\s+/);
+        if (words.length < 2 || words.length > 5) return false;
+
+        return words.every(word => /^\p{Lu}[\p{L}'’.-]*$/u.test(word) || /^(van|von|de|der|da|di|du|la|le|bin|al)$/i.test(word));
+    }
+}
+
+module.exports = RelatedEntityExtractor;
@@ -1,13 +1,26 @@
 /**
  * Seed Data Ingester
- * Handles ingestion of CSV seed data into the knowledge graph
+ * Handles ingestion of seed data files (delimited text, JSON, NDJSON) into the knowledge graph.
+ * Column layouts and entity types come from mapping profiles (see MappingProfiles), selected per file by glob.
+ * A dry run ({ dryRun: true }) validates every file and reports what would be loaded without writing.
  */
 
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
-const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const _ = require('lodash');
+const MappingProfiles = require('./MappingProfiles');
+const RecordReader = require('./RecordReader');
+const RelatedEntityExtractor = require('./RelatedEntityExtractor');
+
+// Most row errors, AUM failures and duplicate candidates listed per file in a dry-run report
+const MAX_REPORT_ITEMS = 100;
+
+// Properties parseRecord builds from others: property -> the properties it is built from
+const COMPUTED_PROPERTIES = {
+    description: ['primaryServices', 'subType', 'country', 'founded'],
+    sector: ['type', 'primaryServices', 'subType']
+};
 
 class SeedDataIngester {
     constructor(knowledgeStore, config) {
@@ -21,22 +34,20 @@ class SeedDataIngester {
             transports: [new winston.transports.Console()]
         });
 
-        // Mapping of file names to entity types
-        this.fileTypeMapping = {
-            'Infrastructure ++.txt': 'Infrastructure Fund Manager',
-            'Private Equity ++.txt': 'Private Equity Firm',
-            'Hedge Funds.txt': 'Hedge Fund Manager',
-            'Real Estate ++.txt': 'Real Estate Fund Manager',
-            'Private Debt ++.txt': 'Private Credit Fund Manager',
-            'Natural Resources.txt': 'Natural Resources Fund Manager',
-            'Institutional Investors ++.txt': 'Institutional Investor'
-        };
+        // Declarative column mappings, selected per file
+        this.profiles = new MappingProfiles(config.data.mappingProfilesPath);
+        this.reader = new RecordReader();
+        this.extractor = new RelatedEntityExtractor();
     }
 
     /**
-     * Ingest all seed data files
+     * Ingest all seed data files (or, with { dryRun: true }, validate them and report)
      */
-    async ingestAllSeedData() {
+    async ingestAllSeedData(options = {}) {
+        if (options.dryRun) {
+            return this.validateAllSeedData();
+        }
+
         try {
             this.logger.info('🚀 Starting seed data ingestion...');
             
@@ -48,26 +59,44 @@ class SeedDataIngester {
                 totalEntities: 0,
                 successful: 0,
                 failed: 0,
-                fileResults: {}
+                created: 0,
+                updated: 0,
+                unchanged: 0,
+                totalRelationships: 0,
+                totalInferredRelationships: 0,
+                fileResults: {},
+                skippedFiles: []
             };
 
             for (const file of files) {
-                if (file.endsWith('.txt')) {
-                    this.logger.info(`📄 Processing file: ${file}`);
-                    
-                    const fileResult = await this.ingestFile(path.join(seedPath, file));
-                    results.fileResults[file] = fileResult;
-                    results.totalFiles++;
-                    results.totalEntities += fileResult.totalEntities;
-                    results.successful += fileResult.successful;
-                    results.failed += fileResult.failed;
+                const profile = this.profiles.forFile(file);
+
+                if (!profile) {
+                    this.logger.info(`⏭️  Skipping ${file}: no mapping profile matches`);
+                    results.skippedFiles.push(file);
+                    continue;
                 }
+
+                this.logger.info(`📄 Processing file: ${file} (profile: ${profile.name})`);
+
+                const fileResult = await this.ingestFile(path.join(seedPath, file), profile);
+                results.fileResults[file] = fileResult;
+                results.totalFiles++;
+                results.totalEntities += fileResult.totalEntities;
+                results.successful += fileResult.successful;
+                results.failed += fileResult.failed;
+                results.created += fileResult.created;
+                results.updated += fileResult.updated;
+                results.unchanged += fileResult.unchanged;
+                results.totalRelationships += fileResult.relationships;
+                results.totalInferredRelationships += fileResult.inferredRelationships;
             }
 
             this.logger.info(`✅ Seed data ingestion completed:`);
             this.logger.info(`   📁 Files processed: ${results.totalFiles}`);
             this.logger.info(`   📊 Total entities: ${results.totalEntities}`);
-            this.logger.info(`   ✅ Successful: ${results.successful}`);
+            this.logger.info(`   🔗 Relationships: ${results.totalRelationships} (${results.totalInferredRelationships} more inferred)`);
+            this.logger.info(`   ✅ Successful: ${results.successful} (${results.created} created, ${results.updated} updated, ${results.unchanged} unchanged)`);
             this.logger.info(`   ❌ Failed: ${results.failed}`);
 
             return results;
@@ -79,107 +108,388 @@ class SeedDataIngester {
     }
 
     /**
-     * Ingest a single CSV file
+     * Ingest a single file (with the profile matching its name unless one is given).
+     * Delimited text, JSON arrays and NDJSON are read by RecordReader.
+     *
+     * Rows are loaded in chunks of `chunkSize` (default ingestion.batchSize). After each chunk
+     * `onCheckpoint({ rowOffset, results })` is awaited, where rowOffset counts the source records
+     * fully loaded so far; passing it back as `startRow` resumes the file after them. Re-loading a
+     * chunk is harmless because entity IDs are stable. An aborted `signal` stops at the next checkpoint.
+     * Every property records its file, row, column and `jobId` in the entity's lineage (see EntityLineage).
      */
-    async ingestFile(filePath) {
-        return new Promise((resolve, reject) => {
-            const fileName = path.basename(filePath);
-            const entityType = this.fileTypeMapping[fileName] || 'Unknown';
-            
-            const results = {
-                fileName,
-                entityType,
-                totalEntities: 0,
-                successful: 0,
-                failed: 0,
-                entities: [],
-                errors: []
+    async ingestFile(filePath, profile = this.profiles.forFile(path.basename(filePath)), options = {}) {
+        const fileName = path.basename(filePath);
+
+        if (!profile) {
+            const error = new Error(`No mapping profile matches ${fileName}`);
+            error.status = 400;
+            throw error;
+        }
+
+        if (options.dryRun) {
+            return this.validateFile(filePath, profile);
+        }
+
+        const startRow = options.startRow || 0;
+        const chunkSize = options.chunkSize || this.config.ingestion.batchSize;
+        const source = { file: fileName, jobId: options.jobId || null, ingestedAt: new Date().toISOString() };
+
+        const results = {
+            fileName,
+            profile: profile.name,
+            entityType: profile.entityType,
+            format: this.reader.detectFormat(filePath, profile),
+            startRow,
+            totalEntities: 0,
+            successful: 0,
+            failed: 0,
+            created: 0,
+            updated: 0,
+            unchanged: 0,
+            people: 0,
+            transactions: 0,
+            relationships: 0,
+            inferredRelationships: 0,
+            entities: [],
+            errors: []
+        };
+
+        try {
+            let chunk = [];
+            let rowOffset = 0;
+
+            const loadChunk = async () => {
+                await this.loadChunk(chunk, profile, fileName, results);
+                chunk = [];
+                if (options.onCheckpoint) await options.onCheckpoint({ rowOffset, results });
+                options.signal?.throwIfAborted();
             };
 
-            const entities = [];
-            
-            fs.createReadStream(filePath)
-                .pipe(csv())
-                .on('data', (row) => {
+            for await (const { record, error, position } of this.reader.read(filePath, profile)) {
+                rowOffset++;
+                if (rowOffset <= startRow) continue;
+
+                if (error) {
+                    results.errors.push({ position, error });
+                } else {
                     try {
-                        const entity = this.parseCSVRow(row, entityType);
-                        if (entity) {
-                            entities.push(entity);
-                            results.totalEntities++;
-                        }
-                    } catch (error) {
+                        chunk.push(this.parseRecord(record, profile, { ...source, row: rowOffset }));
+                        results.totalEntities++;
+                    } catch (parseError) {
                         results.errors.push({
-                            row,
-                            error: error.message
+                            row: record,
+                            error: parseError.message
                         });
                     }
-                })
-                .on('end', async () => {
-                    try {
-                        this.logger.info(`📊 Parsed ${results.totalEntities} entities from ${fileName}`);
-                        
-                        // Batch add entities to knowledge store
-                        const batchResults = await this.knowledgeStore.addEntities(entities, {
-                            batchSize: 100,
-                            inferRelationships: true
-                        });
+                }
+
+                if (chunk.length >= chunkSize) await loadChunk();
+            }
+
+            await loadChunk();
+
+            this.logger.info(`✅ ${fileName}: ${results.created} created, ${results.updated} updated, ${results.unchanged} unchanged, ${results.failed} failed (${results.people} people, ${results.transactions} transactions, ${results.relationships} relationships, ${results.inferredRelationships} inferred)`);
+            return results;
 
-                        results.successful = batchResults.successful.length;
-                        results.failed = batchResults.failed.length;
-                        results.entities = batchResults.successful;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.logger.error(`❌ Failed to process ${fileName}:`, error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Load one chunk of parsed records, with the people and deals they name, and add the counts to results
+     */
+    async loadChunk(entities, profile, fileName, results) {
+        if (entities.length === 0) return;
+
+        // Firms first: the people named on a record are keyed by the id of the firm that lists them
+        const recordResults = await this.knowledgeStore.addEntities(entities, {
+            batchSize: this.config.ingestion.batchSize,
+            inferRelationships: false
+        });
 
-                        this.logger.info(`✅ ${fileName}: ${results.successful} successful, ${results.failed} failed`);
-                        resolve(results);
+        // People and deals named on each record become entities of their own
+        const { rows, links } = this.expandRelatedEntities(entities, profile, recordResults.ids);
+        const related = rows.slice(entities.length);
+        results.people += related.filter(row => row.type === 'Person').length;
+        results.transactions += related.filter(row => row.type === 'Transaction').length;
 
-                    } catch (error) {
-                        this.logger.error(`❌ Failed to process ${fileName}:`, error);
-                        reject(error);
+        // Inference waits until the people and deals are linked
+        const relatedResults = await this.knowledgeStore.addEntities(related, {
+            batchSize: this.config.ingestion.batchSize,
+            inferRelationships: false
+        });
+
+        for (const batchResults of [recordResults, relatedResults]) {
+            results.successful += batchResults.successful.length;
+            results.failed += batchResults.failed.length;
+            for (const [outcome, count] of Object.entries(batchResults.counts)) {
+                results[outcome] += count;
+            }
+            results.entities.push(...batchResults.successful);
+        }
+
+        const ids = [...recordResults.ids, ...relatedResults.ids];
+        const changed = [...recordResults.changed, ...relatedResults.changed];
+        results.relationships += await this.linkRelatedEntities(links, ids, profile, fileName, results);
+        results.inferredRelationships += (await this.knowledgeStore.inferBatchRelationships(changed)).length;
+    }
+
+    /**
+     * Dry run over all seed data files: a validation report per file, nothing written
+     */
+    async validateAllSeedData() {
+        try {
+            this.logger.info('🔍 Starting seed data dry run...');
+
+            const seedPath = this.config.data.seedDataPath;
+            const results = {
+                dryRun: true,
+                totalFiles: 0,
+                totalRows: 0,
+                validRows: 0,
+                invalidRows: 0,
+                fileResults: {},
+                skippedFiles: []
+            };
+
+            for (const file of fs.readdirSync(seedPath)) {
+                const profile = this.profiles.forFile(file);
+
+                if (!profile) {
+                    results.skippedFiles.push(file);
+                    continue;
+                }
+
+                const report = await this.validateFile(path.join(seedPath, file), profile);
+                results.fileResults[file] = report;
+                results.totalFiles++;
+                results.totalRows += report.totalRows;
+                results.validRows += report.validRows;
+                results.invalidRows += report.invalidRows;
+            }
+
+            this.logger.info(`✅ Dry run completed: ${results.validRows}/${results.totalRows} rows valid across ${results.totalFiles} files`);
+            return results;
+
+        } catch (error) {
+            this.logger.error('❌ Failed to validate seed data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse, map and validate a file against config.ingestion.validation without writing to the graph.
+     * Reports row-level errors, field fill rates, AUM parse failures, duplicate candidates
+     * (within the file and against stored entities) and the entity types that would be created.
+     */
+    async validateFile(filePath, profile) {
+        const fileName = path.basename(filePath);
+        const validation = this.config.ingestion.validation;
+
+        const report = {
+            fileName,
+            profile: profile.name,
+            entityType: profile.entityType,
+            format: this.reader.detectFormat(filePath, profile),
+            dryRun: true,
+            totalRows: 0,
+            validRows: 0,
+            invalidRows: 0,
+            rowErrors: [],
+            fieldFillRates: {},
+            unknownFields: {},
+            aumParseFailures: [],
+            duplicateCandidates: [],
+            inferredTypes: {},
+            sectors: {}
+        };
+
+        try {
+            const knownColumns = this.profileColumns(profile);
+            const filled = Object.fromEntries(Object.keys(profile.columns).map(property => [property, 0]));
+            const entities = [];
+            let rowNumber = 0;
+
+            for await (const { record, error, position } of this.reader.read(filePath, profile)) {
+                rowNumber++;
+                report.totalRows++;
+
+                if (error) {
+                    report.invalidRows++;
+                    this.reportItem(report.rowErrors, { position, errors: [error], warnings: [] });
+                    continue;
+                }
+
+                const rowPosition = `row ${rowNumber}`;
+                const mapped = this.profiles.mapRow(profile, record);
+                const { errors, warnings } = this.validateRow(mapped, record, knownColumns, validation);
+
+                // Fill rates count source values only, not profile defaults
+                Object.keys(filled).forEach(property => {
+                    if (this.profiles.getFieldValue(record, profile.columns[property]) !== null) filled[property]++;
+                });
+                Object.keys(record).filter(column => !knownColumns.has(column)).forEach(column => {
+                    report.unknownFields[column] = (report.unknownFields[column] || 0) + 1;
+                });
+                if (this.hasUnparseableAUM(mapped)) {
+                    this.reportItem(report.aumParseFailures, { position: rowPosition, name: mapped.name ?? null, value: mapped.aum });
+                }
+
+                let entity = null;
+                if (errors.length === 0) {
+                    try {
+                        entity = this.parseRecord(record, profile);
+                    } catch (parseError) {
+                        errors.push(parseError.message);
                     }
-                })
-                .on('error', (error) => {
-                    this.logger.error(`❌ Error reading ${fileName}:`, error);
-                    reject(error);
+                }
+
+                if (errors.length > 0 || warnings.length > 0) {
+                    this.reportItem(report.rowErrors, { position: rowPosition, name: mapped.name ?? null, errors, warnings });
+                }
+
+                if (!entity) {
+                    report.invalidRows++;
+                    continue;
+                }
+
+                report.validRows++;
+                report.sectors[entity.sector] = (report.sectors[entity.sector] || 0) + 1;
+                entities.push({ position: rowPosition, entity });
+            }
+
+            for (const [property, count] of Object.entries(filled)) {
+                report.fieldFillRates[property] = {
+                    filled: count,
+                    rate: report.totalRows > 0 ? Math.round((count / report.totalRows) * 1000) / 1000 : 0
+                };
+            }
+
+            const { rows } = this.expandRelatedEntities(entities.map(({ entity }) => entity), profile);
+            rows.forEach(row => {
+                report.inferredTypes[row.type] = (report.inferredTypes[row.type] || 0) + 1;
+            });
+
+            await this.findDryRunDuplicates(entities, report);
+
+            this.logger.info(`🔍 ${fileName}: ${report.validRows}/${report.totalRows} rows valid, ${report.duplicateCandidates.length} duplicate candidates`);
+            return report;
+
+        } catch (error) {
+            this.logger.error(`❌ Failed to validate ${fileName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Errors and warnings for one mapped row. Missing required fields and (unless allowed)
+     * unmapped source columns are errors; an unparseable AUM is a warning, or an error in strict mode.
+     */
+    validateRow(mapped, record, knownColumns, validation) {
+        const errors = [];
+        const warnings = [];
+
+        for (const field of validation.requireKeyFields || []) {
+            if (mapped[field] == null || String(mapped[field]).trim() === '') {
+                errors.push(`Missing required field: ${field}`);
+            }
+        }
+
+        const unknown = Object.keys(record).filter(column => !knownColumns.has(column));
+        if (unknown.length > 0 && validation.allowUnknownFields === false) {
+            errors.push(`Unknown fields: ${unknown.join(', ')}`);
+        }
+
+        if (this.hasUnparseableAUM(mapped)) {
+            (validation.strictMode ? errors : warnings).push(`Unparseable AUM: "${mapped.aum}"`);
+        }
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Duplicate candidates for a dry run: rows sharing a natural key, rows similar to each other
+     * and rows that would be resolved onto an entity already in the graph
+     */
+    async findDryRunDuplicates(entities, report) {
+        const resolution = this.knowledgeStore.entityResolution;
+        const previews = [];
+
+        for (const { position, entity } of entities) {
+            const preview = await this.knowledgeStore.previewEntity(entity);
+            previews.push({ position, preview });
+
+            const match = await resolution.findExistingMatch(preview);
+            if (match) {
+                this.reportItem(report.duplicateCandidates, {
+                    kind: 'existing',
+                    rows: [position],
+                    names: [preview.name, match.entity.name],
+                    existingId: match.entity.id,
+                    score: match.score
                 });
+            }
+        }
+
+        const byId = _.groupBy(previews, ({ preview }) => preview.id);
+        for (const group of Object.values(byId).filter(group => group.length > 1)) {
+            this.reportItem(report.duplicateCandidates, {
+                kind: 'same-key',
+                rows: group.map(({ position }) => position),
+                names: group.map(({ preview }) => preview.name),
+                score: 1
+            });
+        }
+
+        const positions = new Map(previews.map(({ position, preview }) => [preview, position]));
+        for (const { entity1, entity2, score, reasons } of resolution.candidatePairs(previews.map(({ preview }) => preview))) {
+            this.reportItem(report.duplicateCandidates, {
+                kind: 'in-file',
+                rows: [positions.get(entity1), positions.get(entity2)],
+                names: [entity1.name, entity2.name],
+                score,
+                reasons
+            });
+        }
+    }
+
+    /**
+     * Source columns a profile reads (top-level keys, for dotted JSON paths)
+     */
+    profileColumns(profile) {
+        return new Set(Object.values(profile.columns).flat().flatMap(column => [column, column.split('.')[0]]));
+    }
+
+    /**
+     * AUM that can't be stored as a reporting-currency amount: no number, or no FX rate for its currency
+     */
+    hasUnparseableAUM(mapped) {
+        if (mapped.aum == null) return false;
+
+        const money = this.knowledgeStore.currency.normalize(mapped.aum, {
+            currency: mapped.aumCurrency,
+            asOf: mapped.aumAsOf
         });
+        return !(money?.amount > 0);
+    }
+
+    reportItem(list, item) {
+        if (list.length < MAX_REPORT_ITEMS) list.push(item);
     }
 
     /**
-     * Parse a single CSV row into an entity
+     * Map a single source record into an entity using a mapping profile.
+     * No id is assigned here: the knowledge store derives a stable one from the row's
+     * source ID or natural key, so re-ingesting a file updates rather than duplicates.
+     * With a `source` ({ file, row, jobId, ingestedAt }) the entity also carries its lineage.
      */
-    parseCSVRow(row, entityType) {
-        const entity = {
-            id: uuidv4(),
-            type: entityType,
-            sourceFile: entityType
-        };
+    parseRecord(record, profile, source = null) {
+        const entity = this.profiles.mapRow(profile, record);
 
-        // Handle different column name variations
-        const nameFields = ['Name', 'name', 'Company Name', 'Fund Name'];
-        const typeFields = ['Type', 'type', 'Type ', 'Strategy', 'Investment Strategies'];
-        const aumFields = ['AUM', 'aum', 'AUM_USD', 'Assets Under Management'];
-        const countryFields = ['Country', 'country', 'Country ', 'Location'];
-        const cityFields = ['City', 'city', 'City ', 'Headquarters'];
-        const addressFields = ['Address', 'address', 'Location', 'Headquarters'];
-        const foundedFields = ['Founded', 'founded', 'Established', 'Year Founded'];
-        const servicesFields = ['Primary Services', 'Services', 'Strategy', 'Focus', 'Investment Strategies'];
-        const transactionsFields = ['Notable Transactions', 'Transactions', 'Key Deals', 'Recent Deals'];
-        const peopleFields = ['Key People', 'People', 'Leadership', 'Management Team', 'Principals'];
-
-        // Extract fields with flexible column names
-        entity.name = this.getFieldValue(row, nameFields);
-        entity.subType = this.getFieldValue(row, typeFields);
-        entity.aum = this.getFieldValue(row, aumFields);
-        entity.country = this.getFieldValue(row, countryFields);
-        entity.city = this.getFieldValue(row, cityFields);
-        entity.address = this.getFieldValue(row, addressFields);
-        entity.founded = this.getFieldValue(row, foundedFields);
-        entity.primaryServices = this.getFieldValue(row, servicesFields);
-        entity.notableTransactions = this.getFieldValue(row, transactionsFields);
-        entity.keyPeople = this.getFieldValue(row, peopleFields);
-
-        // Additional processing
-        entity.status = this.getFieldValue(row, ['Status', 'status']) || 'Active';
-        
         // Build description from available fields
         const descriptionParts = [];
         if (entity.primaryServices) descriptionParts.push(entity.primaryServices);
@@ -190,70 +500,162 @@ class SeedDataIngester {
         entity.description = descriptionParts.join('. ');
 
         // Validate required fields
-        if (!entity.name || entity.name.trim() === '') {
+        if (entity.name == null || String(entity.name).trim() === '') {
             throw new Error('Entity name is required');
         }
 
         // Clean up fields
-        entity.name = entity.name.trim();
+        entity.name = String(entity.name).trim();
         if (entity.description) entity.description = entity.description.trim();
 
-        // Parse AUM to numeric value if present
-        if (entity.aum) {
-            entity.aumNumeric = this.parseAUM(entity.aum);
-        }
-
         // Extract sector from type or services
         entity.sector = this.extractSector(entity.type, entity.primaryServices, entity.subType);
 
+        if (source) {
+            entity.sourceFile = source.file;
+            entity.lineage = this.buildLineage(record, entity, profile, source);
+        }
+
         return entity;
     }
 
     /**
-     * Get field value with flexible column name matching
+     * One observation per property: its value (and the raw source value when a profile transform
+     * changed it), where it was read and its source type. Properties built from others (description,
+     * sector) are observed too, so they follow the same source when sources disagree.
      */
-    getFieldValue(row, fieldNames) {
-        for (const fieldName of fieldNames) {
-            if (row[fieldName] !== undefined && row[fieldName] !== null && row[fieldName].trim() !== '') {
-                return row[fieldName].trim();
-            }
+    buildLineage(record, entity, profile, source) {
+        const observe = (property, origin) => [{
+            value: entity[property] ?? null,
+            ...origin,
+            file: source.file,
+            row: source.row,
+            profile: profile.name,
+            jobId: source.jobId,
+            sourceType: profile.sourceType,
+            ingestedAt: source.ingestedAt
+        }];
+
+        const lineage = {};
+        for (const [property, { value, ...origin }] of Object.entries(this.profiles.traceRow(profile, record))) {
+            lineage[property] = observe(property, _.isEqual(entity[property], value) ? origin : { raw: value, ...origin });
         }
-        return null;
+
+        for (const [property, inputs] of Object.entries(COMPUTED_PROPERTIES)) {
+            if (entity[property]) lineage[property] = observe(property, { column: null, derivedFrom: inputs });
+        }
+
+        return lineage;
     }
 
     /**
-     * Parse AUM string to numeric value
+     * Lineage of a Person / Transaction row: its properties were all read from one field of the record
      */
-    parseAUM(aumStr) {
-        if (!aumStr || typeof aumStr !== 'string') return 0;
+    relatedLineage(record, field, properties) {
+        const observations = record.lineage?.[field];
+        if (!observations) return {};
 
-        // Remove quotes, currency symbols, and clean up
-        let cleaned = aumStr.replace(/["$,€£¥]/g, '').trim();
-        
-        // Handle different formats
-        const multipliers = {
-            'trillion': 1e12,
-            'billion': 1e9,
-            'million': 1e6,
-            'thousand': 1e3,
-            't': 1e12,
-            'b': 1e9,
-            'm': 1e6,
-            'k': 1e3
+        return Object.fromEntries(properties.map(property => [property, observations]));
+    }
+
+    /**
+     * Rows to ingest for a file: the mapped records followed by one Person / Transaction row
+     * per distinct name in the profile's `related` fields, plus the links between them by row index.
+     * With the records' stored ids, people are keyed by employer (`employerId`) and those of failed records are skipped.
+     */
+    expandRelatedEntities(records, profile, recordIds = null) {
+        const rows = [...records];
+        const links = [];
+        const rowIndexes = new Map();
+
+        const rowFor = (entity, scope = '') => {
+            const key = `${entity.type}|${entity.name.toLowerCase()}|${scope}`;
+            if (!rowIndexes.has(key)) {
+                rowIndexes.set(key, rows.length);
+                rows.push(entity);
+            }
+            return rowIndexes.get(key);
         };
 
-        // Check for multipliers
-        for (const [suffix, multiplier] of Object.entries(multipliers)) {
-            const regex = new RegExp(`\\b${suffix}\\b`, 'i');
-            if (regex.test(cleaned)) {
-                const number = parseFloat(cleaned.replace(regex, ''));
-                return isNaN(number) ? 0 : number * multiplier;
+        const { people: peopleField, transactions: transactionsField } = profile.related;
+
+        records.forEach((record, recordIndex) => {
+            // A name alone doesn't identify a person: the same name at two firms is two people.
+            // Dry runs have no ids yet, so people are only shared within a record there.
+            const employerId = recordIds ? recordIds[recordIndex] : null;
+            const people = recordIds && !employerId ? [] : this.extractor.parsePeople(record[peopleField]);
+
+            for (const { name, title } of people) {
+                const person = {
+                    name,
+                    type: 'Person',
+                    sourceFile: record.sourceFile,
+                    lineage: this.relatedLineage(record, peopleField, ['name'])
+                };
+                if (employerId) person.employerId = employerId;
+
+                const personIndex = rowFor(person, employerId || `row ${recordIndex}`);
+                links.push({
+                    fromIndex: personIndex,
+                    toIndex: recordIndex,
+                    type: this.extractor.roleRelationshipType(title),
+                    properties: title ? { title } : {}
+                });
+            }
+
+            for (const { name, year, amount } of this.extractor.parseTransactions(record[transactionsField])) {
+                const transaction = { name, type: 'Transaction', sourceFile: record.sourceFile };
+                if (year) transaction.year = year;
+                if (amount) {
+                    transaction.amount = amount;
+                    // Convert the deal size at the FX rate of its year
+                    if (year) transaction.amountAsOf = `${year}-12-31`;
+                }
+                transaction.lineage = this.relatedLineage(
+                    record,
+                    transactionsField,
+                    ['name', 'year', 'amount'].filter(property => transaction[property] !== undefined)
+                );
+
+                links.push({
+                    fromIndex: recordIndex,
+                    toIndex: rowFor(transaction),
+                    type: 'PARTICIPATES_IN',
+                    properties: {}
+                });
+            }
+        });
+
+        return { rows, links };
+    }
+
+    /**
+     * Create the relationships found by expandRelatedEntities, skipping links whose
+     * rows failed to ingest (those failures are already reported)
+     */
+    async linkRelatedEntities(links, ids, profile, fileName, results) {
+        let linked = 0;
+
+        for (const { fromIndex, toIndex, type, properties } of links) {
+            const fromId = ids[fromIndex];
+            const toId = ids[toIndex];
+            if (!fromId || !toId || fromId === toId) continue;
+
+            try {
+                await this.knowledgeStore.addRelationship(fromId, toId, type, {
+                    properties,
+                    sources: [{ type: profile.sourceType, data: { file: fileName } }]
+                });
+                linked++;
+            } catch (error) {
+                results.errors.push({
+                    relationship: `${fromId} -[${type}]-> ${toId}`,
+                    error: error.message
+                });
             }
         }
 
-        // Try direct parse
-        const number = parseFloat(cleaned);
-        return isNaN(number) ? 0 : number;
+        return linked;
     }
 
     /**
@@ -212,6 +212,9 @@ class ConceptEvolution {
      * Dynamically add new relationship type
      */
     async addNewRelationshipType(relationshipTypeName, relationshipConfig) {
+        // Validates the name; the graph rejects writes of unregistered types
+        this.graphDb.relationshipTypes.register(relationshipTypeName);
+
         const newRelationshipType = {
             id: uuidv4(),
             name: relationshipTypeName,
@@ -253,15 +256,8 @@ class ConceptEvolution {
                 const uniqueProperties = entityType.properties.filter(p => p.unique);
                 
                 for (const property of uniqueProperties) {
-                    const constraintQuery = `
-                        CREATE CONSTRAINT ${entityType.name.toLowerCase()}_${property.name}_unique 
-                        IF NOT EXISTS 
-                        FOR (n:${entityType.name}) 
-                        REQUIRE n.${property.name} IS UNIQUE
-                    `;
-                    
                     try {
-                        await this.graphDb.executeCustomQuery(constraintQuery);
+                        await this.graphDb.ensureIndex(entityType.name, property.name, { unique: true });
                         this.logger.debug(`Created constraint for ${entityType.name}.${property.name}`);
                     } catch (error) {
                         this.logger.warn(`Could not create constraint: ${error.message}`);
@@ -272,15 +268,8 @@ class ConceptEvolution {
             // Create indexes for searchable properties
             const searchableProperties = entityType.properties.filter(p => p.searchable);
             for (const property of searchableProperties) {
-                const indexQuery = `
-                    CREATE INDEX ${entityType.name.toLowerCase()}_${property.name}_index 
-                    IF NOT EXISTS 
-                    FOR (n:${entityType.name}) 
-                    ON (n.${property.name})
-                `;
-                
                 try {
-                    await this.graphDb.executeCustomQuery(indexQuery);
+                    await this.graphDb.ensureIndex(entityType.name, property.name);
                     this.logger.debug(`Created index for ${entityType.name}.${property.name}`);
                 } catch (error) {
                     this.logger.warn(`Could not create index: ${error.message}`);
@@ -328,19 +317,10 @@ class ConceptEvolution {
      * Get entity distribution statistics
      */
     async getEntityDistributionStats() {
-        const query = `
-            MATCH (e:Entity)
-            RETURN e.type as entity_type, 
-                   e.sector as sector,
-                   e.country as country,
-                   count(*) as count
-            ORDER BY count DESC
-        `;
-
         try {
-            const result = await this.graphDb.executeCustomQuery(query);
-            return result.records.map(record => ({
-                entityType: record.entity_type,
+            const result = await this.graphDb.aggregateEntities(['type', 'sector', 'country']);
+            return result.map(record => ({
+                entityType: record.type,
                 sector: record.sector,
                 country: record.country,
                 count: record.count
@@ -390,23 +370,17 @@ class ConceptEvolution {
         const patterns = [];
         
         // Analyze recent entity additions for patterns
-        const recentEntitiesQuery = `
-            MATCH (e:Entity)
-            WHERE e.created > datetime() - duration({days: 30})
-            RETURN e.type, e.sector, e.country, count(*) as recent_count
-            ORDER BY recent_count DESC
-            LIMIT 10
-        `;
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
         try {
-            const result = await this.graphDb.executeCustomQuery(recentEntitiesQuery);
+            const result = await this.graphDb.aggregateEntities(['type', 'sector', 'country'], { createdAfter: since });
             
-            result.records.forEach(record => {
-                if (record.recent_count > 5) { // Threshold for "emerging"
+            result.slice(0, 10).forEach(record => {
+                if (record.count > 5) { // Threshold for "emerging"
                     patterns.push({
-                        pattern: `Growing interest in ${record.e.type} in ${record.e.sector || 'general'} sector`,
-                        evidence: `${record.recent_count} new entities in last 30 days`,
-                        confidence: Math.min(record.recent_count / 20, 0.95),
+                        pattern: `Growing interest in ${record.type} in ${record.sector || 'general'} sector`,
+                        evidence: `${record.count} new entities in last 30 days`,
+                        confidence: Math.min(record.count / 20, 0.95),
                         suggestedAction: 'Monitor for new relationship patterns and investment themes'
                     });
                 }
@@ -501,6 +475,7 @@ class ConceptEvolution {
             
             // Update relationship types
             this.config.intelligence.relationshipInference.relationshipTypes = configData.relationshipTypes || [];
+            this.graphDb.relationshipTypes.registerAll(configData.relationshipTypes);
             
             // Restore concept registry
             if (configData.conceptRegistry) {
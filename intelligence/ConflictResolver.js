@@ -0,0 +1,177 @@
+/**
+ * Conflict Resolver
+ * Settles properties whose sources disagree, using the observations in an entity's lineage
+ * (see EntityLineage) and a resolution policy (config.ingestion.conflictResolution):
+ *
+ *  - highest-authority   the value backed by the most authoritative source, after time decay
+ *  - most-recent         the value ingested most recently
+ *  - majority            the value with the greatest authority-weighted agreement
+ *
+ * Ties fall back to authority, then recency. Every resolution carries its confidence (the
+ * winner's weighted agreement from SourceIntelligence.crossValidateInformation) and the
+ * alternatives that lost. Profile defaults only count when no source supplied a value.
+ */
+
+const winston = require('winston');
+
+const POLICIES = ['highest-authority', 'most-recent', 'majority'];
+
+class ConflictResolver {
+    constructor(sourceIntelligence, lineage, config) {
+        this.sourceIntelligence = sourceIntelligence;
+        this.lineage = lineage;
+        this.settings = {
+            policy: 'highest-authority',
+            fields: {},
+            ...config.ingestion.conflictResolution
+        };
+
+        for (const policy of [this.settings.policy, ...Object.values(this.settings.fields)]) {
+            if (!POLICIES.includes(policy)) {
+                throw new Error(`Unknown conflict resolution policy "${policy}" (expected ${POLICIES.join(', ')})`);
+            }
+        }
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'conflict-resolver' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Resolutions for the properties of one entity whose sources disagree (properties in
+     * `options.exclude` are skipped): { property: { policy, value, confidence, winner, alternatives } }
+     */
+    async resolve(entityId, lineage, options = {}) {
+        const exclude = options.exclude || [];
+        const resolutions = {};
+
+        for (const [property, observations] of Object.entries(lineage)) {
+            if (exclude.includes(property)) continue;
+
+            const candidates = this.candidates(observations);
+            if (candidates.length < 2) continue;
+
+            resolutions[property] = await this.resolveProperty(entityId, property, candidates, observations);
+        }
+
+        return resolutions;
+    }
+
+    policyFor(property) {
+        return this.settings.fields[property] || this.settings.policy;
+    }
+
+    // Private helpers
+
+    /**
+     * Distinct values among the observations, each with the observations that supplied it
+     */
+    candidates(observations) {
+        const supplied = observations.filter(observation => observation.value != null);
+        const sourced = supplied.filter(observation => !observation.default);
+        const counted = sourced.length > 0 ? sourced : supplied;
+
+        const byValue = new Map();
+        for (const observation of counted) {
+            const key = this.lineage.valueKey(observation.value);
+            if (!byValue.has(key)) byValue.set(key, { value: observation.value, observations: [] });
+            byValue.get(key).observations.push(observation);
+        }
+
+        return Array.from(byValue.values());
+    }
+
+    async resolveProperty(entityId, property, candidates, observations) {
+        const policy = this.policyFor(property);
+        const counted = candidates.flatMap(candidate => candidate.observations);
+        const authorities = new Map(counted.map(observation => [observation, this.authorityOf(observation)]));
+        const authorityOf = observation => authorities.get(observation);
+
+        const scored = [];
+        for (const candidate of candidates) {
+            const validation = await this.sourceIntelligence.crossValidateInformation(
+                { entityId, property, value: candidate.value, observations: counted.map(observation => this.observationKey(observation)) },
+                counted.map(observation => ({
+                    type: observation.sourceType,
+                    agreement: candidate.observations.includes(observation),
+                    data: { file: observation.file, row: observation.row, column: observation.column, value: observation.value },
+                    timestamp: observation.ingestedAt
+                }))
+            );
+
+            scored.push({
+                ...candidate,
+                support: validation.agreementLevel,
+                authority: Math.max(...candidate.observations.map(authorityOf)),
+                latest: Math.max(...candidate.observations.map(observation => Date.parse(observation.ingestedAt) || 0))
+            });
+        }
+
+        scored.sort((a, b) => this.compare(policy, a, b));
+        const [winner, ...alternatives] = scored;
+
+        this.logger.debug(`⚖️  ${entityId}.${property}: ${JSON.stringify(winner.value)} wins by ${policy} over ${alternatives.length} alternative(s)`);
+
+        return {
+            policy,
+            value: winner.value,
+            confidence: this.round(winner.support),
+            winner: this.describeSource(winner.observations.find(observation => authorityOf(observation) === winner.authority)),
+            alternatives: alternatives.map(alternative => ({
+                value: alternative.value,
+                support: this.round(alternative.support),
+                authority: this.round(alternative.authority),
+                sources: alternative.observations.map(observation => this.describeSource(observation))
+            })),
+            sourceCount: observations.length
+        };
+    }
+
+    /**
+     * Order candidates best first under a policy; ties go to authority, then recency
+     */
+    compare(policy, a, b) {
+        const keys = {
+            'highest-authority': ['authority', 'latest'],
+            'most-recent': ['latest', 'authority'],
+            'majority': ['support', 'authority', 'latest']
+        }[policy];
+
+        for (const key of keys) {
+            if (a[key] !== b[key]) return b[key] - a[key];
+        }
+        return 0;
+    }
+
+    /**
+     * Registered authority of an observation's source type, decayed from when it was ingested
+     */
+    authorityOf(observation) {
+        return this.sourceIntelligence.getSourceAuthority(observation.sourceType, null, observation.ingestedAt);
+    }
+
+    observationKey(observation) {
+        return [observation.file, observation.row, observation.column, observation.ingestedAt].join('|');
+    }
+
+    describeSource(observation) {
+        return {
+            file: observation.file,
+            row: observation.row,
+            column: observation.column,
+            sourceType: observation.sourceType,
+            ingestedAt: observation.ingestedAt
+        };
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+ConflictResolver.POLICIES = POLICIES;
+
+module.exports = ConflictResolver;
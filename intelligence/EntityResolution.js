@@ -0,0 +1,365 @@
+/**
+ * Entity Resolution
+ * Detects records that describe the same real-world entity ("Blackstone", "The Blackstone Group Inc.")
+ * and merges them, re-pointing relationships and keeping the absorbed record as provenance
+ */
+
+const winston = require('winston');
+
+// Properties owned by the store, never copied between records on merge
+const SYSTEM_PROPERTIES = ['id', 'created', 'updated', 'mergedRecords', 'normalizedName', 'nameKeys'];
+
+class EntityResolution {
+    constructor(graphDb, config) {
+        this.graphDb = graphDb;
+        this.aliases = graphDb.aliases;
+        this.config = config;
+        this.settings = {
+            duplicateThreshold: 0.75,
+            autoResolveThreshold: 0.85,
+            maxBlockSize: 500,
+            ...config.intelligence?.entityResolution
+        };
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'entity-resolution' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Score how likely two entities are the same: { score (0-1), reasons }
+     * Name (or alias) similarity dominates; country and AUM proximity refine it
+     */
+    scorePair(a, b) {
+        if (a.type && b.type && a.type !== b.type) {
+            return { score: 0, reasons: [] };
+        }
+
+        const reasons = [];
+        const namesA = this.nameVariants(a);
+        const namesB = this.nameVariants(b);
+
+        let nameScore = 0;
+        if (namesA[0] && namesA[0] === namesB[0]) {
+            nameScore = 1;
+            reasons.push('Same normalized name');
+        } else if (namesA.some(name => namesB.includes(name))) {
+            nameScore = 1;
+            reasons.push('Alias match');
+        } else {
+            for (const nameA of namesA) {
+                for (const nameB of namesB) {
+                    nameScore = Math.max(nameScore, this.nameSimilarity(nameA, nameB));
+                }
+            }
+            if (nameScore >= 0.5) {
+                reasons.push(`Similar names (${Math.round(nameScore * 100)}%)`);
+            }
+        }
+
+        if (nameScore < 0.5) {
+            return { score: 0, reasons: [] };
+        }
+
+        // Unknown values are neutral; a known mismatch counts against the pair
+        let countryScore = 0.5;
+        if (a.country && b.country) {
+            countryScore = String(a.country).toLowerCase() === String(b.country).toLowerCase() ? 1 : 0;
+            reasons.push(countryScore ? 'Same country' : 'Different countries');
+        }
+
+        let aumScore = 0.5;
+        const aumA = parseFloat(a.aum);
+        const aumB = parseFloat(b.aum);
+        if (aumA > 0 && aumB > 0) {
+            aumScore = Math.min(aumA, aumB) / Math.max(aumA, aumB);
+            if (aumScore >= 0.8) reasons.push('Similar AUM');
+        }
+
+        const score = nameScore * 0.7 + countryScore * 0.15 + aumScore * 0.15;
+        return { score: Math.round(score * 1000) / 1000, reasons };
+    }
+
+    /**
+     * Likely duplicate pairs across the graph, best first
+     */
+    async findDuplicateCandidates(options = {}) {
+        const minScore = options.minScore ?? this.settings.duplicateThreshold;
+        const limit = options.limit || 50;
+        const filters = options.type ? { type: options.type } : {};
+
+        try {
+            const entities = [];
+            for await (const entity of this.graphDb.iterateEntities(filters)) {
+                entities.push(entity);
+            }
+
+            const candidates = this.candidatePairs(entities, minScore);
+            return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+
+        } catch (error) {
+            this.logger.error('Failed to find duplicate candidates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Likely duplicate pairs among a list of entities (stored or not), unsorted.
+     * Only entities sharing a leading name token are compared, keeping the scan near-linear.
+     */
+    candidatePairs(entities, minScore = this.settings.duplicateThreshold) {
+        const blocks = new Map();
+        for (const entity of entities) {
+            for (const key of this.blockingKeys(entity)) {
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(entity);
+            }
+        }
+
+        const compared = new Set();
+        const candidates = [];
+
+        for (const [key, members] of blocks.entries()) {
+            if (members.length > this.settings.maxBlockSize) {
+                this.logger.warn(`Skipping oversized name block "${key}" (${members.length} entities)`);
+                continue;
+            }
+
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const pairKey = [members[i].id, members[j].id].sort().join('|');
+                    if (members[i].id === members[j].id || compared.has(pairKey)) continue;
+                    compared.add(pairKey);
+
+                    const { score, reasons } = this.scorePair(members[i], members[j]);
+                    if (score >= minScore) {
+                        candidates.push({ entity1: members[i], entity2: members[j], score, reasons });
+                    }
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Likely duplicates of one entity, best first; null if the entity doesn't exist
+     */
+    async findDuplicatesOf(entityId, options = {}) {
+        const minScore = options.minScore ?? this.settings.duplicateThreshold;
+        const limit = options.limit || 20;
+
+        const target = await this.graphDb.getEntity(entityId);
+        if (!target) return null;
+
+        const candidates = [];
+        for await (const entity of this.graphDb.iterateEntities(target.type ? { type: target.type } : {})) {
+            if (entity.id === entityId) continue;
+
+            const { score, reasons } = this.scorePair(target, entity);
+            if (score >= minScore) {
+                candidates.push({ entity, score, reasons });
+            }
+        }
+
+        return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Existing entity an incoming record almost certainly refers to: { entity, score } or null
+     */
+    async findExistingMatch(entity) {
+        const names = this.nameVariants(entity);
+        if (names.length === 0) return null;
+
+        const filters = { names };
+        if (entity.type) filters.type = entity.type;
+
+        let best = null;
+        for (const candidate of await this.graphDb.findEntities(filters, 20)) {
+            // Same id means it's an update of that record, not a duplicate
+            if (candidate.id === entity.id) return null;
+
+            const { score } = this.scorePair(entity, candidate);
+            if (score >= this.settings.autoResolveThreshold && (!best || score > best.score)) {
+                best = { entity: candidate, score };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Rewrite an incoming record to update `existing`: keep its id and canonical name,
+     * and remember the incoming spelling as an alias
+     */
+    absorbInto(existing, incoming) {
+        const absorbed = {
+            ...incoming,
+            id: existing.id,
+            name: existing.name,
+            aliases: this.mergeAliases(existing.name, [
+                this.aliases.parseAliases(existing.aliases),
+                this.aliases.parseAliases(incoming.aliases),
+                [incoming.name]
+            ])
+        };
+
+        return { ...absorbed, ...this.aliases.nameFields(absorbed) };
+    }
+
+    /**
+     * Merge `duplicateId` into `survivorId`: move its relationships, fill the survivor's missing
+     * properties from it, keep its full record in `mergedRecords`, then delete it.
+     * Relationships are copied before anything is deleted, so a failed merge can simply be retried.
+     */
+    async mergeEntities(survivorId, duplicateId) {
+        if (survivorId === duplicateId) {
+            const error = new Error('Cannot merge an entity into itself');
+            error.status = 400;
+            throw error;
+        }
+
+        try {
+            const [survivor, duplicate] = await Promise.all([
+                this.graphDb.getEntity(survivorId),
+                this.graphDb.getEntity(duplicateId)
+            ]);
+
+            const missingId = !survivor ? survivorId : !duplicate ? duplicateId : null;
+            if (missingId) {
+                const error = new Error(`Entity not found: ${missingId}`);
+                error.status = 404;
+                throw error;
+            }
+
+            // Re-point the duplicate's relationships onto the survivor
+            let relationshipsMoved = 0;
+            for (const direction of ['outgoing', 'incoming']) {
+                for (const { type, relationship, entity } of await this.graphDb.findRelationships(duplicateId, null, direction)) {
+                    // Links between the two records (or self-loops) would become self-loops
+                    if (entity.id === survivorId || entity.id === duplicateId) continue;
+
+                    const { created, updated, ...properties } = relationship;
+                    const [fromId, toId] = direction === 'outgoing'
+                        ? [survivorId, entity.id]
+                        : [entity.id, survivorId];
+
+                    // The type already exists in the graph, so accept it for the copy
+                    this.graphDb.relationshipTypes.register(type);
+                    await this.graphDb.createRelationship(fromId, toId, type, properties);
+                    relationshipsMoved++;
+                }
+            }
+
+            // Survivor wins conflicts; the duplicate only fills gaps
+            const additions = {};
+            for (const [key, value] of Object.entries(duplicate)) {
+                if (!SYSTEM_PROPERTIES.includes(key) && !['aliases', 'lineage'].includes(key) && survivor[key] == null) {
+                    additions[key] = value;
+                }
+            }
+
+            additions.aliases = this.mergeAliases(survivor.name, [
+                this.aliases.parseAliases(survivor.aliases),
+                this.aliases.parseAliases(duplicate.aliases),
+                [duplicate.name]
+            ]);
+            Object.assign(additions, this.aliases.nameFields({ name: survivor.name, aliases: additions.aliases }));
+            // Both records' sources stay visible in the survivor's lineage
+            if (survivor.lineage || duplicate.lineage) {
+                additions.lineage = JSON.stringify(this.graphDb.lineage.combine(survivor.lineage, duplicate.lineage));
+            }
+            additions.mergedRecords = JSON.stringify([
+                ...this.parseJSONArray(survivor.mergedRecords),
+                { ...duplicate, mergedAt: new Date().toISOString() }
+            ]);
+
+            const entity = await this.graphDb.updateEntity(survivorId, additions);
+            await this.graphDb.deleteEntity(duplicateId, { cascade: true });
+
+            this.logger.info(`🔀 Merged ${duplicate.name} (${duplicateId}) into ${survivor.name} (${survivorId}), moved ${relationshipsMoved} relationships`);
+            return { entity, mergedId: duplicateId, relationshipsMoved };
+
+        } catch (error) {
+            this.logger.error('Failed to merge entities:', error);
+            throw error;
+        }
+    }
+
+    // Private helpers
+
+    /**
+     * Folded name first, then folded stored and known aliases
+     */
+    nameVariants(entity) {
+        return this.aliases.nameKeys(entity);
+    }
+
+    blockingKeys(entity) {
+        return new Set(this.nameVariants(entity).map(name => name.split(' ')[0]));
+    }
+
+    /**
+     * Best of word-overlap and character-bigram Dice similarity (the latter catches typos)
+     */
+    nameSimilarity(a, b) {
+        return Math.max(this.dice(a.split(' '), b.split(' ')), this.dice(this.bigrams(a), this.bigrams(b)));
+    }
+
+    dice(itemsA, itemsB) {
+        if (itemsA.length === 0 || itemsB.length === 0) return 0;
+
+        const counts = new Map();
+        itemsA.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+
+        let overlap = 0;
+        for (const item of itemsB) {
+            if (counts.get(item) > 0) {
+                overlap++;
+                counts.set(item, counts.get(item) - 1);
+            }
+        }
+
+        return (2 * overlap) / (itemsA.length + itemsB.length);
+    }
+
+    bigrams(text) {
+        const compact = text.replace(/\s+/g, '');
+        const grams = [];
+        for (let i = 0; i < compact.length - 1; i++) {
+            grams.push(compact.slice(i, i + 2));
+        }
+        return grams;
+    }
+
+    /**
+     * Union of alias lists without the canonical name or repeated spellings
+     */
+    mergeAliases(canonicalName, aliasLists) {
+        const aliases = new Set();
+
+        for (const alias of aliasLists.flat()) {
+            if (typeof alias === 'string' && alias.trim() && alias !== canonicalName) {
+                aliases.add(alias);
+            }
+        }
+
+        return Array.from(aliases);
+    }
+
+    parseJSONArray(value) {
+        if (typeof value !== 'string') return [];
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return [];
+        }
+    }
+}
+
+module.exports = EntityResolution;
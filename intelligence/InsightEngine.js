@@ -0,0 +1,346 @@
+/**
+ * Insight Engine
+ * Rule-based insights over query results (KnowledgeStore.generateInsights). Each rule reads the
+ * result entities and relationships, and may look at the graph around them, and returns
+ *
+ *   { type, rule, message, confidence, evidence: [the records behind the claim] }
+ *
+ * (or a list of them, or null). The built-in rules below are registered by id; registerRule adds
+ * or replaces one ({ id, description, evaluate: async context => ... }) and
+ * config.intelligence.insights.disabledRules switches rules off. Insights under minConfidence are
+ * dropped; the rest come back most confident first, at most maxInsights.
+ */
+
+const winston = require('winston');
+
+// Relationships from an investor to an asset or deal it invested in
+const INVESTMENT_RELATIONSHIPS = ['INVESTS_IN', 'PARTICIPATES_IN'];
+
+// Confidence of a graph relationship that doesn't record one
+const DEFAULT_RELATIONSHIP_CONFIDENCE = 0.9;
+
+// Insights of one kind reported per result set (e.g. pairs sharing people)
+const MAX_INSIGHTS_PER_RULE = 3;
+
+class InsightEngine {
+    constructor(graphDb, config) {
+        this.graphDb = graphDb;
+        this.reportingCurrency = config.currency.reportingCurrency;
+        this.settings = {
+            minConfidence: 0.5,
+            maxInsights: 10,
+            disabledRules: [],
+            concentrationShare: 0.3,
+            outlierRatio: 3,
+            maxGraphLookups: 50,
+            ...config.intelligence.insights
+        };
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'insight-engine' },
+            transports: [new winston.transports.Console()]
+        });
+
+        this.rules = new Map();
+        this.registerBuiltInRules();
+    }
+
+    /**
+     * Add a rule, or replace the one registered under the same id
+     */
+    registerRule(rule) {
+        if (!rule || !rule.id || typeof rule.evaluate !== 'function') {
+            throw new Error('Insight rule must have an id and an evaluate function');
+        }
+        this.rules.set(rule.id, rule);
+    }
+
+    getRules() {
+        return Array.from(this.rules.values()).map(({ id, description }) => ({
+            id,
+            description,
+            enabled: !this.settings.disabledRules.includes(id)
+        }));
+    }
+
+    /**
+     * Run every enabled rule over a result set; a rule that fails is logged and skipped
+     */
+    async generate(entities, relationships = []) {
+        const context = this.createContext(entities, relationships);
+        if (context.entities.length === 0) return [];
+
+        const insights = [];
+        for (const rule of this.rules.values()) {
+            if (this.settings.disabledRules.includes(rule.id)) continue;
+
+            try {
+                const result = await rule.evaluate(context);
+                for (const insight of [].concat(result || [])) {
+                    insights.push({ rule: rule.id, ...insight });
+                }
+            } catch (error) {
+                this.logger.warn(`Insight rule ${rule.id} failed:`, error.message);
+            }
+        }
+
+        return insights
+            .filter(insight => insight.confidence >= this.settings.minConfidence)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, this.settings.maxInsights);
+    }
+
+    // Built-in rules
+
+    registerBuiltInRules() {
+        this.registerRule({
+            id: 'location_concentration',
+            description: 'Results sharing a headquarters city or country',
+            evaluate: context => this.concentrationInsight(context, 'location_concentration',
+                ['headquarters', 'city', 'country'], value => `headquartered in ${value}`)
+        });
+
+        this.registerRule({
+            id: 'sector_concentration',
+            description: 'Results sharing a sector',
+            evaluate: context => this.concentrationInsight(context, 'sector_concentration',
+                ['sector'], value => `in ${value}`)
+        });
+
+        this.registerRule({
+            id: 'aum_outlier',
+            description: 'Largest AUM far above the median of the results',
+            evaluate: context => this.aumOutlierInsight(context)
+        });
+
+        this.registerRule({
+            id: 'shared_people',
+            description: 'Results linked to the same people',
+            evaluate: context => this.sharedNeighborInsights(context, {
+                type: 'shared_people',
+                direction: 'both',
+                matches: ({ entity }) => entity.type === 'Person',
+                // Each firm lists its people as nodes of their own: match them across firms
+                neighborKeys: ({ entity, relationship }) => this.graphDb.people.keys(entity, relationship),
+                describe: (a, b, people) => `${a.name} and ${b.name} share ${people.length === 1 ? 'a key person' : `${people.length} key people`}: ${this.listNames(people)}`
+            })
+        });
+
+        this.registerRule({
+            id: 'shared_investments',
+            description: 'Results that invested in the same assets and deals',
+            evaluate: context => this.sharedNeighborInsights(context, {
+                type: 'shared_investments',
+                direction: 'outgoing',
+                matches: ({ type }) => INVESTMENT_RELATIONSHIPS.includes(type),
+                describe: (a, b, targets) => `${a.name} and ${b.name} both invested in ${this.listNames(targets)}`
+            })
+        });
+
+        this.registerRule({
+            id: 'relationship_hub',
+            description: 'An entity involved in a large share of the result relationships',
+            evaluate: context => this.relationshipHubInsight(context)
+        });
+    }
+
+    /**
+     * "4 of 10 results are headquartered in London": the most common value of the first of
+     * `properties` where one value covers at least concentrationShare of the results
+     */
+    concentrationInsight(context, type, properties, phrase) {
+        const { entities } = context;
+        if (entities.length < 3) return null;
+
+        for (const property of properties) {
+            const groups = new Map();
+            let covered = 0;
+
+            for (const entity of entities) {
+                const value = typeof entity[property] === 'string' ? entity[property].trim() : null;
+                if (!value) continue;
+
+                covered++;
+                const key = value.toLowerCase();
+                if (!groups.has(key)) groups.set(key, { value, members: [] });
+                groups.get(key).members.push(entity);
+            }
+
+            const [top] = Array.from(groups.values()).sort((a, b) => b.members.length - a.members.length);
+            if (!top || top.members.length < 2 || top.members.length / entities.length < this.settings.concentrationShare) continue;
+
+            const count = top.members.length;
+            const subject = count === entities.length ? `All ${count} results are` : `${count} of ${entities.length} results are`;
+
+            return {
+                type,
+                message: `${subject} ${phrase(top.value)}`,
+                confidence: this.round((covered / entities.length) * (1 - 1 / (count + 1))),
+                evidence: top.members.map(entity => ({ id: entity.id, name: entity.name, property, value: entity[property] }))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * "Largest AUM is 3.2x the median": the biggest manager against the median of those reporting AUM
+     */
+    aumOutlierInsight(context) {
+        const reporting = context.entities
+            .filter(entity => typeof entity.aum === 'number' && entity.aum > 0)
+            .sort((a, b) => a.aum - b.aum);
+        if (reporting.length < 3) return null;
+
+        const middle = Math.floor(reporting.length / 2);
+        const median = reporting.length % 2 ? reporting[middle].aum : (reporting[middle - 1].aum + reporting[middle].aum) / 2;
+        const largest = reporting[reporting.length - 1];
+        const ratio = largest.aum / median;
+        if (ratio < this.settings.outlierRatio) return null;
+
+        return {
+            type: 'aum_outlier',
+            message: `Largest AUM is ${ratio.toFixed(1)}x the median: ${largest.name} manages ${this.formatAmount(largest.aum)} against a median of ${this.formatAmount(median)}`,
+            confidence: this.round((reporting.length / context.entities.length) * (1 - 1 / reporting.length)),
+            evidence: [
+                { id: largest.id, name: largest.name, property: 'aum', value: largest.aum },
+                { statistic: 'median', property: 'aum', value: median, sampleSize: reporting.length }
+            ]
+        };
+    }
+
+    /**
+     * Pairs of results connected to the same neighbors in the graph, most neighbors in common first.
+     * Neighbors are the same under any key in common (`neighborKeys`, default: their id).
+     */
+    async sharedNeighborInsights(context, { type, direction, matches, describe, neighborKeys = ({ entity }) => [entity.id] }) {
+        const subjects = context.entities.filter(entity => entity.type !== 'Person').slice(0, this.settings.maxGraphLookups);
+        if (subjects.length < 2) return null;
+
+        // neighbor key -> [{ subject, link }]
+        const neighbors = new Map();
+        for (const subject of subjects) {
+            for (const link of await context.neighbors(subject.id, direction)) {
+                if (!matches(link) || link.entity.id === subject.id) continue;
+                for (const key of neighborKeys(link)) {
+                    if (!neighbors.has(key)) neighbors.set(key, []);
+                    neighbors.get(key).push({ subject, link });
+                }
+            }
+        }
+
+        // "a|b" -> { a, b, shared: [{ neighbor, links }], matched: neighbor id pairs already counted }
+        const pairs = new Map();
+        for (const links of neighbors.values()) {
+            const bySubject = new Map(links.map(entry => [entry.subject.id, entry]));
+            const ids = Array.from(bySubject.keys()).sort();
+
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const key = `${ids[i]}|${ids[j]}`;
+                    if (!pairs.has(key)) pairs.set(key, { a: bySubject.get(ids[i]).subject, b: bySubject.get(ids[j]).subject, shared: [], matched: new Set() });
+
+                    // The same two neighbors may match under more than one key
+                    const match = `${bySubject.get(ids[i]).link.entity.id}|${bySubject.get(ids[j]).link.entity.id}`;
+                    if (pairs.get(key).matched.has(match)) continue;
+                    pairs.get(key).matched.add(match);
+
+                    pairs.get(key).shared.push({
+                        neighbor: links[0].link.entity,
+                        links: [bySubject.get(ids[i]), bySubject.get(ids[j])]
+                    });
+                }
+            }
+        }
+
+        return Array.from(pairs.values())
+            .sort((x, y) => y.shared.length - x.shared.length)
+            .slice(0, MAX_INSIGHTS_PER_RULE)
+            .map(({ a, b, shared }) => {
+                const links = shared.flatMap(entry => entry.links);
+                const confidences = links.map(({ link }) => link.relationship.confidence ?? DEFAULT_RELATIONSHIP_CONFIDENCE);
+                return {
+                    type,
+                    message: describe(a, b, shared.map(entry => entry.neighbor)),
+                    confidence: this.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length),
+                    evidence: links.map(({ subject, link }) => ({
+                        subject: { id: subject.id, name: subject.name },
+                        relationship: link.type,
+                        entity: { id: link.entity.id, name: link.entity.name, type: link.entity.type }
+                    }))
+                };
+            });
+    }
+
+    /**
+     * "KKR appears in 5 of 8 relationships": an entity at the center of the result relationships
+     */
+    relationshipHubInsight(context) {
+        const { relationships } = context;
+        if (relationships.length < 3) return null;
+
+        const involvement = new Map();
+        for (const relationship of relationships) {
+            for (const end of new Set([relationship.from?.id, relationship.to?.id])) {
+                if (!end) continue;
+                if (!involvement.has(end)) involvement.set(end, []);
+                involvement.get(end).push(relationship);
+            }
+        }
+
+        const [hubId, involved] = Array.from(involvement).sort((a, b) => b[1].length - a[1].length)[0] || [];
+        if (!involved || involved.length < 3 || involved.length / relationships.length < this.settings.concentrationShare) return null;
+
+        const hub = involved[0].from?.id === hubId ? involved[0].from : involved[0].to;
+        return {
+            type: 'relationship_hub',
+            message: `${hub.name} appears in ${involved.length} of ${relationships.length} relationships in the results`,
+            confidence: this.round(1 - 1 / (involved.length + 1)),
+            evidence: involved.map(relationship => ({
+                from: { id: relationship.from.id, name: relationship.from.name },
+                to: { id: relationship.to.id, name: relationship.to.name },
+                relationship: relationship.type || null
+            }))
+        };
+    }
+
+    // Private helpers
+
+    /**
+     * What the rules see: distinct result entities, the relationships, and graph neighbors
+     * looked up at most once per entity and direction
+     */
+    createContext(entities, relationships) {
+        const lookups = new Map();
+
+        return {
+            entities: Array.from(new Map(entities.filter(Boolean).map(entity => [entity.id, entity])).values()),
+            relationships: relationships.filter(relationship => relationship?.from && relationship?.to),
+            graphDb: this.graphDb,
+            neighbors: (entityId, direction = 'both') => {
+                const key = `${entityId}|${direction}`;
+                if (!lookups.has(key)) lookups.set(key, this.graphDb.findRelationships(entityId, null, direction));
+                return lookups.get(key);
+            }
+        };
+    }
+
+    listNames(entities) {
+        const names = entities.map(entity => entity.name);
+        return names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+    }
+
+    formatAmount(amount) {
+        const [size, unit] = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M']].find(([threshold]) => amount >= threshold) || [1, ''];
+        const number = unit ? `${(amount / size).toFixed(1)}${unit}` : Math.round(amount).toLocaleString('en-US');
+        return this.reportingCurrency === 'USD' ? `$${number}` : `${number} ${this.reportingCurrency}`;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = InsightEngine;
@@ -7,11 +7,13 @@ const OpenAI = require('openai');
 const natural = require('natural');
 const compromise = require('compromise');
 const winston = require('winston');
+const CurrencyConverter = require('../core/CurrencyConverter');
 
 class IntelligenceEngine {
     constructor(config) {
         this.config = config;
         this.ready = false;
+        this.currency = new CurrencyConverter(config.currency);
         
         this.logger = winston.createLogger({
             level: 'info',
@@ -452,36 +454,11 @@ class IntelligenceEngine {
     }
 
     /**
-     * Parse financial amounts
+     * Parse financial amounts to the reporting currency (numbers are taken as already converted)
      */
-    parseFinancialAmount(amountStr) {
-        if (!amountStr || typeof amountStr !== 'string') return 0;
-        
-        // Remove currency symbols and clean up
-        const cleaned = amountStr.replace(/[\$,€£¥]/g, '').trim();
-        
-        // Handle multipliers
-        const multipliers = {
-            'trillion': 1e12,
-            't': 1e12,
-            'billion': 1e9,
-            'b': 1e9,
-            'million': 1e6,
-            'm': 1e6,
-            'thousand': 1e3,
-            'k': 1e3
-        };
-
-        for (const [suffix, multiplier] of Object.entries(multipliers)) {
-            const regex = new RegExp(`\\b${suffix}\\b`, 'i');
-            if (regex.test(cleaned)) {
-                const number = parseFloat(cleaned.replace(regex, ''));
-                return isNaN(number) ? 0 : number * multiplier;
-            }
-        }
-
-        const number = parseFloat(cleaned);
-        return isNaN(number) ? 0 : number;
+    parseFinancialAmount(amount) {
+        if (typeof amount === 'number') return amount;
+        return this.currency.normalize(amount)?.amount ?? 0;
     }
 
     /**
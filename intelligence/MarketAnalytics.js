@@ -0,0 +1,518 @@
+/**
+ * Market Analytics
+ * Market-level figures behind KnowledgeStore.getMarketIntelligence (GET /api/intelligence), over
+ * firms and funds (people and transactions are left out), optionally narrowed to `sectors` and
+ * `regions` (each entity's country is mapped to a region below):
+ *
+ *  - overview         entity counts and AUM (reporting currency) by sector, region and type, with
+ *                     concentration: the Herfindahl-Hirschman index (HHI, 0-10,000) of managers'
+ *                     AUM shares and the top five managers' share
+ *  - trends           growth over `timeframe` ("30d", "12w", "6m", "1y") against the period before:
+ *                     entities and AUM added (by `created`), and firms founded (by founding year,
+ *                     over the same span in completed calendar years)
+ *  - opportunities    segments (sector and region) where firm formation is growing and AUM is not
+ *                     highly concentrated
+ *  - risks            segments where AUM is highly concentrated or firm formation is falling
+ *  - predictions      next period extrapolated from each trend's growth
+ *  - recommendations  what to do about the opportunities and risks
+ */
+
+const winston = require('winston');
+
+// Entity types that are not market participants
+const NON_MARKET_TYPES = ['Person', 'Transaction'];
+
+// Regions and the country names and codes that map to them (compared case-insensitively)
+const REGIONS = {
+    'North America': ['United States', 'United States of America', 'USA', 'US', 'U.S.', 'Canada', 'CA', 'Bermuda'],
+    'Europe': [
+        'United Kingdom', 'UK', 'Great Britain', 'England', 'Scotland', 'Ireland', 'France', 'Germany', 'Netherlands',
+        'Belgium', 'Luxembourg', 'Switzerland', 'Austria', 'Italy', 'Spain', 'Portugal', 'Sweden', 'Norway', 'Denmark',
+        'Finland', 'Iceland', 'Poland', 'Czech Republic', 'Hungary', 'Greece', 'Jersey', 'Guernsey', 'Monaco', 'Liechtenstein'
+    ],
+    'Asia Pacific': [
+        'China', 'Hong Kong', 'Japan', 'South Korea', 'Korea', 'Singapore', 'India', 'Australia', 'New Zealand', 'Taiwan',
+        'Malaysia', 'Indonesia', 'Thailand', 'Vietnam', 'Philippines'
+    ],
+    'Latin America': ['Brazil', 'Mexico', 'Argentina', 'Chile', 'Colombia', 'Peru', 'Uruguay', 'Cayman Islands', 'British Virgin Islands'],
+    'Middle East & Africa': [
+        'United Arab Emirates', 'UAE', 'Saudi Arabia', 'Qatar', 'Kuwait', 'Bahrain', 'Oman', 'Israel', 'Turkey',
+        'South Africa', 'Nigeria', 'Kenya', 'Egypt', 'Morocco'
+    ]
+};
+
+const REGION_ALIASES = { 'na': 'North America', 'apac': 'Asia Pacific', 'latam': 'Latin America', 'mea': 'Middle East & Africa' };
+
+// HHI bands (US merger guidelines): below 1,500 unconcentrated, above 2,500 highly concentrated
+const HHI_MODERATE = 1500;
+const HHI_HIGH = 2500;
+
+// Segments smaller than this are too thin to call an opportunity or risk
+const MIN_SEGMENT_SIZE = 3;
+
+// Managers needed before a segment's HHI says anything (n equal managers already score 10,000 / n)
+const MIN_CONCENTRATION_MANAGERS = 5;
+
+const DAY = 24 * 60 * 60 * 1000;
+const TIMEFRAME_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+class MarketAnalytics {
+    constructor(graphDb, config) {
+        this.graphDb = graphDb;
+        this.reportingCurrency = config.currency.reportingCurrency;
+        this.countryRegions = new Map();
+        for (const [region, countries] of Object.entries(REGIONS)) {
+            countries.forEach(country => this.countryRegions.set(country.toLowerCase(), region));
+        }
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'market-analytics' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Market participants in scope, loaded once for all the figures:
+     * { scope: { sectors, regions, timeframe }, entities: [{ id, name, type, sector, region, aum, created, foundedYear }] }
+     */
+    async loadMarket(options = {}) {
+        const scope = {
+            sectors: options.sectors?.length ? options.sectors.map(sector => sector.trim()) : null,
+            regions: options.regions?.length ? options.regions.map(region => this.resolveRegion(region)) : null,
+            timeframe: this.parseTimeframe(options.timeframe || '1y')
+        };
+        const sectors = scope.sectors && new Set(scope.sectors.map(sector => sector.toLowerCase()));
+
+        const entities = [];
+        for await (const entity of this.graphDb.iterateEntities()) {
+            if (NON_MARKET_TYPES.includes(entity.type)) continue;
+
+            const participant = {
+                id: entity.id,
+                name: entity.name,
+                type: entity.type || 'Unspecified',
+                sector: entity.sector || 'Unspecified',
+                region: this.regionOf(entity.country),
+                aum: typeof entity.aum === 'number' && entity.aum > 0 ? entity.aum : null,
+                created: Date.parse(entity.created) || null,
+                foundedYear: this.foundedYear(entity)
+            };
+
+            if (sectors && !sectors.has(participant.sector.toLowerCase())) continue;
+            if (scope.regions && !scope.regions.includes(participant.region)) continue;
+            entities.push(participant);
+        }
+
+        return { scope, entities };
+    }
+
+    /**
+     * Totals, breakdowns by sector, region and type, and market concentration
+     */
+    overview(market) {
+        const { entities, scope } = market;
+        const aum = this.sum(entities);
+
+        return {
+            scope: { sectors: scope.sectors, regions: scope.regions, timeframe: scope.timeframe.label },
+            currency: this.reportingCurrency,
+            totals: {
+                entities: entities.length,
+                withAum: entities.filter(entity => entity.aum !== null).length,
+                aum
+            },
+            bySector: this.breakdown(entities, 'sector', aum),
+            byRegion: this.breakdown(entities, 'region', aum),
+            byType: this.breakdown(entities, 'type', aum),
+            concentration: {
+                ...this.concentration(entities),
+                sectors: this.shareIndex(this.breakdown(entities, 'sector', aum)),
+                regions: this.shareIndex(this.breakdown(entities, 'region', aum))
+            },
+            asOf: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Growth over the timeframe against the period before, for the whole market and each
+     * sector, region and type: entities and AUM added, and firms founded
+     */
+    trends(market) {
+        const trends = [];
+
+        for (const dimension of [null, 'sector', 'region', 'type']) {
+            for (const [segment, entities] of this.groupBy(market.entities, dimension)) {
+                for (const trend of this.segmentTrends(entities, market.scope.timeframe)) {
+                    trends.push({ dimension: dimension || 'market', segment, ...trend });
+                }
+            }
+        }
+
+        return trends;
+    }
+
+    /**
+     * Sector and region segments where firm formation is growing and AUM is not highly concentrated
+     */
+    opportunities(market) {
+        const opportunities = [];
+
+        for (const segment of this.segments(market)) {
+            const { formation, concentration } = segment;
+            if (segment.entities < MIN_SEGMENT_SIZE || formation.current <= formation.previous) continue;
+            if (concentration.withAum >= MIN_CONCENTRATION_MANAGERS && concentration.hhi >= HHI_HIGH) continue;
+
+            const momentum = (formation.current - formation.previous) / Math.max(formation.previous, 1);
+            const openness = concentration.withAum >= MIN_CONCENTRATION_MANAGERS ? 1 - concentration.hhi / 10000 : 1;
+
+            opportunities.push({
+                sector: segment.sector,
+                region: segment.region,
+                entities: segment.entities,
+                aum: segment.aum,
+                formation,
+                concentration,
+                score: this.round(momentum * openness),
+                rationale: `${formation.current} firms founded in ${formation.period} vs ${formation.previous} in ${formation.previousPeriod}, ` +
+                    `${concentration.hhi === null ? 'no reported AUM' : `${concentration.level} (HHI ${concentration.hhi})`}`
+            });
+        }
+
+        return opportunities.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Segments where AUM is highly concentrated or firm formation is falling
+     */
+    risks(market) {
+        const risks = [];
+        const marketConcentration = this.concentration(market.entities);
+
+        if (marketConcentration.withAum >= MIN_CONCENTRATION_MANAGERS && marketConcentration.hhi >= HHI_HIGH) {
+            risks.push({
+                type: 'concentration',
+                severity: 'high',
+                sector: null,
+                region: null,
+                concentration: marketConcentration,
+                rationale: `Market AUM is highly concentrated (HHI ${marketConcentration.hhi}); the top five managers hold ${this.percent(marketConcentration.top5Share)}`
+            });
+        }
+
+        for (const segment of this.segments(market)) {
+            const { formation, concentration } = segment;
+            const label = `${segment.sector} in ${segment.region}`;
+
+            if (concentration.withAum >= MIN_CONCENTRATION_MANAGERS && concentration.hhi >= HHI_HIGH) {
+                const [leader] = concentration.topManagers;
+                risks.push({
+                    type: 'concentration',
+                    severity: concentration.hhi >= 5000 ? 'high' : 'medium',
+                    sector: segment.sector,
+                    region: segment.region,
+                    concentration,
+                    rationale: `${leader.name} holds ${this.percent(leader.share)} of ${label} AUM (HHI ${concentration.hhi})`
+                });
+            }
+
+            if (formation.previous >= MIN_SEGMENT_SIZE && formation.current < formation.previous) {
+                const decline = (formation.previous - formation.current) / formation.previous;
+                risks.push({
+                    type: 'declining_formation',
+                    severity: decline >= 0.5 ? 'high' : 'medium',
+                    sector: segment.sector,
+                    region: segment.region,
+                    formation,
+                    rationale: `Firm formation in ${label} fell ${this.percent(decline)}: ${formation.current} founded in ${formation.period} vs ${formation.previous} in ${formation.previousPeriod}`
+                });
+            }
+        }
+
+        const severity = { high: 2, medium: 1 };
+        return risks.sort((a, b) => severity[b.severity] - severity[a.severity]);
+    }
+
+    /**
+     * Next period for each market, sector and region trend with a measurable growth rate,
+     * extrapolated at that rate; confidence grows with the number of observations behind it
+     */
+    predictions(market) {
+        return this.trends(market)
+            .filter(trend => trend.dimension !== 'type' && trend.growth !== null)
+            .map(trend => {
+                const observations = trend.metric === 'aum_added' ? trend.count : trend.current + trend.previous;
+                return {
+                    dimension: trend.dimension,
+                    segment: trend.segment,
+                    metric: trend.metric,
+                    current: trend.current,
+                    projected: this.round(Math.max(trend.current * (1 + trend.growth), 0)),
+                    horizon: trend.period,
+                    confidence: this.round(Math.min(observations / (observations + 10), 0.9)),
+                    method: 'period-over-period extrapolation'
+                };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Actions for the strongest opportunities and every high-severity risk
+     */
+    recommendations(opportunities, risks) {
+        const recommendations = opportunities.slice(0, 5).map(opportunity => ({
+            type: 'opportunity',
+            priority: opportunity.score >= 1 ? 'high' : 'medium',
+            description: `Evaluate ${opportunity.sector} in ${opportunity.region}`,
+            action: 'Source new managers and deals in this segment while it is forming and fragmented',
+            rationale: opportunity.rationale
+        }));
+
+        for (const risk of risks.filter(risk => risk.severity === 'high')) {
+            const segment = risk.sector ? `${risk.sector} in ${risk.region}` : 'the market';
+            recommendations.push(risk.type === 'concentration'
+                ? {
+                    type: 'risk_mitigation',
+                    priority: 'high',
+                    description: `Limit exposure to the leading managers in ${segment}`,
+                    action: 'Diversify across managers and review counterparty exposure',
+                    rationale: risk.rationale
+                }
+                : {
+                    type: 'risk_mitigation',
+                    priority: 'high',
+                    description: `Reassess commitments to ${segment}`,
+                    action: 'Review pipeline and pacing while new manager formation is falling',
+                    rationale: risk.rationale
+                });
+        }
+
+        return recommendations;
+    }
+
+    // Private helpers
+
+    /**
+     * Timeframe such as "90d", "12w", "6m" or "1y" as the current and previous periods; a 400 otherwise
+     */
+    parseTimeframe(timeframe) {
+        const match = String(timeframe).trim().toLowerCase().match(/^(\d+)\s*([dwmy])$/);
+        if (!match || Number(match[1]) === 0) {
+            const error = new Error(`Invalid timeframe "${timeframe}" (expected e.g. 30d, 12w, 6m, 1y)`);
+            error.status = 400;
+            throw error;
+        }
+
+        const days = Number(match[1]) * TIMEFRAME_UNITS[match[2]];
+        const end = Date.now();
+        return {
+            label: `${match[1]}${match[2]}`,
+            end,
+            start: end - days * DAY,
+            previousStart: end - 2 * days * DAY,
+            // Founding dates are years, so formation is compared over whole years
+            years: Math.max(1, Math.round(days / 365))
+        };
+    }
+
+    resolveRegion(name) {
+        const key = name.trim().toLowerCase();
+        const region = REGION_ALIASES[key] || [...Object.keys(REGIONS), 'Other'].find(candidate => candidate.toLowerCase() === key);
+        if (!region) {
+            const error = new Error(`Unknown region "${name}" (expected ${[...Object.keys(REGIONS), 'Other'].join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+        return region;
+    }
+
+    /**
+     * Region of a country name or code, also read from the end of a location ("London, UK")
+     */
+    regionOf(country) {
+        if (typeof country !== 'string' || !country.trim()) return 'Other';
+
+        const candidates = [country, country.split(',').pop()].map(value => value.trim().toLowerCase());
+        for (const candidate of candidates) {
+            if (this.countryRegions.has(candidate)) return this.countryRegions.get(candidate);
+        }
+        return 'Other';
+    }
+
+    foundedYear(entity) {
+        for (const value of [entity.foundedYear, entity.founded, entity.foundedDate]) {
+            const match = String(value ?? '').match(/\b(1[89]\d\d|20\d\d)\b/);
+            if (match) return Number(match[1]);
+        }
+        return null;
+    }
+
+    /**
+     * Entities and AUM added in the current vs previous period, and firms founded
+     */
+    segmentTrends(entities, timeframe) {
+        const added = { current: [], previous: [] };
+        for (const entity of entities) {
+            if (entity.created > timeframe.start && entity.created <= timeframe.end) added.current.push(entity);
+            else if (entity.created > timeframe.previousStart && entity.created <= timeframe.start) added.previous.push(entity);
+        }
+
+        const trends = [
+            this.trend('entities_added', timeframe.label, added.current.length, added.previous.length),
+            {
+                ...this.trend('aum_added', timeframe.label, this.sum(added.current), this.sum(added.previous)),
+                count: added.current.length + added.previous.length
+            }
+        ];
+
+        const formation = this.formation(entities, timeframe);
+        trends.push(this.trend('firms_founded', formation.period, formation.current, formation.previous));
+
+        return trends.filter(trend => trend.current > 0 || trend.previous > 0);
+    }
+
+    trend(metric, period, current, previous) {
+        return {
+            metric,
+            period,
+            current,
+            previous,
+            change: current - previous,
+            growth: previous > 0 ? this.round((current - previous) / previous) : null,
+            direction: current > previous ? 'up' : current < previous ? 'down' : 'flat'
+        };
+    }
+
+    /**
+     * Firms founded in the latest completed years covered by the timeframe vs the years before
+     * (the current year is still running, so it is left out)
+     */
+    formation(entities, timeframe) {
+        const { years } = timeframe;
+        const last = new Date(timeframe.end).getUTCFullYear() - 1;
+        const span = end => (years === 1 ? `${end}` : `${end - years + 1}–${end}`);
+        let current = 0;
+        let previous = 0;
+
+        for (const { foundedYear } of entities) {
+            if (foundedYear === null) continue;
+            if (foundedYear > last - years && foundedYear <= last) current++;
+            else if (foundedYear > last - 2 * years && foundedYear <= last - years) previous++;
+        }
+
+        return { period: span(last), previousPeriod: span(last - years), current, previous };
+    }
+
+    /**
+     * Every sector and region combination with its size, firm formation and concentration
+     */
+    segments(market) {
+        const segments = [];
+        const groups = this.groupBy(market.entities, entity => `${entity.sector}|${entity.region}`);
+
+        for (const [key, entities] of groups) {
+            const [sector, region] = key.split('|');
+            segments.push({
+                sector,
+                region,
+                entities: entities.length,
+                aum: this.sum(entities),
+                formation: this.formation(entities, market.scope.timeframe),
+                concentration: this.concentration(entities)
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Counts and AUM per value of a dimension, largest AUM first, each with its managers' HHI
+     */
+    breakdown(entities, dimension, totalAum) {
+        return Array.from(this.groupBy(entities, dimension))
+            .map(([value, members]) => {
+                const aum = this.sum(members);
+                const withAum = members.filter(entity => entity.aum !== null).length;
+                return {
+                    [dimension]: value,
+                    count: members.length,
+                    share: this.round(members.length / entities.length),
+                    aum,
+                    aumShare: totalAum > 0 ? this.round(aum / totalAum) : 0,
+                    averageAum: withAum > 0 ? Math.round(aum / withAum) : null,
+                    hhi: this.concentration(members).hhi
+                };
+            })
+            .sort((a, b) => (b.aum - a.aum) || (b.count - a.count));
+    }
+
+    /**
+     * How concentrated AUM is among managers: { withAum, hhi, level, top5Share, topManagers }
+     * (hhi and level are null when no manager reports AUM)
+     */
+    concentration(entities) {
+        const managers = entities.filter(entity => entity.aum !== null).sort((a, b) => b.aum - a.aum);
+        const total = this.sum(managers);
+        if (total === 0) {
+            return { withAum: 0, hhi: null, level: null, top5Share: null, topManagers: [] };
+        }
+
+        const hhi = Math.round(managers.reduce((index, entity) => index + (100 * entity.aum / total) ** 2, 0));
+        return {
+            withAum: managers.length,
+            hhi,
+            level: this.concentrationLevel(hhi),
+            top5Share: this.round(this.sum(managers.slice(0, 5)) / total),
+            topManagers: managers.slice(0, 5).map(entity => ({
+                id: entity.id,
+                name: entity.name,
+                aum: entity.aum,
+                share: this.round(entity.aum / total)
+            }))
+        };
+    }
+
+    /**
+     * HHI of the AUM shares in a breakdown (how concentrated AUM is across sectors or regions)
+     */
+    shareIndex(breakdown) {
+        if (!breakdown.some(row => row.aumShare > 0)) return { hhi: null, level: null };
+
+        const hhi = Math.round(breakdown.reduce((index, row) => index + (100 * row.aumShare) ** 2, 0));
+        return { hhi, level: this.concentrationLevel(hhi) };
+    }
+
+    concentrationLevel(hhi) {
+        if (hhi >= HHI_HIGH) return 'highly concentrated';
+        if (hhi >= HHI_MODERATE) return 'moderately concentrated';
+        return 'unconcentrated';
+    }
+
+    groupBy(entities, keyOf) {
+        const key = typeof keyOf === 'function' ? keyOf : entity => (keyOf ? entity[keyOf] : 'All');
+        const groups = new Map();
+        for (const entity of entities) {
+            const value = key(entity);
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(entity);
+        }
+        return groups;
+    }
+
+    sum(entities) {
+        return entities.reduce((total, entity) => total + (entity.aum || 0), 0);
+    }
+
+    percent(share) {
+        return `${Math.round(share * 100)}%`;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+MarketAnalytics.REGIONS = Object.keys(REGIONS);
+
+module.exports = MarketAnalytics;
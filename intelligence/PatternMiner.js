@@ -0,0 +1,495 @@
+/**
+ * Pattern Miner
+ * Frequent-pattern mining over the knowledge graph, behind KnowledgeStore.discoverPatterns:
+ *
+ *  - investment    co-investment itemsets: investors found together on the same assets and deals (Apriori)
+ *  - behavioral    co-investment rules: when one set of investors commits, another follows
+ *  - temporal      vintage clusters: founding or deal years concentrated in a window, overall and per sector
+ *  - geographical  countries over-represented in a sector, and in an investor's portfolio
+ *  - sector        sectors over-represented in an investor's portfolio
+ *
+ * Each pattern reports `count`, `support` (share of the population it was mined from; for portfolio
+ * concentrations, of the investor's portfolio), `lift` (observed over expected under independence)
+ * and `significance` (one-sided confidence, by normal approximation, that the count beats chance).
+ * Patterns seen fewer than twice, below `minSupport`, or no more frequent than chance are dropped.
+ */
+
+const winston = require('winston');
+
+const PATTERN_TYPES = ['investment', 'behavioral', 'temporal', 'geographical', 'sector'];
+
+// Relationships whose target is an asset or deal the source invested in
+const INVESTMENT_RELATIONSHIPS = ['INVESTS_IN', 'PARTICIPATES_IN'];
+
+// A pattern must be observed at least this many times, whatever its support
+const MIN_PATTERN_COUNT = 2;
+
+class PatternMiner {
+    constructor(graphDb, config) {
+        this.graphDb = graphDb;
+        this.settings = {
+            minPatternSupport: 0.05,
+            maxPatternLength: 5,
+            confidenceThreshold: 0.7,
+            vintageWindow: 5,
+            ...config.intelligence.patternDetection
+        };
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.simple(),
+            defaultMeta: { service: 'pattern-miner' },
+            transports: [new winston.transports.Console()]
+        });
+    }
+
+    /**
+     * Requested pattern types; by default every type not switched off in patternDetection
+     * (temporalPatterns, spatialPatterns, behavioralPatterns). Unknown names are a 400.
+     */
+    resolveTypes(types) {
+        if (!types || types.length === 0) {
+            const disabled = {
+                temporal: this.settings.temporalPatterns === false,
+                geographical: this.settings.spatialPatterns === false,
+                behavioral: this.settings.behavioralPatterns === false
+            };
+            return PATTERN_TYPES.filter(type => !disabled[type]);
+        }
+
+        const unknown = types.filter(type => !PATTERN_TYPES.includes(type));
+        if (unknown.length > 0) {
+            const error = new Error(`Unknown pattern types: ${unknown.join(', ')} (expected ${PATTERN_TYPES.join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+        return types;
+    }
+
+    /**
+     * Everything the miners read, loaded in one pass: entities by id, each investor's portfolio
+     * (investorId -> Set of target ids) and each target's investors (the co-investment baskets)
+     */
+    async loadSnapshot() {
+        const entities = [];
+        for await (const entity of this.graphDb.iterateEntities()) {
+            entities.push(entity);
+        }
+
+        const relationships = [];
+        for await (const relationship of this.graphDb.iterateRelationships({ types: INVESTMENT_RELATIONSHIPS })) {
+            relationships.push(relationship);
+        }
+
+        return this.buildSnapshot(entities, relationships);
+    }
+
+    /**
+     * Snapshot of a given subgraph, such as query results; relationships ({ type, from, to })
+     * other than investments are ignored
+     */
+    buildSnapshot(entities, relationships) {
+        const snapshot = {
+            entities: new Map(entities.map(entity => [entity.id, entity])),
+            portfolios: new Map(),
+            baskets: new Map()
+        };
+
+        for (const { type, from, to } of relationships) {
+            if (!INVESTMENT_RELATIONSHIPS.includes(type) || !from || !to || from.id === to.id) continue;
+            if (!snapshot.portfolios.has(from.id)) snapshot.portfolios.set(from.id, new Set());
+            if (!snapshot.baskets.has(to.id)) snapshot.baskets.set(to.id, new Set());
+            snapshot.portfolios.get(from.id).add(to.id);
+            snapshot.baskets.get(to.id).add(from.id);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Sets of two or more investors found together on at least minSupport of all assets and deals
+     */
+    coInvestmentPatterns(snapshot, options = {}) {
+        const { itemsets, total } = this.frequentItemsets(snapshot.baskets, this.minSupport(options));
+        const patterns = [];
+
+        for (const [key, count] of itemsets) {
+            const items = key.split('|');
+            if (items.length < 2) continue;
+
+            const expected = items.reduce((share, item) => share * itemsets.get(item) / total, 1);
+            const lift = (count / total) / expected;
+            if (lift <= 1) continue;
+
+            const names = items.map(id => this.nameOf(snapshot, id));
+            patterns.push(this.pattern('investment', 'co_investment', {
+                description: `${names.join(', ')} invested together in ${count} of ${total} assets and deals`,
+                entities: items.map(id => this.describeEntity(snapshot, id)),
+                count,
+                support: count / total,
+                lift,
+                significance: this.significance(count, total, expected)
+            }));
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Rules "when investors A commit, investor B joins" from the frequent co-investment itemsets,
+     * kept when their confidence reaches patternDetection.confidenceThreshold
+     */
+    coInvestmentRules(snapshot, options = {}) {
+        const { itemsets, total } = this.frequentItemsets(snapshot.baskets, this.minSupport(options));
+        const patterns = [];
+
+        for (const [key, count] of itemsets) {
+            const items = key.split('|');
+            if (items.length < 2) continue;
+
+            for (const consequent of items) {
+                const antecedent = items.filter(item => item !== consequent);
+                const antecedentCount = itemsets.get(antecedent.join('|'));
+                const consequentShare = itemsets.get(consequent) / total;
+
+                const confidence = count / antecedentCount;
+                const lift = confidence / consequentShare;
+                if (confidence < this.settings.confidenceThreshold || lift <= 1) continue;
+
+                const leaders = antecedent.map(id => this.nameOf(snapshot, id)).join(' and ');
+                patterns.push(this.pattern('behavioral', 'co_investment_rule', {
+                    description: `When ${leaders} invest${antecedent.length === 1 ? 's' : ''}, ${this.nameOf(snapshot, consequent)} joins ${this.percent(confidence)} of the time`,
+                    entities: items.map(id => this.describeEntity(snapshot, id)),
+                    antecedent: antecedent.map(id => this.describeEntity(snapshot, id)),
+                    consequent: this.describeEntity(snapshot, consequent),
+                    count,
+                    support: count / total,
+                    confidence,
+                    lift,
+                    significance: this.significance(count, antecedentCount, consequentShare)
+                }));
+            }
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Vintage windows (patternDetection.vintageWindow years) holding more founding or deal years
+     * than an even spread would, across all dated entities and within each sector
+     */
+    vintagePatterns(snapshot, options = {}) {
+        const window = this.settings.vintageWindow;
+        const dated = [];
+        for (const entity of snapshot.entities.values()) {
+            const year = this.vintageOf(entity);
+            if (year) dated.push({ entity, vintage: Math.floor(year / window) * window });
+        }
+        if (dated.length === 0) return [];
+
+        const minSupport = this.minSupport(options);
+        const total = dated.length;
+        const vintages = this.countBy(dated, ({ vintage }) => vintage);
+        const span = (Math.max(...vintages.keys()) - Math.min(...vintages.keys())) / window + 1;
+        const label = vintage => `${vintage}–${vintage + window - 1}`;
+        const patterns = [];
+
+        // Overall clusters, against an even spread over the observed years
+        for (const [vintage, count] of vintages) {
+            const support = count / total;
+            const lift = support * span;
+            if (count < MIN_PATTERN_COUNT || support < minSupport || lift <= 1) continue;
+
+            patterns.push(this.pattern('temporal', 'vintage_cluster', {
+                description: `${this.percent(support)} of dated entities (${count}) have a ${label(vintage)} vintage`,
+                vintage: label(vintage),
+                entities: [],
+                count,
+                support,
+                lift,
+                significance: this.significance(count, total, 1 / span)
+            }));
+        }
+
+        // Per-sector clusters, against the overall vintage mix
+        const groupOf = ({ entity }) => entity.sector || entity.type;
+        const groups = this.countBy(dated, groupOf);
+        const pairs = this.countBy(dated, item => `${groupOf(item)}|${item.vintage}`);
+
+        for (const [key, count] of pairs) {
+            const [group, vintage] = [key.slice(0, key.lastIndexOf('|')), Number(key.slice(key.lastIndexOf('|') + 1))];
+            const share = vintages.get(vintage) / total;
+            const confidence = count / groups.get(group);
+            const lift = confidence / share;
+            if (count < MIN_PATTERN_COUNT || count / total < minSupport || lift <= 1) continue;
+
+            patterns.push(this.pattern('temporal', 'vintage_cluster', {
+                description: `${this.percent(confidence)} of ${group} entities have a ${label(vintage)} vintage (${this.times(lift)} the overall rate)`,
+                group,
+                vintage: label(vintage),
+                entities: [],
+                count,
+                support: count / total,
+                confidence,
+                lift,
+                significance: this.significance(count, groups.get(group), share)
+            }));
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Countries over-represented among a sector's entities, and in investors' portfolios
+     */
+    geographicPatterns(snapshot, options = {}) {
+        const minSupport = this.minSupport(options);
+        const located = Array.from(snapshot.entities.values()).filter(entity => entity.sector && entity.country);
+        const patterns = [];
+
+        if (located.length > 0) {
+            const total = located.length;
+            const sectors = this.countBy(located, entity => entity.sector);
+            const countries = this.countBy(located, entity => entity.country);
+            const pairs = this.countBy(located, entity => `${entity.sector}|${entity.country}`);
+
+            for (const [key, count] of pairs) {
+                const [sector, country] = key.split('|');
+                const share = countries.get(country) / total;
+                const confidence = count / sectors.get(sector);
+                const lift = confidence / share;
+                if (count < MIN_PATTERN_COUNT || count / total < minSupport || lift <= 1) continue;
+
+                patterns.push(this.pattern('geographical', 'geographic_concentration', {
+                    description: `${this.percent(confidence)} of ${sector} entities are in ${country} (${this.times(lift)} the overall rate)`,
+                    sector,
+                    country,
+                    entities: [],
+                    count,
+                    support: count / total,
+                    confidence,
+                    lift,
+                    significance: this.significance(count, sectors.get(sector), share)
+                }));
+            }
+        }
+
+        return [
+            ...patterns,
+            ...this.portfolioConcentrations(snapshot, 'country', 'geographical', minSupport)
+        ];
+    }
+
+    /**
+     * Sectors over-represented in investors' portfolios
+     */
+    sectorPatterns(snapshot, options = {}) {
+        return this.portfolioConcentrations(snapshot, 'sector', 'sector', this.minSupport(options));
+    }
+
+    /**
+     * All patterns best first: most significant, then highest lift, then highest support
+     */
+    rank(patterns, options = {}) {
+        const ranked = Object.values(patterns)
+            .flat()
+            .sort((a, b) =>
+                (b.significance - a.significance) ||
+                (b.lift - a.lift) ||
+                (b.support - a.support) ||
+                (b.count - a.count)
+            );
+
+        return options.limit ? ranked.slice(0, options.limit) : ranked;
+    }
+
+    // Private helpers
+
+    /**
+     * Apriori over the baskets: every itemset (sorted ids joined by "|") found in at least
+     * minSupport of them, up to patternDetection.maxPatternLength items, with its count
+     */
+    frequentItemsets(baskets, minSupport) {
+        const transactions = Array.from(baskets.values()).map(basket => Array.from(basket).sort());
+        const total = transactions.length;
+        const minCount = Math.max(MIN_PATTERN_COUNT, Math.ceil(minSupport * total));
+        const itemsets = new Map();
+
+        let frequent = Array.from(this.countBy(transactions.flat(), item => item))
+            .filter(([, count]) => count >= minCount)
+            .map(([item, count]) => {
+                itemsets.set(item, count);
+                return [item];
+            })
+            .sort();
+
+        for (let size = 2; size <= this.settings.maxPatternLength && frequent.length > 1; size++) {
+            const candidates = this.joinItemsets(frequent, itemsets);
+            if (candidates.length === 0) break;
+
+            const counts = new Map(candidates.map(candidate => [candidate.join('|'), 0]));
+            for (const transaction of transactions) {
+                if (transaction.length < size) continue;
+                const items = new Set(transaction);
+                for (const candidate of candidates) {
+                    if (candidate.every(item => items.has(item))) {
+                        const key = candidate.join('|');
+                        counts.set(key, counts.get(key) + 1);
+                    }
+                }
+            }
+
+            frequent = [];
+            for (const candidate of candidates) {
+                const count = counts.get(candidate.join('|'));
+                if (count < minCount) continue;
+                itemsets.set(candidate.join('|'), count);
+                frequent.push(candidate);
+            }
+        }
+
+        return { itemsets, total };
+    }
+
+    /**
+     * Candidate itemsets one item longer: pairs of frequent itemsets sharing all but their last
+     * item, kept only when every subset is frequent
+     */
+    joinItemsets(frequent, itemsets) {
+        const candidates = [];
+
+        for (let i = 0; i < frequent.length; i++) {
+            for (let j = i + 1; j < frequent.length; j++) {
+                const a = frequent[i];
+                const b = frequent[j];
+                if (a.slice(0, -1).join('|') !== b.slice(0, -1).join('|')) continue;
+
+                const candidate = [...a, b[b.length - 1]].sort();
+                const subsetsFrequent = candidate.every((_, index) =>
+                    itemsets.has(candidate.filter((__, other) => other !== index).join('|'))
+                );
+                if (subsetsFrequent) candidates.push(candidate);
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Values of a target property an investor holds more of than the market as a whole
+     */
+    portfolioConcentrations(snapshot, property, type, minSupport) {
+        const holdings = [];
+        for (const [investorId, targets] of snapshot.portfolios) {
+            for (const targetId of targets) {
+                const value = snapshot.entities.get(targetId)?.[property];
+                if (value) holdings.push({ investorId, value });
+            }
+        }
+        if (holdings.length === 0) return [];
+
+        const total = holdings.length;
+        const market = this.countBy(holdings, holding => holding.value);
+        const portfolioSizes = this.countBy(holdings, holding => holding.investorId);
+        const pairs = this.countBy(holdings, holding => `${holding.investorId}|${holding.value}`);
+        const patterns = [];
+
+        for (const [key, count] of pairs) {
+            const separator = key.indexOf('|');
+            const [investorId, value] = [key.slice(0, separator), key.slice(separator + 1)];
+            const size = portfolioSizes.get(investorId);
+            const share = market.get(value) / total;
+            const support = count / size;
+            const lift = support / share;
+            if (count < MIN_PATTERN_COUNT || support < minSupport || lift <= 1) continue;
+
+            patterns.push(this.pattern(type, 'portfolio_concentration', {
+                description: `${this.nameOf(snapshot, investorId)} holds ${count} of ${size} investments in ${value} (${this.times(lift)} the market rate)`,
+                [property]: value,
+                entities: [this.describeEntity(snapshot, investorId)],
+                count,
+                support,
+                lift,
+                significance: this.significance(count, size, share)
+            }));
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Founding year of a firm, or year of a deal
+     */
+    vintageOf(entity) {
+        for (const value of [entity.foundedYear, entity.founded, entity.foundedDate, entity.year]) {
+            const match = String(value ?? '').match(/\b(1[89]\d\d|20\d\d)\b/);
+            if (match) return Number(match[1]);
+        }
+        return null;
+    }
+
+    /**
+     * One-sided confidence that `count` successes in `trials` beat the expected `share` by chance
+     */
+    significance(count, trials, share) {
+        if (trials === 0 || share >= 1) return 0;
+
+        const expected = trials * share;
+        const deviation = Math.sqrt(trials * share * (1 - share));
+        if (deviation === 0) return count > expected ? 1 : 0;
+
+        return normalCdf((count - expected) / deviation);
+    }
+
+    minSupport(options) {
+        return options.minSupport ?? this.settings.minPatternSupport;
+    }
+
+    pattern(type, pattern, details) {
+        const rounded = {};
+        for (const key of ['support', 'confidence', 'lift', 'significance']) {
+            if (details[key] !== undefined) rounded[key] = Math.round(details[key] * 1000) / 1000;
+        }
+        return { type, pattern, ...details, ...rounded };
+    }
+
+    countBy(items, keyOf) {
+        const counts = new Map();
+        for (const item of items) {
+            const key = keyOf(item);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return counts;
+    }
+
+    nameOf(snapshot, id) {
+        return snapshot.entities.get(id)?.name || id;
+    }
+
+    describeEntity(snapshot, id) {
+        const entity = snapshot.entities.get(id);
+        return { id, name: entity?.name || null, type: entity?.type || null };
+    }
+
+    percent(share) {
+        return `${Math.round(share * 100)}%`;
+    }
+
+    times(lift) {
+        return `${Math.round(lift * 10) / 10}×`;
+    }
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+PatternMiner.PATTERN_TYPES = PATTERN_TYPES;
+
+module.exports = PatternMiner;
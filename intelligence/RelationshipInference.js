@@ -5,6 +5,12 @@
 
 const winston = require('winston');
 
+// Inferred relationships listed in a scoped run's result (the counts cover all of them)
+const MAX_REPORTED_RELATIONSHIPS = 200;
+
+// Relationships from a person to a firm they work at or sit on the board of
+const PERSONNEL_RELATIONSHIPS = ['WORKS_AT', 'BOARD_MEMBER'];
+
 class RelationshipInference {
     constructor(graphDb, sourceIntelligence, config) {
         this.graphDb = graphDb;
@@ -20,6 +26,9 @@ class RelationshipInference {
 
         // Initialize inference patterns
         this.initializeInferencePatterns();
+
+        // The graph only accepts registered relationship types
+        this.registerInferredRelationshipTypes();
         
         // Cache for relationship patterns
         this.patternCache = new Map();
@@ -36,12 +45,10 @@ class RelationshipInference {
                 pattern: 'investment_overlap',
                 minConfidence: 0.7,
                 description: 'Entities that frequently invest in similar assets',
-                queryTemplate: `
-                    MATCH (entity1:Entity)-[:INVESTS_IN]->(asset:Entity)<-[:INVESTS_IN]-(entity2:Entity)
-                    WHERE entity1 <> entity2 AND entity1.type CONTAINS 'Fund' AND entity2.type CONTAINS 'Fund'
-                    RETURN entity1, entity2, count(asset) as overlap_count
-                    ORDER BY overlap_count DESC
-                `
+                findCandidates: (options) => this.findCoInvestmentCandidates(options),
+                findSeededCandidates: (seeds, lookup) => this.findSeededOverlapCandidates(seeds, lookup, {
+                    types: ['INVESTS_IN'], accepts: (source) => this.isFund(source), countKey: 'overlap_count'
+                })
             },
 
             // Geographic clustering
@@ -49,13 +56,8 @@ class RelationshipInference {
                 pattern: 'geographic_affinity',
                 minConfidence: 0.6,
                 description: 'Entities operating in same geographic regions',
-                queryTemplate: `
-                    MATCH (entity1:Entity), (entity2:Entity)
-                    WHERE entity1 <> entity2 
-                    AND entity1.country = entity2.country 
-                    AND entity1.type CONTAINS 'Fund' AND entity2.type CONTAINS 'Fund'
-                    RETURN entity1, entity2, entity1.country as common_geography
-                `
+                findCandidates: (options) => this.findSharedPropertyCandidates('country', 'common_geography', options),
+                findSeededCandidates: (seeds) => this.findSeededSharedPropertyCandidates(seeds, 'country', 'common_geography')
             },
 
             // Sector focus alignment
@@ -63,13 +65,8 @@ class RelationshipInference {
                 pattern: 'sector_focus',
                 minConfidence: 0.65,
                 description: 'Entities with similar sector focus',
-                queryTemplate: `
-                    MATCH (entity1:Entity), (entity2:Entity)
-                    WHERE entity1 <> entity2 
-                    AND entity1.sector = entity2.sector 
-                    AND entity1.type CONTAINS 'Fund' AND entity2.type CONTAINS 'Fund'
-                    RETURN entity1, entity2, entity1.sector as common_sector
-                `
+                findCandidates: (options) => this.findSharedPropertyCandidates('sector', 'common_sector', options),
+                findSeededCandidates: (seeds) => this.findSeededSharedPropertyCandidates(seeds, 'sector', 'common_sector')
             },
 
             // Sequential investment patterns
@@ -77,13 +74,8 @@ class RelationshipInference {
                 pattern: 'sequential_investment',
                 minConfidence: 0.8,
                 description: 'One entity often invests after another',
-                queryTemplate: `
-                    MATCH (leader:Entity)-[r1:INVESTS_IN]->(asset:Entity)<-[r2:INVESTS_IN]-(follower:Entity)
-                    WHERE leader <> follower 
-                    AND r1.created < r2.created
-                    RETURN leader, follower, count(*) as follow_count
-                    ORDER BY follow_count DESC
-                `
+                findCandidates: (options) => this.findFollowOnCandidates(options),
+                findSeededCandidates: (seeds, lookup) => this.findSeededFollowOnCandidates(seeds, lookup)
             },
 
             // People connections
@@ -91,12 +83,8 @@ class RelationshipInference {
                 pattern: 'shared_personnel',
                 minConfidence: 0.85,
                 description: 'Entities sharing key personnel or board members',
-                queryTemplate: `
-                    MATCH (person:Entity)-[:WORKS_AT|BOARD_MEMBER]->(entity1:Entity)
-                    MATCH (person)-[:WORKS_AT|BOARD_MEMBER]->(entity2:Entity)
-                    WHERE entity1 <> entity2 AND person.type = 'Person'
-                    RETURN entity1, entity2, collect(person.name) as shared_people
-                `
+                findCandidates: (options) => this.findSharedPersonnelCandidates(options),
+                findSeededCandidates: (seeds, lookup) => this.findSeededSharedPersonnelCandidates(seeds, lookup)
             },
 
             // Parent-subsidiary relationships
@@ -104,13 +92,8 @@ class RelationshipInference {
                 pattern: 'corporate_hierarchy',
                 minConfidence: 0.9,
                 description: 'Parent-subsidiary or affiliate relationships',
-                queryTemplate: `
-                    MATCH (parent:Entity), (subsidiary:Entity)
-                    WHERE parent <> subsidiary
-                    AND (subsidiary.name CONTAINS parent.name OR parent.name CONTAINS subsidiary.name)
-                    AND parent.type CONTAINS 'Fund' AND subsidiary.type CONTAINS 'Fund'
-                    RETURN parent, subsidiary, 'name_similarity' as evidence
-                `
+                findCandidates: (options) => this.findCorporateStructureCandidates(options),
+                findSeededCandidates: (seeds) => this.findSeededCorporateStructureCandidates(seeds)
             },
 
             // Deal collaboration
@@ -118,18 +101,443 @@ class RelationshipInference {
                 pattern: 'transaction_collaboration',
                 minConfidence: 0.75,
                 description: 'Entities frequently involved in same transactions',
-                queryTemplate: `
-                    MATCH (entity1:Entity)-[:PARTICIPATES_IN]->(transaction:Entity)<-[:PARTICIPATES_IN]-(entity2:Entity)
-                    WHERE entity1 <> entity2 AND transaction.type = 'Transaction'
-                    RETURN entity1, entity2, count(transaction) as collaboration_count
-                    ORDER BY collaboration_count DESC
-                `
+                findCandidates: (options) => this.findDealCollaborationCandidates(options),
+                findSeededCandidates: (seeds, lookup) => this.findSeededOverlapCandidates(seeds, lookup, {
+                    types: ['PARTICIPATES_IN'], accepts: (source, target) => target.type === 'Transaction', countKey: 'collaboration_count'
+                })
+            }
+        };
+    }
+
+    /**
+     * Register every relationship type this engine can write
+     */
+    registerInferredRelationshipTypes() {
+        const patternTypes = Object.keys(this.inferencePatterns)
+            .map(patternName => this.mapPatternToRelationshipType(patternName));
+
+        this.graphDb.relationshipTypes.registerAll([...patternTypes, 'SIMILAR_TO', 'INFERRED_RELATIONSHIP']);
+    }
+
+    // Candidate finders: each returns records shaped { entity1, entity2, ...evidence }
+
+    /**
+     * Funds investing in the same assets
+     */
+    async findCoInvestmentCandidates(options = {}) {
+        const investorsByAsset = await this.groupRelationshipsByTarget(['INVESTS_IN'],
+            rel => this.isFund(rel.from));
+
+        const overlap = new Map();
+        for (const investors of investorsByAsset.values()) {
+            this.forEachPair(investors, (entity1, entity2) => {
+                const key = `${entity1.id}|${entity2.id}`;
+                const record = overlap.get(key) || { entity1, entity2, overlap_count: 0 };
+                record.overlap_count++;
+                overlap.set(key, record);
+            });
+        }
+
+        return Array.from(overlap.values()).sort((a, b) => b.overlap_count - a.overlap_count);
+    }
+
+    /**
+     * Funds sharing a property value (country, sector)
+     */
+    async findSharedPropertyCandidates(property, evidenceKey, options = {}) {
+        const groups = new Map();
+        for await (const entity of this.graphDb.iterateEntities({ typeContains: 'Fund' })) {
+            if (entity[property] == null) continue;
+            if (!groups.has(entity[property])) groups.set(entity[property], []);
+            groups.get(entity[property]).push(entity);
+        }
+
+        const records = [];
+        for (const [value, members] of groups.entries()) {
+            this.forEachPair(members, (entity1, entity2) => {
+                records.push({ entity1, entity2, [evidenceKey]: value });
+            });
+        }
+        return records;
+    }
+
+    /**
+     * Investors that repeatedly enter assets after another investor
+     */
+    async findFollowOnCandidates(options = {}) {
+        const byAsset = new Map();
+        for await (const rel of this.graphDb.iterateRelationships({ types: ['INVESTS_IN'] })) {
+            if (!byAsset.has(rel.to.id)) byAsset.set(rel.to.id, []);
+            byAsset.get(rel.to.id).push(rel);
+        }
+
+        const follows = new Map();
+        for (const investments of byAsset.values()) {
+            for (const first of investments) {
+                for (const second of investments) {
+                    if (first.from.id === second.from.id) continue;
+                    if (!(String(first.relationship.created) < String(second.relationship.created))) continue;
+
+                    const key = `${first.from.id}|${second.from.id}`;
+                    const record = follows.get(key) || { leader: first.from, follower: second.from, follow_count: 0 };
+                    record.follow_count++;
+                    follows.set(key, record);
+                }
+            }
+        }
+
+        return Array.from(follows.values()).sort((a, b) => b.follow_count - a.follow_count);
+    }
+
+    /**
+     * Entities connected through the same people: the same Person node, or the same name under
+     * the same title (see PersonIdentity; each firm lists its people as nodes of their own)
+     */
+    async findSharedPersonnelCandidates(options = {}) {
+        // identity key -> employer id -> { id, employer, person }
+        const employersByKey = new Map();
+        for await (const rel of this.graphDb.iterateRelationships({ types: PERSONNEL_RELATIONSHIPS })) {
+            if (rel.from.type !== 'Person') continue;
+
+            for (const key of this.graphDb.people.keys(rel.from, rel.relationship)) {
+                if (!employersByKey.has(key)) employersByKey.set(key, new Map());
+                employersByKey.get(key).set(rel.to.id, { id: rel.to.id, employer: rel.to, person: rel.from });
+            }
+        }
+
+        const shared = new Map();
+        for (const employers of employersByKey.values()) {
+            this.forEachPair(Array.from(employers.values()), (first, second) => {
+                const key = [first.id, second.id].sort().join('|');
+                const record = shared.get(key) || { entity1: first.employer, entity2: second.employer, shared_people: [] };
+                if (!record.shared_people.includes(first.person.name)) record.shared_people.push(first.person.name);
+                shared.set(key, record);
+            });
+        }
+
+        return Array.from(shared.values());
+    }
+
+    /**
+     * Funds whose names contain one another
+     */
+    async findCorporateStructureCandidates(options = {}) {
+        const funds = [];
+        for await (const entity of this.graphDb.iterateEntities({ typeContains: 'Fund' })) {
+            if (entity.name) funds.push(entity);
+        }
+
+        const records = [];
+        for (const parent of funds) {
+            for (const subsidiary of funds) {
+                if (parent.id !== subsidiary.id && subsidiary.name.includes(parent.name)) {
+                    records.push({ parent, subsidiary, evidence: 'name_similarity' });
+                }
             }
+        }
+        return records;
+    }
+
+    /**
+     * Entities participating in the same transactions
+     */
+    async findDealCollaborationCandidates(options = {}) {
+        const participantsByDeal = await this.groupRelationshipsByTarget(['PARTICIPATES_IN'],
+            rel => rel.to.type === 'Transaction');
+
+        const collaborations = new Map();
+        for (const participants of participantsByDeal.values()) {
+            this.forEachPair(participants, (entity1, entity2) => {
+                const key = `${entity1.id}|${entity2.id}`;
+                const record = collaborations.get(key) || { entity1, entity2, collaboration_count: 0 };
+                record.collaboration_count++;
+                collaborations.set(key, record);
+            });
+        }
+
+        return Array.from(collaborations.values()).sort((a, b) => b.collaboration_count - a.collaboration_count);
+    }
+
+    // Seeded candidate finders: the same records, limited to pairs that include a seed entity and
+    // read from the seeds' neighborhoods rather than the whole graph. Counts (shared assets, deals,
+    // people) still cover every connection of both entities, so they match a whole-graph run.
+
+    /**
+     * Pairs of sources sharing targets through `types` relationships (co-investors, deal
+     * co-participants), with the number of targets they share under `countKey`
+     */
+    async findSeededOverlapCandidates(seeds, lookup, { types, accepts, countKey }) {
+        const targetsOf = async (entity) => (await lookup(entity.id, 'outgoing'))
+            .filter(link => types.includes(link.type) && accepts(entity, link.entity))
+            .map(link => link.entity);
+        const sourcesOf = async (entity) => (await lookup(entity.id, 'incoming'))
+            .filter(link => types.includes(link.type) && accepts(link.entity, entity))
+            .map(link => link.entity);
+
+        const pairs = new Map();
+        for (const seed of seeds) {
+            // The seed as a source: everyone else on its targets
+            for (const target of await targetsOf(seed)) {
+                for (const other of await sourcesOf(target)) {
+                    if (other.id !== seed.id) this.addPair(pairs, seed, other);
+                }
+            }
+
+            // The seed as a target: its sources, pairwise
+            this.forEachPair(await sourcesOf(seed), (entity1, entity2) => this.addPair(pairs, entity1, entity2));
+        }
+
+        const records = [];
+        for (const { entity1, entity2 } of pairs.values()) {
+            const targets = new Set((await targetsOf(entity1)).map(target => target.id));
+            const shared = (await targetsOf(entity2)).filter(target => targets.has(target.id)).length;
+            if (shared > 0) records.push({ entity1, entity2, [countKey]: shared });
+        }
+
+        return records.sort((a, b) => b[countKey] - a[countKey]);
+    }
+
+    /**
+     * Funds sharing a property value with a seed fund. A common value (a country, a sector) is
+     * shared by thousands of funds, so each seed is paired with the maxCandidatesPerSeed closest
+     * to it in AUM (funds without AUM last) rather than whichever the backend returns first.
+     */
+    async findSeededSharedPropertyCandidates(seeds, property, evidenceKey) {
+        const limit = this.config.intelligence.relationshipInference.maxCandidatesPerSeed || 50;
+        const records = [];
+        const seen = new Set();
+
+        // One scan per shared value, however many seeds have it
+        const seedsByValue = new Map();
+        for (const seed of seeds) {
+            if (!this.isFund(seed) || seed[property] == null) continue;
+            if (!seedsByValue.has(seed[property])) seedsByValue.set(seed[property], []);
+            seedsByValue.get(seed[property]).push(seed);
+        }
+
+        for (const [value, valueSeeds] of seedsByValue.entries()) {
+            const nearest = new Map(valueSeeds.map(seed => [seed.id, []]));
+            const keepNearest = (candidates) => candidates.sort((a, b) => (a.distance === b.distance ? 0 : a.distance - b.distance)).slice(0, limit);
+
+            for await (const other of this.graphDb.iterateEntities({ typeContains: 'Fund', [property]: value })) {
+                for (const seed of valueSeeds) {
+                    if (other.id === seed.id) continue;
+
+                    let candidates = nearest.get(seed.id);
+                    candidates.push({ entity: other, distance: this.aumDistance(seed, other) });
+                    if (candidates.length > limit * 2) {
+                        candidates = keepNearest(candidates);
+                        nearest.set(seed.id, candidates);
+                    }
+                }
+            }
+
+            for (const seed of valueSeeds) {
+                for (const { entity: other } of keepNearest(nearest.get(seed.id))) {
+                    const key = [seed.id, other.id].sort().join('|');
+                    if (seen.has(key)) continue;
+
+                    seen.add(key);
+                    records.push({ entity1: seed, entity2: other, [evidenceKey]: value });
+                }
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * How far apart two funds are in size: the log of their AUM ratio, Infinity if either has none
+     */
+    aumDistance(entity1, entity2) {
+        const aum1 = Number(entity1.aum);
+        const aum2 = Number(entity2.aum);
+        if (!(aum1 > 0) || !(aum2 > 0)) return Infinity;
+        return Math.abs(Math.log(aum1 / aum2));
+    }
+
+    /**
+     * Investors entering a seed's assets after one another (or the seed asset's investors)
+     */
+    async findSeededFollowOnCandidates(seeds, lookup) {
+        const investmentsOf = async (entity) => new Map((await lookup(entity.id, 'outgoing'))
+            .filter(link => link.type === 'INVESTS_IN')
+            .map(link => [link.entity.id, link.relationship.created]));
+        const investorsOf = async (entity) => (await lookup(entity.id, 'incoming'))
+            .filter(link => link.type === 'INVESTS_IN')
+            .map(link => link.entity);
+
+        const pairs = new Map();
+        for (const seed of seeds) {
+            for (const assetId of (await investmentsOf(seed)).keys()) {
+                for (const other of await investorsOf({ id: assetId })) {
+                    if (other.id !== seed.id) this.addPair(pairs, seed, other);
+                }
+            }
+            this.forEachPair(await investorsOf(seed), (entity1, entity2) => this.addPair(pairs, entity1, entity2));
+        }
+
+        const records = [];
+        for (const { entity1, entity2 } of pairs.values()) {
+            const first = await investmentsOf(entity1);
+            const second = await investmentsOf(entity2);
+
+            for (const [leader, follower, leads, follows] of [[entity1, entity2, first, second], [entity2, entity1, second, first]]) {
+                let follow_count = 0;
+                for (const [assetId, created] of leads) {
+                    if (follows.has(assetId) && String(created) < String(follows.get(assetId))) follow_count++;
+                }
+                if (follow_count > 0) records.push({ leader, follower, follow_count });
+            }
+        }
+
+        return records.sort((a, b) => b.follow_count - a.follow_count);
+    }
+
+    /**
+     * Entities sharing people with a seed entity (or a seed person's employers, pairwise).
+     * People match across firms by PersonIdentity, so a person's namesakes are looked up by name.
+     */
+    async findSeededSharedPersonnelCandidates(seeds, lookup) {
+        const limit = this.config.intelligence.relationshipInference.maxCandidatesPerSeed || 50;
+        const people = this.graphDb.people;
+
+        const peopleOf = async (entity) => (await lookup(entity.id, 'incoming'))
+            .filter(link => PERSONNEL_RELATIONSHIPS.includes(link.type) && link.entity.type === 'Person');
+        const employersOf = async (person) => (await lookup(person.id, 'outgoing'))
+            .filter(link => PERSONNEL_RELATIONSHIPS.includes(link.type));
+        // Every firm listing the same person as `person` does through `relationship`
+        const firmsSharing = async (person, relationship) => {
+            const keys = new Set(people.keys(person, relationship));
+            const namesakes = await this.graphDb.findEntities({ type: 'Person', names: [person.name] }, limit);
+
+            const firms = [];
+            for (const namesake of [person, ...namesakes.filter(other => other.id !== person.id)]) {
+                for (const link of await employersOf(namesake)) {
+                    if (people.keys(namesake, link.relationship).some(key => keys.has(key))) firms.push(link.entity);
+                }
+            }
+            return firms;
+        };
+
+        const pairs = new Map();
+        for (const seed of seeds) {
+            if (seed.type === 'Person') {
+                const firms = [];
+                for (const link of await employersOf(seed)) {
+                    firms.push(...await firmsSharing(seed, link.relationship));
+                }
+                this.forEachPair(firms, (entity1, entity2) => this.addPair(pairs, entity1, entity2));
+                continue;
+            }
+
+            for (const link of await peopleOf(seed)) {
+                for (const other of await firmsSharing(link.entity, link.relationship)) {
+                    if (other.id !== seed.id) this.addPair(pairs, seed, other);
+                }
+            }
+        }
+
+        // Identity key -> person name, for each firm of a pair
+        const identitiesOf = async (entity) => new Map((await peopleOf(entity))
+            .flatMap(link => people.keys(link.entity, link.relationship).map(key => [key, link.entity.name])));
+
+        const records = [];
+        for (const { entity1, entity2 } of pairs.values()) {
+            const identities = await identitiesOf(entity1);
+            const shared_people = [];
+            for (const [key, name] of await identitiesOf(entity2)) {
+                if (identities.has(key) && !shared_people.includes(name)) shared_people.push(name);
+            }
+            if (shared_people.length > 0) records.push({ entity1, entity2, shared_people });
+        }
+
+        return records;
+    }
+
+    /**
+     * Funds whose names contain a seed fund's name, or are contained in it (parents are looked
+     * up by the first word of the seed's name)
+     */
+    async findSeededCorporateStructureCandidates(seeds) {
+        const records = [];
+        const seen = new Set();
+        const add = (parent, subsidiary) => {
+            const key = `${parent.id}|${subsidiary.id}`;
+            if (parent.id === subsidiary.id || seen.has(key)) return;
+            seen.add(key);
+            records.push({ parent, subsidiary, evidence: 'name_similarity' });
+        };
+
+        for (const seed of seeds) {
+            if (!this.isFund(seed) || !seed.name) continue;
+
+            const [brand] = seed.name.trim().split(/\s+/);
+            const similar = await this.graphDb.searchEntities([seed.name, brand], { fields: ['name'], limit: 1000 });
+
+            for (const other of similar.filter(entity => this.isFund(entity) && entity.name)) {
+                if (other.name.includes(seed.name)) add(seed, other);
+                if (seed.name.includes(other.name)) add(other, seed);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Record an unordered pair once: key -> { entity1, entity2 }
+     */
+    addPair(pairs, entity1, entity2) {
+        const key = [entity1.id, entity2.id].sort().join('|');
+        if (!pairs.has(key)) pairs.set(key, { entity1, entity2 });
+    }
+
+    /**
+     * Relationships of an entity in one direction, read once per inference run
+     */
+    createNeighborLookup() {
+        const cache = new Map();
+        return (entityId, direction) => {
+            const key = `${entityId}|${direction}`;
+            if (!cache.has(key)) cache.set(key, this.graphDb.findRelationships(entityId, null, direction));
+            return cache.get(key);
         };
     }
 
     /**
-     * Infer all relationships for the knowledge graph
+     * Group relationship sources by target entity: targetId -> [source entities]
+     */
+    async groupRelationshipsByTarget(types, predicate) {
+        const groups = new Map();
+        for await (const rel of this.graphDb.iterateRelationships({ types })) {
+            if (!predicate(rel)) continue;
+            if (!groups.has(rel.to.id)) groups.set(rel.to.id, new Map());
+            groups.get(rel.to.id).set(rel.from.id, rel.from);
+        }
+
+        return new Map(Array.from(groups.entries()).map(([id, sources]) => [id, Array.from(sources.values())]));
+    }
+
+    /**
+     * Visit each unordered pair of distinct entities once
+     */
+    forEachPair(entities, visit) {
+        for (let i = 0; i < entities.length; i++) {
+            for (let j = i + 1; j < entities.length; j++) {
+                if (entities[i].id !== entities[j].id) {
+                    visit(entities[i], entities[j]);
+                }
+            }
+        }
+    }
+
+    isFund(entity) {
+        return typeof entity.type === 'string' && entity.type.includes('Fund');
+    }
+
+    /**
+     * Infer all relationships for the knowledge graph. The whole-graph pattern queries are
+     * quadratic on large graphs; runScoped covers the same ground seed batch by seed batch.
      */
     async inferAllRelationships(options = {}) {
         const results = {
@@ -173,6 +581,241 @@ class RelationshipInference {
         }
     }
 
+    /**
+     * Infer relationships touching the given entities only (e.g. just added): every pattern runs
+     * over the entities' neighborhoods instead of the whole graph. A failing pattern is logged
+     * and reported in `errors`; the others still run.
+     */
+    async inferForEntities(entityIds, options = {}) {
+        const seeds = entityIds.length > 0 ? await this.graphDb.getEntities([...new Set(entityIds)]) : [];
+        const results = await this.inferAroundSeeds(seeds, options);
+
+        this.logger.info(`✅ Inferred ${results.successfulInferences} relationships around ${results.seeds} entities`);
+        return results;
+    }
+
+    /**
+     * Run the seeded form of each pattern (options.patterns, default all) around seed entities
+     */
+    async inferAroundSeeds(seeds, options = {}) {
+        const results = {
+            seeds: seeds.length,
+            totalInferences: 0,
+            successfulInferences: 0,
+            failedInferences: 0,
+            relationshipTypes: {},
+            relationships: [],
+            errors: [],
+            processingTime: Date.now()
+        };
+
+        if (seeds.length > 0) {
+            const lookup = this.createNeighborLookup();
+
+            for (const patternName of options.patterns || Object.keys(this.inferencePatterns)) {
+                try {
+                    const patternResults = await this.inferRelationshipsByPattern(patternName, { ...options, seeds, lookup });
+
+                    results.totalInferences += patternResults.candidates.length;
+                    results.successfulInferences += patternResults.successful;
+                    results.failedInferences += patternResults.failed;
+                    results.relationshipTypes[patternName] = patternResults.successful;
+                    results.relationships.push(...patternResults.relationships.map(relationship => this.summarizeRelationship(relationship, patternName)));
+                } catch (error) {
+                    results.errors.push({ pattern: patternName, error: error.message });
+                }
+            }
+        }
+
+        results.processingTime = Date.now() - results.processingTime;
+        return results;
+    }
+
+    /**
+     * Inference patterns a run can be limited to
+     */
+    getPatterns() {
+        return Object.entries(this.inferencePatterns).map(([name, pattern]) => ({
+            name,
+            description: pattern.description,
+            minConfidence: pattern.minConfidence
+        }));
+    }
+
+    /**
+     * Scoped, resumable inference. Seeds are `entityIds`, the entities changed in a time window
+     * (`since`, optional `until`), both, or else every entity; they are taken `batchSize` at a
+     * time in id order and each batch runs the seeded patterns (`patterns`, default all).
+     * A call stops after `maxBatches` batches and returns a `cursor`: pass it back, alone or with
+     * a new batchSize / maxBatches, to continue after the last seed processed. The cursor is null
+     * once every seed has been processed.
+     */
+    async runScoped(options = {}) {
+        const settings = this.config.intelligence.relationshipInference;
+        const startTime = Date.now();
+
+        const { scope, after } = options.cursor ? this.decodeCursor(options) : { scope: this.resolveScope(options), after: null };
+        const batchSize = this.positiveInteger(options.batchSize, settings.batchSize || 200, 'batchSize', settings.maxBatchSize || 1000);
+        const maxBatches = this.positiveInteger(options.maxBatches, settings.maxBatchesPerRun || 10, 'maxBatches');
+
+        try {
+            const filters = {
+                ...(scope.entityIds && { ids: scope.entityIds }),
+                ...(scope.since && { updatedAfter: scope.since }),
+                ...(scope.until && { updatedBefore: scope.until })
+            };
+
+            const results = {
+                scope,
+                batches: 0,
+                seeds: 0,
+                totalInferences: 0,
+                successfulInferences: 0,
+                failedInferences: 0,
+                relationshipTypes: {},
+                relationships: [],
+                errors: [],
+                cursor: null,
+                done: false,
+                processingTime: 0
+            };
+
+            let lastId = after;
+            while (results.batches < maxBatches) {
+                const seeds = await this.graphDb.findEntities({ ...filters, ...(lastId && { idAfter: lastId }) }, batchSize, { orderBy: 'id' });
+                if (seeds.length === 0) {
+                    results.done = true;
+                    break;
+                }
+
+                const batch = await this.inferAroundSeeds(seeds, { patterns: scope.patterns });
+                lastId = seeds[seeds.length - 1].id;
+
+                results.batches++;
+                results.seeds += batch.seeds;
+                results.totalInferences += batch.totalInferences;
+                results.successfulInferences += batch.successfulInferences;
+                results.failedInferences += batch.failedInferences;
+                for (const [patternName, count] of Object.entries(batch.relationshipTypes)) {
+                    results.relationshipTypes[patternName] = (results.relationshipTypes[patternName] || 0) + count;
+                }
+                results.relationships.push(...batch.relationships.slice(0, MAX_REPORTED_RELATIONSHIPS - results.relationships.length));
+                results.errors.push(...batch.errors.map(error => ({ ...error, after: lastId })));
+
+                if (seeds.length < batchSize) {
+                    results.done = true;
+                    break;
+                }
+            }
+
+            results.cursor = results.done ? null : this.encodeCursor(scope, lastId);
+            results.processingTime = Date.now() - startTime;
+
+            this.logger.info(`✅ Scoped inference: ${results.successfulInferences} relationships around ${results.seeds} entities in ${results.batches} batches${results.done ? '' : ' (more to go)'}`);
+            return results;
+
+        } catch (error) {
+            this.logger.error('❌ Failed to run scoped relationship inference:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validated scope of a new run: { entityIds?, since?, until?, patterns }
+     */
+    resolveScope(options) {
+        const scope = {};
+
+        if (options.entityIds !== undefined) {
+            if (!Array.isArray(options.entityIds) || options.entityIds.length === 0 || !options.entityIds.every(id => typeof id === 'string' && id)) {
+                throw this.scopeError('entityIds must be a non-empty array of entity ids');
+            }
+            scope.entityIds = [...new Set(options.entityIds)];
+        }
+
+        for (const field of ['since', 'until']) {
+            if (options[field] === undefined) continue;
+            const time = Date.parse(options[field]);
+            if (Number.isNaN(time)) {
+                throw this.scopeError(`${field} must be an ISO date, got: ${options[field]}`);
+            }
+            scope[field] = new Date(time).toISOString();
+        }
+
+        if (scope.since && scope.until && scope.since >= scope.until) {
+            throw this.scopeError('since must be before until');
+        }
+
+        if (options.patterns !== undefined && (!Array.isArray(options.patterns) || options.patterns.length === 0)) {
+            throw this.scopeError('patterns must be a non-empty array of pattern names');
+        }
+
+        const patterns = options.patterns || Object.keys(this.inferencePatterns);
+        const unknown = patterns.filter(name => !this.inferencePatterns[name]);
+        if (unknown.length > 0) {
+            throw this.scopeError(`Unknown inference pattern(s): ${unknown.join(', ')}. Known: ${Object.keys(this.inferencePatterns).join(', ')}`);
+        }
+        scope.patterns = [...new Set(patterns)];
+
+        return scope;
+    }
+
+    /**
+     * Cursors are opaque to callers: the run's scope and the last seed id processed
+     */
+    encodeCursor(scope, after) {
+        return Buffer.from(JSON.stringify({ scope, after })).toString('base64url');
+    }
+
+    decodeCursor(options) {
+        if (['entityIds', 'since', 'until', 'patterns'].some(field => options[field] !== undefined)) {
+            throw this.scopeError('A cursor carries its own scope; pass it without entityIds, since, until or patterns');
+        }
+
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(options.cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            decoded = null;
+        }
+
+        if (!decoded || typeof decoded.scope !== 'object' || typeof decoded.after !== 'string') {
+            throw this.scopeError('Invalid inference cursor');
+        }
+
+        // Re-validate: the patterns may have changed since the cursor was issued
+        return { scope: this.resolveScope(decoded.scope), after: decoded.after };
+    }
+
+    positiveInteger(value, fallback, name, max = Infinity) {
+        if (value === undefined || value === null) return fallback;
+
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1 || number > max) {
+            throw this.scopeError(`${name} must be a positive integer${max < Infinity ? ` up to ${max}` : ''}`);
+        }
+        return number;
+    }
+
+    scopeError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    /**
+     * An inferred relationship as reported to callers (entities by id and name)
+     */
+    summarizeRelationship(relationship, patternName) {
+        return {
+            type: relationship.type,
+            from: { id: relationship.from.id, name: relationship.from.name },
+            to: { id: relationship.to.id, name: relationship.to.name },
+            confidence: relationship.confidence,
+            pattern: patternName
+        };
+    }
+
     /**
      * Infer relationships using a specific pattern
      */
@@ -191,12 +834,14 @@ class RelationshipInference {
         };
 
         try {
-            // Execute the pattern query
-            const queryResult = await this.graphDb.executeCustomQuery(pattern.queryTemplate);
-            results.candidates = queryResult.records;
+            // Collect candidate pairs for the pattern, around the seed entities when given
+            const candidates = options.seeds
+                ? await pattern.findSeededCandidates(options.seeds, options.lookup || this.createNeighborLookup())
+                : await pattern.findCandidates(options);
+            results.candidates = candidates;
 
             // Process each candidate relationship
-            for (const record of queryResult.records) {
+            for (const record of candidates) {
                 try {
                     const relationship = await this.processRelationshipCandidate(
                         record, 
@@ -205,7 +850,9 @@ class RelationshipInference {
                         options
                     );
 
-                    if (relationship && relationship.confidence >= pattern.minConfidence) {
+                    // minConfidence applies to the pattern's evidence: the relationship's own confidence is
+                    // the inference source's authority, the same for every pattern
+                    if (relationship && relationship.metadata.evidenceConfidence >= pattern.minConfidence) {
                         // Create the relationship in the graph
                         await this.createInferredRelationship(relationship);
                         results.relationships.push(relationship);
@@ -268,7 +915,8 @@ class RelationshipInference {
 
             case 'PEOPLE_NETWORK':
                 const sharedPeople = record.shared_people || [];
-                confidence = Math.min(0.95, 0.7 + (sharedPeople.length * 0.05));
+                // One shared person meets the pattern's minimum; each further one adds to it
+                confidence = Math.min(0.95, 0.8 + (sharedPeople.length * 0.05));
                 evidence.push(`Share ${sharedPeople.length} key personnel`);
                 break;
 
@@ -296,12 +944,14 @@ class RelationshipInference {
         }];
 
         // Create weighted relationship using source intelligence
-        return this.sourceIntelligence.createWeightedRelationship(
+        const relationship = this.sourceIntelligence.createWeightedRelationship(
             entity1,
             entity2,
             this.mapPatternToRelationshipType(patternName),
             sources
         );
+        relationship.metadata.evidenceConfidence = confidence;
+        return relationship;
     }
 
     /**
@@ -326,26 +976,15 @@ class RelationshipInference {
      */
     async createInferredRelationship(relationship) {
         try {
-            // Check if relationship already exists
-            const existingQuery = `
-                MATCH (from:Entity {id: $fromId})-[r]-(to:Entity {id: $toId})
-                WHERE type(r) = $relationshipType
-                RETURN r
-            `;
-
-            const existing = await this.graphDb.executeCustomQuery(existingQuery, {
-                fromId: relationship.from.id,
-                toId: relationship.to.id,
-                relationshipType: relationship.type
-            });
+            // Check if relationship already exists (in either direction)
+            const existing = await this.findExistingRelationship(relationship);
 
-            if (existing.records.length > 0) {
+            if (existing) {
                 // Update existing relationship confidence if ours is higher
-                const existingRel = existing.records[0].r;
-                if (relationship.confidence > (existingRel.confidence || 0)) {
-                    await this.updateRelationshipConfidence(existingRel, relationship);
+                if (relationship.confidence > (existing.properties.confidence || 0)) {
+                    await this.updateRelationshipConfidence(existing, relationship);
                 }
-                return existingRel;
+                return existing.properties;
             }
 
             // Create new relationship
@@ -368,24 +1007,30 @@ class RelationshipInference {
         }
     }
 
+    /**
+     * Find an existing relationship of the same type between the two entities
+     */
+    async findExistingRelationship(relationship) {
+        const { from, to, type } = relationship;
+
+        const forward = await this.graphDb.getRelationship(from.id, to.id, type);
+        if (forward) {
+            return { fromId: from.id, toId: to.id, properties: forward };
+        }
+
+        const reverse = await this.graphDb.getRelationship(to.id, from.id, type);
+        if (reverse) {
+            return { fromId: to.id, toId: from.id, properties: reverse };
+        }
+
+        return null;
+    }
+
     /**
      * Update existing relationship confidence
      */
-    async updateRelationshipConfidence(existingRel, newRelationship) {
-        const updateQuery = `
-            MATCH (from:Entity {id: $fromId})-[r]-(to:Entity {id: $toId})
-            WHERE type(r) = $relationshipType
-            SET r.confidence = $confidence,
-                r.updated = datetime(),
-                r.sources = $sources,
-                r.metadata = $metadata
-            RETURN r
-        `;
-
-        return await this.graphDb.executeCustomQuery(updateQuery, {
-            fromId: newRelationship.from.id,
-            toId: newRelationship.to.id,
-            relationshipType: newRelationship.type,
+    async updateRelationshipConfidence(existing, newRelationship) {
+        return await this.graphDb.updateRelationship(existing.fromId, existing.toId, newRelationship.type, {
             confidence: newRelationship.confidence,
             sources: JSON.stringify(newRelationship.sources),
             metadata: JSON.stringify(newRelationship.metadata)
@@ -398,31 +1043,11 @@ class RelationshipInference {
     async inferByEntitySimilarity(results, options) {
         this.logger.info('🔍 Inferring relationships by entity similarity...');
 
-        const similarityQuery = `
-            MATCH (e1:Entity), (e2:Entity)
-            WHERE e1 <> e2 
-            AND e1.type = e2.type
-            AND (
-                e1.country = e2.country OR
-                e1.sector = e2.sector OR
-                e1.name CONTAINS e2.name OR
-                e2.name CONTAINS e1.name
-            )
-            RETURN e1, e2, 
-                CASE 
-                    WHEN e1.country = e2.country THEN 1 ELSE 0 END as country_match,
-                CASE 
-                    WHEN e1.sector = e2.sector THEN 1 ELSE 0 END as sector_match,
-                CASE 
-                    WHEN e1.name CONTAINS e2.name OR e2.name CONTAINS e1.name THEN 1 ELSE 0 END as name_similarity
-            LIMIT 1000
-        `;
-
         try {
-            const queryResult = await this.graphDb.executeCustomQuery(similarityQuery);
+            const records = await this.findSimilarityCandidates(1000);
             let similarityInferences = 0;
 
-            for (const record of queryResult.records) {
+            for (const record of records) {
                 const similarity_score = (record.country_match + record.sector_match + record.name_similarity) / 3.0;
                 
                 if (similarity_score >= 0.5) {
@@ -463,6 +1088,37 @@ class RelationshipInference {
         }
     }
 
+    /**
+     * Same-type entity pairs sharing a country, sector or overlapping name
+     */
+    async findSimilarityCandidates(limit) {
+        const byType = new Map();
+        for await (const entity of this.graphDb.iterateEntities()) {
+            if (!byType.has(entity.type)) byType.set(entity.type, []);
+            byType.get(entity.type).push(entity);
+        }
+
+        const records = [];
+        for (const members of byType.values()) {
+            for (const e1 of members) {
+                for (const e2 of members) {
+                    if (records.length >= limit) return records;
+                    if (e1.id === e2.id) continue;
+
+                    const country_match = e1.country != null && e1.country === e2.country ? 1 : 0;
+                    const sector_match = e1.sector != null && e1.sector === e2.sector ? 1 : 0;
+                    const name_similarity = e1.name && e2.name &&
+                        (e1.name.includes(e2.name) || e2.name.includes(e1.name)) ? 1 : 0;
+
+                    if (country_match || sector_match || name_similarity) {
+                        records.push({ e1, e2, country_match, sector_match, name_similarity });
+                    }
+                }
+            }
+        }
+        return records;
+    }
+
     /**
      * Infer relationships by temporal patterns
      */
@@ -507,19 +1163,12 @@ class RelationshipInference {
      * Get recent inferences
      */
     async getRecentInferences() {
-        const query = `
-            MATCH ()-[r]->()
-            WHERE r.inferredAt IS NOT NULL
-            AND r.inferredAt > datetime() - duration({days: 7})
-            RETURN type(r) as relationship_type, count(r) as count
-            ORDER BY count DESC
-            LIMIT 10
-        `;
+        const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
 
         try {
-            const result = await this.graphDb.executeCustomQuery(query);
-            return result.records.map(record => ({
-                relationshipType: record.relationship_type,
+            const result = await this.graphDb.aggregateRelationships(['type'], { inferredAfter: since });
+            return result.slice(0, 10).map(record => ({
+                relationshipType: record.type,
                 count: record.count
             }));
         } catch (error) {
@@ -532,26 +1181,26 @@ class RelationshipInference {
      * Get confidence distribution of inferred relationships
      */
     async getConfidenceDistribution() {
-        const query = `
-            MATCH ()-[r]->()
-            WHERE r.confidence IS NOT NULL AND r.inferredAt IS NOT NULL
-            RETURN 
-                CASE 
-                    WHEN r.confidence >= 0.9 THEN 'High (0.9+)'
-                    WHEN r.confidence >= 0.7 THEN 'Medium-High (0.7-0.9)'
-                    WHEN r.confidence >= 0.5 THEN 'Medium (0.5-0.7)'
-                    ELSE 'Low (<0.5)'
-                END as confidence_bucket,
-                count(r) as count
-            ORDER BY confidence_bucket DESC
-        `;
+        const bucketFor = (confidence) => {
+            if (confidence >= 0.9) return 'High (0.9+)';
+            if (confidence >= 0.7) return 'Medium-High (0.7-0.9)';
+            if (confidence >= 0.5) return 'Medium (0.5-0.7)';
+            return 'Low (<0.5)';
+        };
 
         try {
-            const result = await this.graphDb.executeCustomQuery(query);
-            return result.records.map(record => ({
-                bucket: record.confidence_bucket,
-                count: record.count
-            }));
+            const result = await this.graphDb.aggregateRelationships(['confidence'], { inferred: true });
+
+            const buckets = new Map();
+            for (const record of result) {
+                if (record.confidence == null) continue;
+                const bucket = bucketFor(record.confidence);
+                buckets.set(bucket, (buckets.get(bucket) || 0) + record.count);
+            }
+
+            return Array.from(buckets.entries())
+                .map(([bucket, count]) => ({ bucket, count }))
+                .sort((a, b) => b.bucket.localeCompare(a.bucket));
         } catch (error) {
             this.logger.warn('Could not get confidence distribution:', error.message);
             return [];
@@ -93,6 +93,15 @@ class SourceIntelligence {
             verificationRequired: true
         });
 
+        // Relationships asserted by analysts who checked the underlying documents
+        this.registerSourceType('MANUAL_VERIFICATION', {
+            authority: 0.92,
+            category: 'verified',
+            reliability: 0.95,
+            timeliness: 0.90,
+            verificationRequired: false
+        });
+
         // Internal generated sources
         this.registerSourceType('AI_INFERENCE', {
             authority: 0.65,
@@ -117,9 +126,10 @@ class SourceIntelligence {
     }
 
     /**
-     * Get source authority score
+     * Get source authority score. Non-official sources decay from `observedAt` (when the
+     * information was obtained) if given, otherwise from when the source type was registered.
      */
-    getSourceAuthority(sourceType, sourceId = null) {
+    getSourceAuthority(sourceType, sourceId = null, observedAt = null) {
         const sourceConfig = this.sourceRegistry.get(sourceType);
         if (!sourceConfig) {
             this.logger.warn(`Unknown source type: ${sourceType}`);
@@ -137,7 +147,8 @@ class SourceIntelligence {
 
         // Time decay for non-official sources
         if (sourceConfig.category !== 'official' && sourceConfig.category !== 'regulatory') {
-            const ageDecay = this.calculateTimeDecay(sourceConfig.registeredAt);
+            const observed = observedAt ? new Date(observedAt) : null;
+            const ageDecay = this.calculateTimeDecay(observed && !isNaN(observed) ? observed : sourceConfig.registeredAt);
             authority *= ageDecay;
         }
 
@@ -154,7 +165,8 @@ class SourceIntelligence {
     }
 
     /**
-     * Cross-validate information from multiple sources
+     * Cross-validate information from multiple sources ({ type, agreement, data, timestamp });
+     * each source's authority decays from its timestamp
      */
     async crossValidateInformation(information, sources) {
         const validationKey = this.generateValidationKey(information);
@@ -175,7 +187,7 @@ class SourceIntelligence {
 
         // Calculate cross-validation score
         if (sources.length === 1) {
-            validation.confidence = this.getSourceAuthority(sources[0].type);
+            validation.confidence = this.getSourceAuthority(sources[0].type, null, sources[0].timestamp);
             validation.recommendedAuthority = validation.confidence;
         } else {
             // Multiple source validation
@@ -183,7 +195,7 @@ class SourceIntelligence {
             let weightedAgreement = 0;
 
             for (const source of sources) {
-                const authority = this.getSourceAuthority(source.type);
+                const authority = this.getSourceAuthority(source.type, null, source.timestamp);
                 totalWeight += authority;
                 
                 if (source.agreement) {
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestStore, startAPI } = require('./helpers');
+
+async function setup(t) {
+    const { knowledgeStore } = await createTestStore(t);
+    const request = await startAPI(t, knowledgeStore);
+    const alpha = await knowledgeStore.addEntity({ name: 'Alpha Capital', type: 'Private Equity Firm', country: 'USA', sector: 'Buyout' });
+    return { knowledgeStore, request, alpha };
+}
+
+test('PATCH merges changes and null removes a property', async (t) => {
+    const { request, alpha } = await setup(t);
+
+    const patched = await request('PATCH', `/entities/${alpha.id}`, { city: 'New York', sector: null });
+    assert.equal(patched.status, 200);
+
+    const { body } = await request('GET', `/entities/${alpha.id}`);
+    assert.equal(body.data.entity.city, 'New York');
+    assert.equal(body.data.entity.country, 'USA');
+    assert.equal(body.data.entity.sector, undefined);
+});
+
+test('PATCH rejects an empty body and reports unknown entities', async (t) => {
+    const { request, alpha } = await setup(t);
+
+    assert.equal((await request('PATCH', `/entities/${alpha.id}`, {})).status, 400);
+    assert.equal((await request('PATCH', '/entities/missing', { city: 'London' })).status, 404);
+});
+
+test('DELETE refuses an entity with relationships unless cascading', async (t) => {
+    const { knowledgeStore, request, alpha } = await setup(t);
+    const beta = await knowledgeStore.addEntity({ name: 'Beta Partners', type: 'Private Equity Firm', country: 'UK' });
+    await knowledgeStore.addRelationship(alpha.id, beta.id, 'PARTNERS_WITH');
+
+    assert.equal((await request('DELETE', `/entities/${alpha.id}`)).status, 409);
+
+    const deleted = await request('DELETE', `/entities/${alpha.id}?cascade=true`);
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.body.data, { id: alpha.id, deleted: true, cascade: true });
+
+    assert.equal((await request('GET', `/entities/${alpha.id}`)).status, 404);
+    assert.equal((await request('DELETE', `/entities/${alpha.id}`)).status, 404);
+});
+
+test('PATCH removing an amount clears its conversion, and later patches leave it removed', async (t) => {
+    const { knowledgeStore, request } = await setup(t);
+    const fund = await knowledgeStore.addEntity({ name: 'Euro Fund', type: 'Private Equity Firm', aum: '€10bn' });
+    assert.equal(fund.aumCurrency, 'EUR');
+
+    assert.equal((await request('PATCH', `/entities/${fund.id}`, { aum: null })).status, 200);
+    assert.equal((await request('PATCH', `/entities/${fund.id}`, { city: 'Paris' })).status, 200);
+
+    const { entity } = (await request('GET', `/entities/${fund.id}`)).body.data;
+    assert.equal(entity.city, 'Paris');
+    for (const property of ['aum', 'aumOriginal', 'aumCurrency', 'aumFxRate', 'aumFxAsOf', 'aumNumeric']) {
+        assert.equal(entity[property], undefined, property);
+    }
+});
+
+test('PATCH with a new amount converts it from its own currency', async (t) => {
+    const { knowledgeStore, request } = await setup(t);
+    const fund = await knowledgeStore.addEntity({ name: 'Euro Fund', type: 'Private Equity Firm', aum: '€10bn' });
+
+    const { entity } = (await request('PATCH', `/entities/${fund.id}`, { aum: '$2bn' })).body.data;
+    assert.equal(entity.aum, 2000000000);
+    assert.equal(entity.aumOriginal, 2000000000);
+    assert.equal(entity.aumCurrency, 'USD');
+    assert.equal(entity.aumFxRate, 1);
+    assert.equal(entity.aumNumeric, 2000000000);
+});
@@ -0,0 +1,88 @@
+/**
+ * Test helpers: a knowledge store on the in-memory backend, seed files in a temp directory,
+ * and the API routes on an ephemeral port
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const express = require('express');
+const baseConfig = require('../config/config');
+const createStorageAdapter = require('../core/createStorageAdapter');
+const KnowledgeStore = require('../core/KnowledgeStore');
+const IntelligenceEngine = require('../intelligence/IntelligenceEngine');
+const createAPIRoutes = require('../api/routes');
+
+/**
+ * A temp directory removed when the test ends
+ */
+function tempDirectory(t, prefix = 'pmks-test-') {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * A connected, initialized knowledge store on a fresh in-memory graph.
+ * `overrides` are deep-merged into a copy of the config.
+ */
+async function createTestStore(t, overrides = {}) {
+    const directory = tempDirectory(t);
+    const config = _.merge(_.cloneDeep(baseConfig), {
+        storage: { backend: 'memory' },
+        data: { seedDataPath: path.join(directory, 'seed'), outputPath: path.join(directory, 'output') },
+        ingestion: { jobs: { directory: path.join(directory, 'jobs') }, retryDelay: 1 }
+    }, overrides);
+    fs.mkdirSync(config.data.seedDataPath, { recursive: true });
+
+    const graphDb = createStorageAdapter(config);
+    await graphDb.connect();
+    await graphDb.initializeSchema();
+
+    const intelligenceEngine = new IntelligenceEngine(config);
+    await intelligenceEngine.initialize();
+
+    const knowledgeStore = new KnowledgeStore({ graphDb, intelligenceEngine, config });
+    await knowledgeStore.initialize();
+
+    t.after(() => graphDb.disconnect());
+    return { config, graphDb, knowledgeStore };
+}
+
+/**
+ * Write a seed file (a header line plus CSV rows) into the store's seed directory
+ */
+function writeSeedFile(config, name, lines) {
+    const filePath = path.join(config.data.seedDataPath, name);
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+    return filePath;
+}
+
+/**
+ * The API routes mounted at /api on an ephemeral port: request(method, path, body) -> { status, body }
+ */
+async function startAPI(t, knowledgeStore, services = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createAPIRoutes(knowledgeStore, services));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    return async (method, urlPath, body) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+module.exports = { tempDirectory, createTestStore, writeSeedFile, startAPI };
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestStore } = require('./helpers');
+
+test('a scoped inference run continues from its cursor until every seed is processed', async (t) => {
+    const { graphDb, knowledgeStore } = await createTestStore(t);
+    for (let i = 0; i < 25; i++) {
+        await graphDb.createEntity({
+            id: `F${String(i).padStart(2, '0')}`,
+            name: `Fund ${i}`,
+            type: 'Hedge Fund Manager',
+            country: i % 2 ? 'USA' : 'UK'
+        });
+    }
+
+    const runs = [await knowledgeStore.runRelationshipInference({ batchSize: 10, maxBatches: 1, patterns: ['GEOGRAPHIC_CLUSTERING'] })];
+    while (runs[runs.length - 1].cursor) {
+        runs.push(await knowledgeStore.runRelationshipInference({ cursor: runs[runs.length - 1].cursor }));
+    }
+
+    assert.deepEqual(runs.map(run => run.seeds), [10, 15]);
+    assert.equal(runs[1].done, true);
+    assert.deepEqual(runs[1].scope.patterns, ['GEOGRAPHIC_CLUSTERING']);
+    assert.ok(runs[0].successfulInferences > 0);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTestStore, writeSeedFile } = require('./helpers');
+const SeedDataIngester = require('../ingestion/SeedDataIngester');
+const IngestionJobManager = require('../ingestion/IngestionJobManager');
+
+const HEADER = 'Name,Country,AUM,Key People,Notable Transactions';
+
+test('re-ingesting an unchanged file leaves every entity unchanged', async (t) => {
+    const { config, knowledgeStore } = await createTestStore(t);
+    writeSeedFile(config, 'Private Equity.txt', [
+        HEADER,
+        'Alpha Capital,USA,$5bn,"Jane Roe (CEO), John Doe (CFO)","Acquisition of Widget Co (2019, $1 billion)"',
+        'Beta Partners,UK,£2bn,"Sam Poe - Partner",',
+        'Gamma Equity,Germany,€800m,,'
+    ]);
+
+    const ingester = new SeedDataIngester(knowledgeStore, config);
+    const first = (await ingester.ingestAllSeedData()).fileResults['Private Equity.txt'];
+    const second = (await ingester.ingestAllSeedData()).fileResults['Private Equity.txt'];
+
+    assert.equal(first.failed, 0);
+    assert.ok(first.created > 3, 'firms, people and deals are created');
+    assert.deepEqual(
+        { created: second.created, updated: second.updated, unchanged: second.unchanged },
+        { created: 0, updated: 0, unchanged: first.created }
+    );
+});
+
+test('a resumed job loads only the rows after its checkpoint', async (t) => {
+    const { config, graphDb, knowledgeStore } = await createTestStore(t);
+    const rows = Array.from({ length: 10 }, (_, i) => `Fund ${i + 1},USA,$${i + 1}bn,,`);
+    writeSeedFile(config, 'Private Equity.txt', [HEADER, ...rows]);
+
+    // A job that crashed after checkpointing its first 6 rows
+    const crashed = new IngestionJobManager(knowledgeStore, config);
+    const { id } = crashed.startJob();
+    await crashed.drain();
+    const record = JSON.parse(fs.readFileSync(path.join(config.ingestion.jobs.directory, `${id}.json`), 'utf8'));
+    Object.assign(record, { status: 'running', finishedAt: null });
+    Object.assign(record.files[0], { status: 'running', rowOffset: 6 });
+    fs.writeFileSync(path.join(config.ingestion.jobs.directory, `${id}.json`), JSON.stringify(record));
+    for (const entity of await graphDb.findEntities({}, 100)) {
+        await graphDb.deleteEntity(entity.id, { cascade: true });
+    }
+
+    const restarted = new IngestionJobManager(knowledgeStore, config);
+    assert.equal(restarted.getJob(id).status, 'interrupted');
+
+    restarted.resumeJob(id);
+    await restarted.drain();
+
+    const job = restarted.getJob(id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.files[0].rowOffset, 10);
+    const names = (await graphDb.findEntities({}, 100)).map(entity => entity.name).sort();
+    assert.deepEqual(names, ['Fund 10', 'Fund 7', 'Fund 8', 'Fund 9']);
+});
+
+test('rows of one file resolving to the same entity each keep their lineage and re-ingest unchanged', async (t) => {
+    const { config, graphDb, knowledgeStore } = await createTestStore(t);
+    writeSeedFile(config, 'Private Equity.txt', [
+        HEADER,
+        'Blackstone,USA,$1000bn,,',
+        'The Blackstone Group Inc.,USA,$990bn,,'
+    ]);
+
+    const ingester = new SeedDataIngester(knowledgeStore, config);
+    await ingester.ingestAllSeedData();
+    const second = (await ingester.ingestAllSeedData()).fileResults['Private Equity.txt'];
+
+    assert.deepEqual({ created: second.created, updated: second.updated, unchanged: second.unchanged }, { created: 0, updated: 0, unchanged: 2 });
+
+    const [blackstone] = await graphDb.findEntities({ type: 'Private Equity Firm' }, 10);
+    const { properties } = await knowledgeStore.getEntityLineage(blackstone.id);
+    assert.deepEqual(properties.aum.sources.map(source => [source.row, source.value]), [[1, '$1000bn'], [2, '$990bn']]);
+    assert.equal(properties.aum.conflict, true);
+});
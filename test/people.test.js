@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestStore, writeSeedFile } = require('./helpers');
+const SeedDataIngester = require('../ingestion/SeedDataIngester');
+
+async function ingestSharedBoardMember(t) {
+    const store = await createTestStore(t);
+    writeSeedFile(store.config, 'Private Equity.txt', [
+        'Name,Country,AUM,Key People',
+        'Alpha Capital,USA,$5bn,"Jane Roe (Board Member), John Smith (CEO)"',
+        'Beta Partners,UK,$4bn,"Jane Roe (Board Member), John Smith (Analyst)"'
+    ]);
+    await new SeedDataIngester(store.knowledgeStore, store.config).ingestAllSeedData();
+
+    const [alpha] = await store.graphDb.findEntities({ names: ['Alpha Capital'] }, 1);
+    const [beta] = await store.graphDb.findEntities({ names: ['Beta Partners'] }, 1);
+    return { ...store, alpha, beta };
+}
+
+test('each firm keeps its own Person node for a name it lists', async (t) => {
+    const { graphDb } = await ingestSharedBoardMember(t);
+
+    const people = await graphDb.findEntities({ type: 'Person' }, 10);
+    assert.deepEqual(people.map(person => person.name).sort(), ['Jane Roe', 'Jane Roe', 'John Smith', 'John Smith']);
+});
+
+test('the same name under the same title at two firms is inferred as shared personnel', async (t) => {
+    const { knowledgeStore, graphDb, alpha, beta } = await ingestSharedBoardMember(t);
+
+    const run = await knowledgeStore.runRelationshipInference({ patterns: ['PEOPLE_NETWORK'] });
+    assert.ok(run.successfulInferences > 0);
+
+    const links = (await graphDb.findRelationships(alpha.id, 'SHARES_PERSONNEL')).filter(link => link.entity.id === beta.id);
+    assert.equal(links.length, 1);
+
+    const candidates = await knowledgeStore.relationshipInference.findSharedPersonnelCandidates();
+    assert.deepEqual(candidates.map(candidate => candidate.shared_people), [['Jane Roe']]);
+});
+
+test('query insights report firms sharing a person listed by both', async (t) => {
+    const { knowledgeStore, alpha, beta } = await ingestSharedBoardMember(t);
+
+    const insights = await knowledgeStore.generateInsights([alpha, beta], []);
+    const shared = insights.filter(insight => insight.type === 'shared_people');
+    assert.equal(shared.length, 1);
+    assert.match(shared[0].message, /share a key person: Jane Roe/);
+});